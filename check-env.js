@@ -30,6 +30,18 @@ const optional = {
   'BREVO_SENDER_NAME': process.env.BREVO_SENDER_NAME,
   'PORT': process.env.PORT,
   'DB_PATH': process.env.DB_PATH,
+  'TOKEN_SECRET': process.env.TOKEN_SECRET ? '(set)' : undefined,
+  'FRONTEND_URL': process.env.FRONTEND_URL,
+  'BACKEND_URL': process.env.BACKEND_URL,
+  'ADMIN_EMAILS': process.env.ADMIN_EMAILS,
+  'RATE_LIMIT_AUTH_IP': process.env.RATE_LIMIT_AUTH_IP,
+  'RATE_LIMIT_AUTH_EMAIL': process.env.RATE_LIMIT_AUTH_EMAIL,
+  'RATE_LIMIT_MAP_IP': process.env.RATE_LIMIT_MAP_IP,
+  'RATE_LIMIT_MAP_USER': process.env.RATE_LIMIT_MAP_USER,
+  'RATE_LIMIT_INVITE_USER': process.env.RATE_LIMIT_INVITE_USER,
+  'RATE_LIMIT_INVITE_EMAIL': process.env.RATE_LIMIT_INVITE_EMAIL,
+  'AURORA_CACHE_SECONDS': process.env.AURORA_CACHE_SECONDS,
+  'TRUST_PROXY': process.env.TRUST_PROXY,
 };
 
 let hasErrors = false;
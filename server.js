@@ -4,8 +4,8 @@
  */
 
 // Load environment variables FIRST, before any other imports
-import dotenv from 'dotenv';
-dotenv.config();
+// (imports are evaluated in order, so modules reading process.env at load time see .env)
+import 'dotenv/config';
 
 import express from 'express';
 import cors from 'cors';
@@ -16,7 +16,13 @@ import fs from 'fs';
 import db from './src/db/database.js';
 import authRoutes from './src/routes/auth.js';
 import alertRoutes from './src/routes/alerts.js';
+import apiKeyRoutes from './src/routes/apiKeys.js';
+import unsubscribeRoutes from './src/routes/unsubscribe.js';
+import invitationRoutes from './src/routes/invitations.js';
+import adminRoutes from './src/routes/admin.js';
+import accountRoutes from './src/routes/account.js';
 import { startScheduler } from './src/jobs/scheduler.js';
+import { promoteConfiguredAdmins } from './src/services/admin.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -32,6 +38,10 @@ const PORT = process.env.PORT || 4747;
 // }
 app.use(express.json());
 
+// Behind nginx in production: take the client IP (used for rate limiting) from X-Forwarded-For
+// when the request comes from a local proxy
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
+
 // Serve static files from public directory (for built frontend)
 app.use(express.static(path.join(__dirname, 'public')));
 // Also serve from dist if it exists (Vite build output)
@@ -49,6 +59,11 @@ app.get('/api/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/alerts', alertRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/unsubscribe', unsubscribeRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/account', accountRoutes);
 
 // Serve frontend - try dist first (production build), then root index.html
 app.get('*', (req, res, next) => {
@@ -85,6 +100,9 @@ app.listen(PORT, () => {
     console.log('✅ Brevo API key configured');
   }
   
+  // Grant the admin role to ADMIN_EMAILS
+  promoteConfiguredAdmins();
+
   // Start background job scheduler
   startScheduler();
 });
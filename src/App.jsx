@@ -1,84 +1,144 @@
 import React, { useState, useEffect } from 'react';
 import Login from './components/Login';
 import AlertList from './components/AlertList';
-import { API_BASE_URL } from './utils/api';
+import Unsubscribe from './components/Unsubscribe';
+import Invitation from './components/Invitation';
+import DeleteAccount from './components/DeleteAccount';
+import { apiRequest, getSession, setSession, clearSession, setSessionExpiredHandler } from './utils/api';
 import './App.css';
 
 function App() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [initialEmail, setInitialEmail] = useState('');
+  const [loginError, setLoginError] = useState('');
+  const [linkExpired, setLinkExpired] = useState(false);
+  const [unsubscribeToken, setUnsubscribeToken] = useState(null);
+  const [inviteToken, setInviteToken] = useState(null);
+  const [deleteToken, setDeleteToken] = useState(null);
 
-  const handleLogin = (userData) => {
+  const handleLogin = (userData, session) => {
+    setSession(session);
     setUser(userData);
-    localStorage.setItem('aurora_user', JSON.stringify(userData));
   };
 
-  const handleLogout = () => {
+  const endSession = async (endpoint) => {
+    try {
+      await apiRequest(endpoint, { method: 'POST' });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    clearSession();
     setUser(null);
-    localStorage.removeItem('aurora_user');
   };
 
-  const handleAutoLogin = async (email) => {
+  const handleLogout = () => endSession('/api/auth/logout');
+
+  const handleLogoutEverywhere = () => endSession('/api/auth/logout-all');
+
+  const exchangeToken = async (endpoint, token) => {
     try {
-      // Try to login with the email from the URL
-      const loginUrl = `${API_BASE_URL || ''}/api/auth/login`;
-      const response = await fetch(loginUrl, {
+      // Exchange the token from an email link for a session
+      const response = await apiRequest(endpoint, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email }),
+        body: JSON.stringify({ token }),
       });
 
       const data = await response.json();
 
-      if (response.ok && data.user) {
-        handleLogin(data.user);
+      if (data.code === 'link_expired') {
+        // Show the "link expired" state instead of logging anyone in
+        setLinkExpired(true);
+        setInitialEmail(data.email || '');
         return;
       }
 
-      // If login fails, try to register (idempotent - won't create duplicate)
-      const registerUrl = `${API_BASE_URL || ''}/api/auth/register`;
-      const registerResponse = await fetch(registerUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email }),
-      });
+      if (!response.ok) {
+        throw new Error(data.error || 'Login link is invalid');
+      }
+
+      handleLogin(data.user, data.session);
+    } catch (error) {
+      console.error('Login link error:', error);
+      setLoginError(error.message);
+    }
+  };
 
-      const registerData = await registerResponse.json();
-      if (registerResponse.ok && registerData.user) {
-        handleLogin(registerData.user);
+  const restoreSession = async () => {
+    try {
+      // Ask the backend who the stored session belongs to
+      const response = await apiRequest('/api/auth/me');
+      if (response.ok) {
+        const data = await response.json();
+        setUser(data.user);
+      } else {
+        clearSession();
       }
     } catch (error) {
-      console.error('Auto-login error:', error);
-      // If auto-login fails, just show the login form
+      console.error('Session restore error:', error);
     }
   };
 
   useEffect(() => {
-    // Check for email parameter in URL (from email link)
-    const urlParams = new URLSearchParams(window.location.search);
-    const emailParam = urlParams.get('email');
-    
-    if (emailParam) {
-      // Auto-login with email from URL parameter
-      handleAutoLogin(emailParam);
-      // Clean up URL parameter
-      window.history.replaceState({}, document.title, window.location.pathname);
-    } else {
-      // Check if user is stored in localStorage
-      const storedUser = localStorage.getItem('aurora_user');
-      if (storedUser) {
-        try {
-          setUser(JSON.parse(storedUser));
-        } catch (e) {
-          localStorage.removeItem('aurora_user');
-        }
+    setSessionExpiredHandler(() => {
+      setUser(null);
+      setLoginError('Your session has expired. Please log in again.');
+    });
+
+    const init = async () => {
+      // Sessions are now token-based; drop the user object older versions stored
+      localStorage.removeItem('aurora_user');
+
+      // Check for parameters in URL (from email links)
+      const urlParams = new URLSearchParams(window.location.search);
+      const loginToken = urlParams.get('login_token');
+      const emailToken = urlParams.get('email_token');
+      const verifyToken = urlParams.get('verify_token');
+      const unsubscribeParam = urlParams.get('unsubscribe');
+      const inviteParam = urlParams.get('invite');
+      const deleteParam = urlParams.get('delete_token');
+      const emailParam = urlParams.get('email');
+
+      if (loginToken || emailToken || verifyToken || unsubscribeParam || inviteParam || deleteParam || emailParam) {
+        // Clean up URL parameters
+        window.history.replaceState({}, document.title, window.location.pathname);
       }
-    }
-    setLoading(false);
+
+      if (unsubscribeParam) {
+        // Unsubscribe links work without logging in
+        setUnsubscribeToken(unsubscribeParam);
+      }
+
+      if (inviteParam) {
+        // Shared alert invitations are answered without logging in
+        setInviteToken(inviteParam);
+      }
+
+      if (deleteParam) {
+        // Account deletion is confirmed from the emailed link, logged in or not
+        setDeleteToken(deleteParam);
+      }
+
+      if (loginToken) {
+        await exchangeToken('/api/auth/verify', loginToken);
+      } else if (emailToken) {
+        // Auto-login link from an alert email
+        await exchangeToken('/api/auth/email-link', emailToken);
+      } else if (verifyToken) {
+        // Confirmation link from the sign-up email
+        await exchangeToken('/api/auth/verify-email', verifyToken);
+      } else if (getSession()) {
+        await restoreSession();
+      } else if (emailParam) {
+        // Older alert emails link here with the recipient's address - prefill it
+        setInitialEmail(emailParam);
+      }
+      setLoading(false);
+    };
+
+    init();
+
+    return () => setSessionExpiredHandler(null);
   }, []);
 
   if (loading) {
@@ -89,12 +149,57 @@ function App() {
     );
   }
 
+  if (deleteToken) {
+    const handleDeleted = (email) => {
+      // The account's sessions are gone with it
+      if (!user || user.email === email) {
+        clearSession();
+        setUser(null);
+      }
+    };
+    return (
+      <DeleteAccount
+        token={deleteToken}
+        onDeleted={handleDeleted}
+        onContinue={() => setDeleteToken(null)}
+      />
+    );
+  }
+
+  if (unsubscribeToken) {
+    const handleContinue = () => {
+      setUnsubscribeToken(null);
+      // Pick up any change the unsubscribe page made to the logged-in user
+      if (user) {
+        restoreSession();
+      }
+    };
+    return <Unsubscribe token={unsubscribeToken} onContinue={handleContinue} />;
+  }
+
+  if (inviteToken) {
+    const handleContinue = () => {
+      setInviteToken(null);
+      // Accepting an invitation confirms the invited address, which may be the logged-in user's
+      if (user) {
+        restoreSession();
+      }
+    };
+    return <Invitation token={inviteToken} onContinue={handleContinue} />;
+  }
+
   if (!user) {
-    return <Login onLogin={handleLogin} />;
+    return <Login initialEmail={initialEmail} initialError={loginError} linkExpired={linkExpired} />;
   }
 
-  return <AlertList user={user} onLogout={handleLogout} />;
+  return (
+    <AlertList
+      user={user}
+      onUserChange={setUser}
+      onLogout={handleLogout}
+      onLogoutEverywhere={handleLogoutEverywhere}
+    />
+  );
 }
 
 export default App;
-
@@ -0,0 +1,330 @@
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../utils/api';
+import './AdminConsole.css';
+
+const TABS = [
+  { id: 'users', label: 'Users' },
+  { id: 'alerts', label: 'Alerts' },
+  { id: 'emails', label: 'Emails' },
+  { id: 'runs', label: 'Scheduler Runs' },
+];
+
+const EMAIL_KINDS = {
+  aurora: 'Aurora alert',
+  activity_ended: 'Activity ended',
+  solar_wind: 'Solar wind warning',
+  forecast: 'Storm heads-up',
+};
+
+// Rows per page (the admin API allows up to 200)
+const PAGE_SIZE = 50;
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+function AdminConsole({ user, onBack }) {
+  const [activeTab, setActiveTab] = useState('users');
+  const [stats, setStats] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [offset, setOffset] = useState(0);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchStats();
+  }, []);
+
+  useEffect(() => {
+    fetchRows();
+  }, [activeTab]);
+
+  const fetchStats = async () => {
+    try {
+      const response = await apiRequest('/api/admin/stats');
+      const data = await response.json();
+      if (data.success) {
+        setStats(data.stats);
+      }
+    } catch (err) {
+      console.error('Error fetching admin stats:', err);
+    }
+  };
+
+  const fetchRows = async (e, nextOffset = 0) => {
+    if (e) {
+      e.preventDefault();
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const query = `search=${encodeURIComponent(search)}&limit=${PAGE_SIZE}&offset=${nextOffset}`;
+      const endpoint = {
+        users: `/api/admin/users?${query}`,
+        alerts: `/api/admin/alerts?${query}`,
+        emails: `/api/admin/notifications?${query}`,
+        runs: '/api/admin/scheduler-runs',
+      }[activeTab];
+
+      const response = await apiRequest(endpoint);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load data');
+      }
+
+      setRows(data.users || data.alerts || data.notifications || data.runs || []);
+      setTotal(data.total ?? null);
+      setOffset(nextOffset);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleDisabled = async (target) => {
+    const disabled = !target.disabled_at;
+    const action = disabled ? 'Disable' : 'Enable';
+    if (!window.confirm(`${action} ${target.email}?`)) {
+      return;
+    }
+
+    try {
+      const response = await apiRequest(`/api/admin/users/${target.id}/disabled`, {
+        method: 'PUT',
+        body: JSON.stringify({ disabled }),
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        fetchRows();
+        fetchStats();
+      } else {
+        alert(data.error || `Failed to ${action.toLowerCase()} user`);
+      }
+    } catch (err) {
+      console.error('Error updating user:', err);
+      alert(`Failed to ${action.toLowerCase()} user`);
+    }
+  };
+
+  const renderUsers = () => (
+    <table className="admin-table">
+      <thead>
+        <tr>
+          <th>Email</th>
+          <th>Role</th>
+          <th>Alerts</th>
+          <th>Verified</th>
+          <th>Registered</th>
+          <th>Status</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.id} className={row.disabled_at ? 'row-disabled' : ''}>
+            <td>{row.email}</td>
+            <td>{row.role}</td>
+            <td>{row.alert_count}</td>
+            <td>{row.verified_at ? '✅' : '—'}</td>
+            <td>{formatDate(row.created_at)}</td>
+            <td>
+              {row.disabled_at ? 'Disabled' : row.unsubscribed_at ? 'Unsubscribed' : 'Active'}
+            </td>
+            <td>
+              {row.id !== user.id && (
+                <button onClick={() => handleToggleDisabled(row)} className="btn-admin-action">
+                  {row.disabled_at ? 'Enable' : 'Disable'}
+                </button>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  const renderAlerts = () => (
+    <table className="admin-table">
+      <thead>
+        <tr>
+          <th>ID</th>
+          <th>Owner</th>
+          <th>Location</th>
+          <th>Threshold</th>
+          <th>Last Notified</th>
+          <th>Status</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.id}>
+            <td>#{row.id}</td>
+            <td>{row.email}</td>
+            <td>{row.latitude.toFixed(4)}°, {row.longitude.toFixed(4)}°</td>
+            <td>{row.threshold}/100</td>
+            <td>
+              {row.last_notified_at
+                ? `${row.last_notified_value}/100 at ${formatDate(row.last_notified_at)}`
+                : '—'}
+            </td>
+            <td>{row.active ? 'Active' : 'Paused'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  const renderEmails = () => (
+    <table className="admin-table">
+      <thead>
+        <tr>
+          <th>Sent</th>
+          <th>Recipient</th>
+          <th>Alert</th>
+          <th>Email</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.id}>
+            <td>{formatDate(row.sent_at)}</td>
+            <td>{row.email}</td>
+            <td>#{row.alert_id}{row.alert_name && ` ${row.alert_name}`}</td>
+            <td>{EMAIL_KINDS[row.kind] || row.kind}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  const renderRuns = () => (
+    <table className="admin-table">
+      <thead>
+        <tr>
+          <th>Started</th>
+          <th>Duration</th>
+          <th>Status</th>
+          <th>Alerts Checked</th>
+          <th>Emails Sent</th>
+          <th>Error</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.id}>
+            <td>{formatDate(row.started_at)}</td>
+            <td>
+              {row.finished_at
+                ? `${((new Date(row.finished_at) - new Date(row.started_at)) / 1000).toFixed(1)}s`
+                : '—'}
+            </td>
+            <td className={`run-status run-status-${row.status}`}>{row.status}</td>
+            <td>{row.alerts_checked}</td>
+            <td>{row.notifications_sent}</td>
+            <td className="run-error">{row.error || ''}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <div className="admin-container">
+      <div className="admin-header">
+        <button onClick={onBack} className="btn-back">
+          ← Back to Alerts
+        </button>
+        <h1>🛠️ Admin Console</h1>
+      </div>
+
+      <div className="admin-content">
+        {stats && (
+          <div className="admin-stats">
+            <div className="admin-stat">
+              <span className="admin-stat-value">{stats.users.total}</span>
+              <span className="admin-stat-label">
+                Users ({stats.users.verified} verified, {stats.users.disabled} disabled)
+              </span>
+            </div>
+            <div className="admin-stat">
+              <span className="admin-stat-value">{stats.alerts.total}</span>
+              <span className="admin-stat-label">Alerts ({stats.alerts.active} active)</span>
+            </div>
+            <div className="admin-stat">
+              <span className="admin-stat-value">{stats.notificationsLast24h}</span>
+              <span className="admin-stat-label">Emails sent (24h)</span>
+            </div>
+          </div>
+        )}
+
+        <div className="admin-tabs">
+          {TABS.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`admin-tab ${activeTab === tab.id ? 'active' : ''}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab !== 'runs' && (
+          <form onSubmit={fetchRows} className="admin-search">
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by email"
+            />
+            <button type="submit" className="btn-admin-action">Search</button>
+            {total !== null && <span className="admin-total">{total} result(s)</span>}
+          </form>
+        )}
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="admin-table-wrapper">
+          {loading ? (
+            <div className="spinner"></div>
+          ) : rows.length === 0 ? (
+            <p className="admin-empty">Nothing to show.</p>
+          ) : (
+            { users: renderUsers, alerts: renderAlerts, emails: renderEmails, runs: renderRuns }[activeTab]()
+          )}
+        </div>
+
+        {!loading && total !== null && total > PAGE_SIZE && (
+          <div className="admin-pager">
+            <button
+              onClick={() => fetchRows(null, offset - PAGE_SIZE)}
+              disabled={offset === 0}
+              className="btn-admin-action"
+            >
+              ← Previous
+            </button>
+            <span className="admin-total">
+              {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+            </span>
+            <button
+              onClick={() => fetchRows(null, offset + PAGE_SIZE)}
+              disabled={offset + PAGE_SIZE >= total}
+              className="btn-admin-action"
+            >
+              Next →
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdminConsole;
@@ -1,31 +1,52 @@
 import React, { useState, useEffect } from 'react';
 import AlertModal from './AlertModal';
 import AuroraHistoryChart from './AuroraHistoryChart';
+import KpForecastStrip from './KpForecastStrip';
 import AuroraMapView from './AuroraMapView';
+import ApiKeysModal from './ApiKeysModal';
+import AdminConsole from './AdminConsole';
 import { apiRequest } from '../utils/api';
+import { formatActiveWindow } from '../utils/activeHours';
+import { getDarknessLabel } from '../utils/darkness';
+import { getMoonEmoji, formatMoonPosition } from '../utils/moon';
+import { formatSearchRadius, formatCell } from '../utils/searchRadius';
+import { TRIP_GROUPS, isTrip, getTripStatus, formatTripDates } from '../utils/trips';
+import { formatKp, formatKpSource } from '../utils/kp';
+import { formatSolarWindRule, formatSolarWindReading } from '../utils/solarWind';
+import { formatRule, isSimpleRule } from '../utils/rules';
 import './AlertList.css';
 
-function AlertList({ user, onLogout }) {
+function AlertList({ user, onUserChange, onLogout, onLogoutEverywhere }) {
   const [alerts, setAlerts] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [kp, setKp] = useState(null);
+  const [solarWind, setSolarWind] = useState(null);
+  const [forecast, setForecast] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editingAlert, setEditingAlert] = useState(null);
   const [showMapView, setShowMapView] = useState(false);
+  const [showMenu, setShowMenu] = useState(false);
+  const [showAdmin, setShowAdmin] = useState(false);
+  const [showApiKeys, setShowApiKeys] = useState(false);
+  const [verificationSent, setVerificationSent] = useState(false);
+  const [snoozeMenuFor, setSnoozeMenuFor] = useState(null);
+  const [customSnooze, setCustomSnooze] = useState('');
 
   useEffect(() => {
     fetchAlerts();
+    fetchInvitations();
   }, []);
 
   const fetchAlerts = async () => {
     try {
-      const response = await apiRequest('/api/alerts', {
-        headers: {
-          'x-user-email': user.email,
-        },
-      });
+      const response = await apiRequest('/api/alerts');
       const data = await response.json();
       if (data.success) {
         setAlerts(data.alerts);
+        setKp(data.kp);
+        setSolarWind(data.solarWind);
+        setForecast(data.forecast || []);
       }
     } catch (error) {
       console.error('Error fetching alerts:', error);
@@ -34,6 +55,60 @@ function AlertList({ user, onLogout }) {
     }
   };
 
+  const fetchInvitations = async () => {
+    try {
+      const response = await apiRequest('/api/invitations');
+      const data = await response.json();
+      if (data.success) {
+        setInvitations(data.invitations);
+      }
+    } catch (error) {
+      console.error('Error fetching invitations:', error);
+    }
+  };
+
+  const handleRespondToInvitation = async (id, accept) => {
+    try {
+      const response = await apiRequest(`/api/invitations/${id}`, {
+        method: 'POST',
+        body: JSON.stringify({ accept }),
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        fetchInvitations();
+        fetchAlerts();
+      } else {
+        alert(data.error || 'Failed to answer invitation');
+      }
+    } catch (error) {
+      console.error('Error answering invitation:', error);
+      alert('Failed to answer invitation');
+    }
+  };
+
+  const handleLeaveAlert = async (alertToLeave) => {
+    if (!window.confirm(`Stop receiving ${alertToLeave.owner_email}'s shared alert?`)) {
+      return;
+    }
+
+    try {
+      const response = await apiRequest(`/api/alerts/${alertToLeave.id}/recipients/${alertToLeave.recipient_id}`, {
+        method: 'DELETE',
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        fetchAlerts();
+      } else {
+        alert('Failed to leave alert');
+      }
+    } catch (error) {
+      console.error('Error leaving alert:', error);
+      alert('Failed to leave alert');
+    }
+  };
+
   const handleAddAlert = () => {
     setEditingAlert(null);
     setShowModal(true);
@@ -52,9 +127,6 @@ function AlertList({ user, onLogout }) {
     try {
       const response = await apiRequest(`/api/alerts/${id}`, {
         method: 'DELETE',
-        headers: {
-          'x-user-email': user.email,
-        },
       });
 
       const data = await response.json();
@@ -69,6 +141,134 @@ function AlertList({ user, onLogout }) {
     }
   };
 
+  const handleSetStatus = async (id, status) => {
+    setSnoozeMenuFor(null);
+
+    try {
+      const response = await apiRequest(`/api/alerts/${id}/status`, {
+        method: 'PUT',
+        body: JSON.stringify(status),
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        fetchAlerts();
+      } else {
+        alert(data.error || 'Failed to update alert');
+      }
+    } catch (error) {
+      console.error('Error updating alert status:', error);
+      alert('Failed to update alert');
+    }
+  };
+
+  const handleSnooze = (id, hours) => {
+    const until = new Date(Date.now() + hours * 60 * 60 * 1000);
+    handleSetStatus(id, { snoozed_until: until.toISOString() });
+  };
+
+  const handleCustomSnooze = (id) => {
+    if (!customSnooze) {
+      return;
+    }
+    // datetime-local values are in the browser's time zone
+    handleSetStatus(id, { snoozed_until: new Date(customSnooze).toISOString() });
+    setCustomSnooze('');
+  };
+
+  const isSnoozed = (alert) => !!alert.snoozed_until && new Date(alert.snoozed_until) > new Date();
+
+  // Members only control their own notifications; the owner changes the alert itself
+  const isMember = (alert) => alert.role === 'member';
+  const isShared = (alert) => isMember(alert) || alert.recipients.some(recipient => recipient.status === 'accepted');
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await apiRequest('/api/auth/resend-verification', {
+        method: 'POST',
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setVerificationSent(true);
+      } else {
+        alert(data.error || 'Failed to send confirmation email');
+      }
+    } catch (error) {
+      console.error('Error resending confirmation email:', error);
+      alert('Failed to send confirmation email');
+    }
+  };
+
+  const handleResumeEmails = async () => {
+    try {
+      const response = await apiRequest('/api/unsubscribe/resume', {
+        method: 'POST',
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        onUserChange({ ...user, unsubscribed_at: null });
+      } else {
+        alert('Failed to turn alert emails back on');
+      }
+    } catch (error) {
+      console.error('Error resuming emails:', error);
+      alert('Failed to turn alert emails back on');
+    }
+  };
+
+  const handleExportData = async () => {
+    try {
+      const response = await apiRequest('/api/account/export');
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to export your data');
+      }
+
+      // Download the archive under the name the server suggests
+      const blob = await response.blob();
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="(.+)"/)?.[1] || 'aurora-alerter-export.json';
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      alert(error.message);
+    }
+  };
+
+  const handleDeleteAccount = async () => {
+    if (!window.confirm('Delete your account and all of your alerts? We will email you a link to confirm.')) {
+      return;
+    }
+
+    try {
+      const response = await apiRequest('/api/account/delete-request', {
+        method: 'POST',
+      });
+
+      const data = await response.json();
+      alert(data.success ? data.message : (data.error || 'Failed to send account deletion email'));
+    } catch (error) {
+      console.error('Error requesting account deletion:', error);
+      alert('Failed to send account deletion email');
+    }
+  };
+
+  const handleLogoutEverywhere = () => {
+    if (!window.confirm('Log out on all devices? You will need a new login link on each of them.')) {
+      return;
+    }
+    onLogoutEverywhere();
+  };
+
   const handleModalClose = () => {
     setShowModal(false);
     setEditingAlert(null);
@@ -79,8 +279,302 @@ function AlertList({ user, onLogout }) {
     handleModalClose();
   };
 
+  // Trips (alerts with start or end dates) are listed separately from the everyday alerts
+  const trips = alerts.filter(isTrip);
+  const regularAlerts = alerts.filter(alert => !isTrip(alert));
+
+  const renderAlertCard = (alert) => (
+    <div key={alert.id} className="alert-card">
+      <div className="alert-card-header">
+        <h3>
+          {alert.name || `Alert #${alert.id}`}
+          {isShared(alert) && (
+            <span className="alert-badge alert-badge-shared">👥 {isMember(alert) ? 'Member' : 'Owner'}</span>
+          )}
+          {!alert.active && <span className="alert-badge">Paused</span>}
+          {alert.active && isSnoozed(alert) && (
+            <span className="alert-badge">
+              💤 Snoozed until {new Date(alert.snoozed_until).toLocaleString([], {
+                dateStyle: 'short',
+                timeStyle: 'short',
+              })}
+            </span>
+          )}
+        </h3>
+        <div className="alert-card-actions">
+          {alert.active ? (
+            <button
+              onClick={() => handleSetStatus(alert.id, { active: false })}
+              className="btn-icon"
+              title="Pause"
+            >
+              ⏸️
+            </button>
+          ) : (
+            <button
+              onClick={() => handleSetStatus(alert.id, { active: true })}
+              className="btn-icon"
+              title="Resume"
+            >
+              ▶️
+            </button>
+          )}
+          {isMember(alert) ? (
+            <button
+              onClick={() => handleLeaveAlert(alert)}
+              className="btn-icon"
+              title="Leave"
+            >
+              🚪
+            </button>
+          ) : (
+            <>
+              <div className="snooze-menu">
+                <button
+                  onClick={() => setSnoozeMenuFor(snoozeMenuFor === alert.id ? null : alert.id)}
+                  className="btn-icon"
+                  title="Snooze"
+                >
+                  💤
+                </button>
+                {snoozeMenuFor === alert.id && (
+                  <div className="header-menu-dropdown">
+                    {isSnoozed(alert) && (
+                      <button onClick={() => handleSetStatus(alert.id, { snoozed_until: null })}>
+                        End Snooze
+                      </button>
+                    )}
+                    <button onClick={() => handleSnooze(alert.id, 24)}>Snooze 24 hours</button>
+                    <button onClick={() => handleSnooze(alert.id, 72)}>Snooze 3 days</button>
+                    <div className="snooze-custom">
+                      <input
+                        type="datetime-local"
+                        value={customSnooze}
+                        onChange={(e) => setCustomSnooze(e.target.value)}
+                      />
+                      <button onClick={() => handleCustomSnooze(alert.id)} disabled={!customSnooze}>
+                        Snooze
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+              <button
+                onClick={() => handleEditAlert(alert)}
+                className="btn-icon"
+                title="Edit"
+              >
+                ✏️
+              </button>
+              <button
+                onClick={() => handleDeleteAlert(alert.id)}
+                className="btn-icon"
+                title="Delete"
+              >
+                🗑️
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="alert-card-body">
+        <div className="alert-info">
+          <div className="info-item">
+            <span className="info-label">Location:</span>
+            <span className="info-value">
+              {alert.cityName || 'Loading...'}
+            </span>
+            <span className="info-coords">
+              {alert.region && `Region with ${alert.region.coordinates[0].length - 1} corners, centered at `}
+              {alert.latitude.toFixed(4)}°, {alert.longitude.toFixed(4)}°
+            </span>
+          </div>
+          {isMember(alert) && (
+            <div className="info-item">
+              <span className="info-label">Shared By:</span>
+              <span className="info-value">{alert.owner_email}</span>
+              <span className="info-time">Only the owner can change this alert</span>
+            </div>
+          )}
+          {alert.recipients.length > 0 && (
+            <div className="info-item">
+              <span className="info-label">Shared With:</span>
+              {alert.recipients.map((recipient) => (
+                <span key={recipient.id} className="info-value">
+                  {recipient.email}
+                  {recipient.status !== 'accepted' && ` (${recipient.status === 'pending' ? 'invited' : 'declined'})`}
+                </span>
+              ))}
+            </div>
+          )}
+          {isTrip(alert) && (
+            <div className="info-item">
+              <span className="info-label">Trip:</span>
+              <span className="info-value">{formatTripDates(alert)}</span>
+              <span className="info-time">
+                {alert.peak_value !== null
+                  ? `Peak ${alert.peak_value}/100 on ${new Date(alert.peak_at).toLocaleString()}`
+                  : 'No values recorded during the trip yet'}
+              </span>
+            </div>
+          )}
+          {(alert.region || alert.search_radius_km > 0) && (
+            <div className="info-item">
+              <span className="info-label">{alert.region ? 'Region Value:' : 'Search Radius:'}</span>
+              <span className="info-value">{formatSearchRadius(alert)}</span>
+              {alert.latestAuroraCell && (
+                <span className="info-time">
+                  Latest value from {formatCell(alert.latestAuroraCell)}
+                </span>
+              )}
+            </div>
+          )}
+          <div className="info-item">
+            <span className="info-label">Threshold:</span>
+            <span className="info-value threshold-value">
+              {alert.trigger_type === 'kp' ? `Kp ≥ ${formatKp(alert.kp_threshold)}` : `${alert.threshold}/100`}
+            </span>
+            {alert.trigger_type !== 'kp' && (alert.sustained_checks || alert.sustained_minutes) && (
+              <span className="info-time">
+                once held for {[
+                  alert.sustained_checks && `${alert.sustained_checks} checks`,
+                  alert.sustained_minutes && `${alert.sustained_minutes} minutes`,
+                ].filter(Boolean).join(' and ')}
+              </span>
+            )}
+          </div>
+          {kp && (
+            <div className="info-item">
+              <span className="info-label">Kp Index:</span>
+              <span className="info-value">{formatKp(kp.kp)}</span>
+              <span className="info-time">{formatKpSource(kp)}</span>
+            </div>
+          )}
+          {alert.solar_wind_rule && (
+            <div className="info-item">
+              <span className="info-label">Early Warning:</span>
+              <span className="info-value">{formatSolarWindRule(alert.solar_wind_rule)}</span>
+              <span className="info-time">
+                Now {formatSolarWindReading(solarWind, alert.solar_wind_rule.metric)}
+              </span>
+            </div>
+          )}
+          <div className="info-item">
+            <span className="info-label">Notify on Increase:</span>
+            <span className="info-value">
+              {alert.trigger_type === 'kp' ? '1 Kp step' : `${alert.increment_threshold || 10} units`}
+            </span>
+            <span className="info-time">
+              or after {alert.cooldown_hours || 12}h
+              {alert.max_per_night && ` · at most ${alert.max_per_night} per night`}
+              {alert.trigger_type !== 'kp' && alert.reset_below !== null && ` · resets below ${alert.reset_below}`}
+            </span>
+          </div>
+          {!!alert.forecast_heads_up && (
+            <div className="info-item">
+              <span className="info-label">Storm Heads-Up:</span>
+              <span className="info-value">Kp 5+ forecast</span>
+              <span className="info-time">from NOAA's 3-day forecast</span>
+            </div>
+          )}
+          {alert.trigger_type !== 'kp' && alert.ended_below !== null && (
+            <div className="info-item">
+              <span className="info-label">Ended Notice:</span>
+              <span className="info-value">Below {alert.ended_below}/100</span>
+              <span className="info-time">
+                for {alert.ended_after_minutes || 30} minutes after an alert
+              </span>
+            </div>
+          )}
+          {!isSimpleRule(alert) && (
+            <div className="info-item">
+              <span className="info-label">Rule:</span>
+              <span className="info-value">{formatRule(alert.rule)}</span>
+            </div>
+          )}
+          <div className="info-item">
+            <span className="info-label">Alerts After:</span>
+            <span className="info-value">
+              {getDarknessLabel(alert.darkness_requirement)}
+            </span>
+          </div>
+          {alert.moon && (
+            <div className="info-item">
+              <span className="info-label">Moon:</span>
+              <span className="info-value">
+                {getMoonEmoji(alert.moon.phase)} {alert.moon.phaseName}, {alert.moon.illumination}%
+              </span>
+              <span className="info-time">
+                {formatMoonPosition(alert.moon)}
+                {alert.moon_boost > 0 && (alert.moon.isBright
+                  ? ` · threshold raised to ${Math.min(100, alert.threshold + alert.moon_boost)}`
+                  : ` · +${alert.moon_boost} when bright and up`)}
+              </span>
+            </div>
+          )}
+          {alert.active_windows && (
+            <div className="info-item">
+              <span className="info-label">Active Hours:</span>
+              {alert.active_windows.map((window, index) => (
+                <span key={index} className="info-value">
+                  {formatActiveWindow(window)}
+                </span>
+              ))}
+              <span className="info-time">
+                {alert.timezone || 'UTC'} · {alert.outside_window_action === 'suppress'
+                  ? 'skipped outside these hours'
+                  : 'held until these hours'}
+              </span>
+            </div>
+          )}
+          {alert.latestAuroraValue !== null && (
+            <div className="info-item">
+              <span className="info-label">Latest Value:</span>
+              <span className="info-value latest-value">
+                {alert.latestAuroraValue}/100
+              </span>
+              {alert.latestAuroraValueAt && (
+                <span className="info-time">
+                  {new Date(alert.latestAuroraValueAt).toLocaleString()}
+                </span>
+              )}
+            </div>
+          )}
+          {alert.last_notified_value !== null && (
+            <div className="info-item">
+              <span className="info-label">Last Notified:</span>
+              <span className="info-value">
+                Value {alert.last_notified_value}/100
+              </span>
+              {alert.last_notified_at && (
+                <span className="info-time">
+                  {new Date(alert.last_notified_at).toLocaleString()}
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+
+        {alert.notes && <p className="alert-notes">{alert.notes}</p>}
+        
+        {/* Predicted Kp for the next 3 days (blocks outside a trip are dimmed) */}
+        {!alert.archived_at && (
+          <KpForecastStrip forecast={forecast} startsAt={alert.starts_at} expiresAt={alert.expires_at} />
+        )}
+
+        {/* 24-hour history chart */}
+        <AuroraHistoryChart history={alert.history || []} />
+      </div>
+    </div>
+  );
+
   if (showMapView) {
-    return <AuroraMapView user={user} onBack={() => setShowMapView(false)} />;
+    return <AuroraMapView user={user} alerts={alerts} onBack={() => setShowMapView(false)} />;
+  }
+
+  if (showAdmin && user.role === 'admin') {
+    return <AdminConsole user={user} onBack={() => setShowAdmin(false)} />;
   }
 
   if (loading) {
@@ -98,12 +592,67 @@ function AlertList({ user, onLogout }) {
           <h1>🌌 Aurora Alerts</h1>
           <p className="user-email">{user.email}</p>
         </div>
-        <button onClick={onLogout} className="btn-logout">
-          Logout
-        </button>
+        <div className="header-menu">
+          <button onClick={() => setShowMenu(!showMenu)} className="btn-logout">
+            Account ▾
+          </button>
+          {showMenu && (
+            <div className="header-menu-dropdown" onClick={() => setShowMenu(false)}>
+              <button onClick={() => setShowApiKeys(true)}>🔑 API Keys</button>
+              {user.role === 'admin' && (
+                <button onClick={() => setShowAdmin(true)}>🛠️ Admin Console</button>
+              )}
+              <button onClick={handleExportData}>⬇️ Export My Data</button>
+              <button onClick={handleDeleteAccount}>🗑️ Delete Account</button>
+              <button onClick={handleLogoutEverywhere}>Log Out Everywhere</button>
+              <button onClick={onLogout}>Logout</button>
+            </div>
+          )}
+        </div>
       </header>
 
       <div className="alert-list-content">
+        {!user.verified_at && (
+          <div className="verification-banner">
+            <span>
+              📬 Please confirm your email address. We won't send any aurora alerts until you do.
+            </span>
+            {verificationSent ? (
+              <span className="verification-sent">Confirmation email sent!</span>
+            ) : (
+              <button onClick={handleResendVerification} className="btn-banner">
+                Resend Confirmation
+              </button>
+            )}
+          </div>
+        )}
+
+        {user.unsubscribed_at && (
+          <div className="verification-banner">
+            <span>🔕 You've stopped all alert emails. Your alerts are still checked, but nothing is sent.</span>
+            <button onClick={handleResumeEmails} className="btn-banner">
+              Turn Emails Back On
+            </button>
+          </div>
+        )}
+
+        {invitations.map((invitation) => (
+          <div key={invitation.id} className="verification-banner invitation-banner">
+            <span>
+              📨 {invitation.alert.owner_email} invited you to their alert for{' '}
+              {invitation.alert.name ? `${invitation.alert.name} (${invitation.alert.cityName})` : invitation.alert.cityName}.
+            </span>
+            <div className="invitation-actions">
+              <button onClick={() => handleRespondToInvitation(invitation.id, true)} className="btn-banner">
+                Accept
+              </button>
+              <button onClick={() => handleRespondToInvitation(invitation.id, false)} className="btn-banner">
+                Decline
+              </button>
+            </div>
+          </div>
+        ))}
+
         <div className="alert-list-actions">
           <button onClick={handleAddAlert} className="btn-add-alert">
             + Add Alert
@@ -118,86 +667,26 @@ function AlertList({ user, onLogout }) {
             <p>No alerts yet. Click "Add Alert" to create your first aurora alert!</p>
           </div>
         ) : (
-          <div className="alerts-grid">
-            {alerts.map((alert) => (
-              <div key={alert.id} className="alert-card">
-                <div className="alert-card-header">
-                  <h3>Alert #{alert.id}</h3>
-                  <div className="alert-card-actions">
-                    <button
-                      onClick={() => handleEditAlert(alert)}
-                      className="btn-icon"
-                      title="Edit"
-                    >
-                      ✏️
-                    </button>
-                    <button
-                      onClick={() => handleDeleteAlert(alert.id)}
-                      className="btn-icon"
-                      title="Delete"
-                    >
-                      🗑️
-                    </button>
-                  </div>
-                </div>
-
-                <div className="alert-card-body">
-                  <div className="alert-info">
-                    <div className="info-item">
-                      <span className="info-label">Location:</span>
-                      <span className="info-value">
-                        {alert.cityName || 'Loading...'}
-                      </span>
-                      <span className="info-coords">
-                        {alert.latitude.toFixed(4)}°, {alert.longitude.toFixed(4)}°
-                      </span>
-                    </div>
-                    <div className="info-item">
-                      <span className="info-label">Threshold:</span>
-                      <span className="info-value threshold-value">
-                        {alert.threshold}/100
-                      </span>
-                    </div>
-                    <div className="info-item">
-                      <span className="info-label">Notify on Increase:</span>
-                      <span className="info-value">
-                        {alert.increment_threshold || 10} units
-                      </span>
+          <>
+            {regularAlerts.length > 0 && (
+              <div className="alerts-grid">{regularAlerts.map(renderAlertCard)}</div>
+            )}
+
+            {trips.length > 0 && (
+              <div className="trips-section">
+                <h2>🧳 Trips</h2>
+                {TRIP_GROUPS.map(({ status, label }) => {
+                  const group = trips.filter(alert => getTripStatus(alert) === status);
+                  return group.length > 0 && (
+                    <div key={status}>
+                      <h3 className="trips-group-title">{label}</h3>
+                      <div className="alerts-grid">{group.map(renderAlertCard)}</div>
                     </div>
-                    {alert.latestAuroraValue !== null && (
-                      <div className="info-item">
-                        <span className="info-label">Latest Value:</span>
-                        <span className="info-value latest-value">
-                          {alert.latestAuroraValue}/100
-                        </span>
-                        {alert.latestAuroraValueAt && (
-                          <span className="info-time">
-                            {new Date(alert.latestAuroraValueAt).toLocaleString()}
-                          </span>
-                        )}
-                      </div>
-                    )}
-                    {alert.last_notified_value !== null && (
-                      <div className="info-item">
-                        <span className="info-label">Last Notified:</span>
-                        <span className="info-value">
-                          Value {alert.last_notified_value}/100
-                        </span>
-                        {alert.last_notified_at && (
-                          <span className="info-time">
-                            {new Date(alert.last_notified_at).toLocaleString()}
-                          </span>
-                        )}
-                      </div>
-                    )}
-                  </div>
-                  
-                  {/* 24-hour history chart */}
-                  <AuroraHistoryChart history={alert.history || []} />
-                </div>
+                  );
+                })}
               </div>
-            ))}
-          </div>
+            )}
+          </>
         )}
       </div>
 
@@ -209,6 +698,8 @@ function AlertList({ user, onLogout }) {
           onSave={handleModalSave}
         />
       )}
+
+      {showApiKeys && <ApiKeysModal onClose={() => setShowApiKeys(false)} />}
     </div>
   );
 }
@@ -1,7 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, Marker, useMapEvents } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Polygon, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 import { apiRequest } from '../utils/api';
+import { DAY_LABELS, DEFAULT_WINDOW, getBrowserTimeZone, getTimeZones } from '../utils/activeHours';
+import { DARKNESS_OPTIONS } from '../utils/darkness';
+import { AGGREGATION_OPTIONS } from '../utils/searchRadius';
+import { toGeoJsonPolygon, fromGeoJsonPolygon } from '../utils/region';
+import { toDateTimeLocal } from '../utils/trips';
+import { SOLAR_WIND_METRICS } from '../utils/solarWind';
+import { buildSimpleRule, isSimpleRule } from '../utils/rules';
+import RuleBuilder from './RuleBuilder';
+import AlertRecipients from './AlertRecipients';
 import './AlertModal.css';
 
 // Fix for default marker icon in React-Leaflet
@@ -12,6 +21,9 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
 });
 
+// Draggable handle for a region corner
+const cornerIcon = L.divIcon({ className: 'region-corner', iconSize: [14, 14] });
+
 // Component to handle map clicks
 function MapClickHandler({ onMapClick }) {
   useMapEvents({
@@ -23,20 +35,111 @@ function MapClickHandler({ onMapClick }) {
 }
 
 function AlertModal({ alert, user, onClose, onSave }) {
+  const [name, setName] = useState(alert?.name || '');
+  const [notes, setNotes] = useState(alert?.notes || '');
   const [latitude, setLatitude] = useState(alert?.latitude || 64.8378); // Default: Fairbanks, Alaska
   const [longitude, setLongitude] = useState(alert?.longitude || -147.7164);
+  const [locationMode, setLocationMode] = useState(alert?.region ? 'region' : 'point');
+  const [regionCorners, setRegionCorners] = useState(fromGeoJsonPolygon(alert?.region));
   const [threshold, setThreshold] = useState(alert?.threshold || 15);
+  const [triggerType, setTriggerType] = useState(alert?.trigger_type || 'probability');
+  const [kpThreshold, setKpThreshold] = useState(alert?.kp_threshold ?? 5);
   const [incrementThreshold, setIncrementThreshold] = useState(alert?.increment_threshold || 10);
+  const [timezone, setTimezone] = useState(alert?.timezone || getBrowserTimeZone());
+  const [activeWindows, setActiveWindows] = useState(alert?.active_windows || []);
+  const [outsideWindowAction, setOutsideWindowAction] = useState(alert?.outside_window_action || 'defer');
+  const [darknessRequirement, setDarknessRequirement] = useState(alert?.darkness_requirement || 'civil');
+  const [moonBoost, setMoonBoost] = useState(alert?.moon_boost || 0);
+  const [cooldownHours, setCooldownHours] = useState(alert?.cooldown_hours || 12);
+  const [maxPerNight, setMaxPerNight] = useState(alert?.max_per_night ?? '');
+  const [resetBelow, setResetBelow] = useState(alert?.reset_below ?? '');
+  const [searchRadius, setSearchRadius] = useState(alert?.search_radius_km || 0);
+  const [aggregation, setAggregation] = useState(alert?.aggregation || 'max');
+  const [aggregationPercentile, setAggregationPercentile] = useState(alert?.aggregation_percentile || 90);
+  const [isTrip, setIsTrip] = useState(!!(alert?.starts_at || alert?.expires_at));
+  const [startsAt, setStartsAt] = useState(toDateTimeLocal(alert?.starts_at));
+  const [expiresAt, setExpiresAt] = useState(toDateTimeLocal(alert?.expires_at));
+  const [sustainedChecks, setSustainedChecks] = useState(alert?.sustained_checks ?? '');
+  const [sustainedMinutes, setSustainedMinutes] = useState(alert?.sustained_minutes ?? '');
+  const [notifyEnded, setNotifyEnded] = useState(alert?.ended_below !== null && alert?.ended_below !== undefined);
+  const [endedBelow, setEndedBelow] = useState(alert?.ended_below ?? Math.max(0, (alert?.threshold || 15) - 5));
+  const [endedAfterMinutes, setEndedAfterMinutes] = useState(alert?.ended_after_minutes || 30);
+  const [solarWindRule, setSolarWindRule] = useState(
+    alert?.solar_wind_rule || { metric: 'bz', operator: '<', value: -10, minutes: 15 }
+  );
+  const [warnOnSolarWind, setWarnOnSolarWind] = useState(!!alert?.solar_wind_rule);
+  const [forecastHeadsUp, setForecastHeadsUp] = useState(!!alert?.forecast_heads_up);
+  const [useCustomRule, setUseCustomRule] = useState(!!alert && !isSimpleRule(alert));
+  const [rule, setRule] = useState(alert?.rule || null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  const toggleCustomRule = (checked) => {
+    // Start from the rule the simple settings stand for
+    if (checked) {
+      setRule(buildSimpleRule({
+        trigger_type: triggerType,
+        threshold,
+        kp_threshold: kpThreshold,
+        darkness_requirement: darknessRequirement,
+      }));
+    }
+    setUseCustomRule(checked);
+  };
+
   const handleMapClick = (latlng) => {
+    if (locationMode === 'region') {
+      setRegionCorners([...regionCorners, [latlng.lat, latlng.lng]]);
+      return;
+    }
     setLatitude(latlng.lat);
     setLongitude(latlng.lng);
   };
 
+  // Regions and search radii combine several forecast cells into one value
+  const combinesCells = locationMode === 'region' || searchRadius > 0;
+
+  const moveCorner = (index, latlng) => {
+    setRegionCorners(regionCorners.map((corner, i) => (i === index ? [latlng.lat, latlng.lng] : corner)));
+  };
+
+  const removeCorner = (index) => {
+    setRegionCorners(regionCorners.filter((_, i) => i !== index));
+  };
+
+  const updateWindow = (index, changes) => {
+    setActiveWindows(activeWindows.map((window, i) => (i === index ? { ...window, ...changes } : window)));
+  };
+
+  const toggleWindowDay = (index, day) => {
+    const { days } = activeWindows[index];
+    updateWindow(index, {
+      days: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort((a, b) => a - b),
+    });
+  };
+
+  const removeWindow = (index) => {
+    setActiveWindows(activeWindows.filter((_, i) => i !== index));
+  };
+
   const handleSave = async () => {
     setError('');
+
+    if (locationMode === 'region' && regionCorners.length < 3) {
+      setError('Click at least 3 points on the map to draw a region');
+      return;
+    }
+
+    if (isTrip && !startsAt && !expiresAt) {
+      setError('Set a start or end date for the trip');
+      return;
+    }
+
+    if (triggerType !== 'kp' && notifyEnded && endedBelow >= threshold) {
+      setError('The "ended" level must be lower than the threshold');
+      return;
+    }
+
     setLoading(true);
 
     try {
@@ -45,14 +148,39 @@ function AlertModal({ alert, user, onClose, onSave }) {
 
       const response = await apiRequest(url, {
         method,
-        headers: {
-          'x-user-email': user.email,
-        },
         body: JSON.stringify({
-          latitude,
-          longitude,
+          name,
+          notes,
+          // Region alerts are located at the region's center, which the server works out
+          ...(locationMode === 'region'
+            ? { region: toGeoJsonPolygon(regionCorners) }
+            : { region: null, latitude, longitude }),
           threshold,
+          trigger_type: triggerType,
+          kp_threshold: triggerType === 'kp' ? kpThreshold : null,
           increment_threshold: incrementThreshold,
+          timezone,
+          active_windows: activeWindows.length > 0 ? activeWindows : null,
+          outside_window_action: outsideWindowAction,
+          darkness_requirement: darknessRequirement,
+          moon_boost: moonBoost,
+          cooldown_hours: cooldownHours,
+          max_per_night: maxPerNight === '' ? null : maxPerNight,
+          reset_below: triggerType === 'kp' || resetBelow === '' ? null : resetBelow,
+          search_radius_km: searchRadius,
+          aggregation,
+          aggregation_percentile: aggregationPercentile,
+          // datetime-local values are in the browser's time zone
+          starts_at: isTrip && startsAt ? new Date(startsAt).toISOString() : null,
+          expires_at: isTrip && expiresAt ? new Date(expiresAt).toISOString() : null,
+          ended_below: triggerType !== 'kp' && notifyEnded ? endedBelow : null,
+          ended_after_minutes: endedAfterMinutes,
+          sustained_checks: sustainedChecks === '' ? null : sustainedChecks,
+          sustained_minutes: sustainedMinutes === '' ? null : sustainedMinutes,
+          solar_wind_rule: warnOnSolarWind ? solarWindRule : null,
+          forecast_heads_up: forecastHeadsUp,
+          // Without a custom rule the server builds one from the threshold and darkness requirement
+          rule: useCustomRule ? rule : null,
         }),
       });
 
@@ -82,9 +210,56 @@ function AlertModal({ alert, user, onClose, onSave }) {
 
         <div className="modal-body">
           <div className="modal-section">
-            <h3>1. Select Location on Map</h3>
+            <h3>1. Name Your Alert</h3>
+            <p className="section-description">
+              Optional - used in the alert list and in alert emails
+            </p>
+            <div className="text-fields">
+              <div className="coordinate-item">
+                <label>Name:</label>
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="e.g. Cabin roof"
+                  maxLength={100}
+                />
+              </div>
+              <div className="coordinate-item">
+                <label>Notes:</label>
+                <textarea
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  placeholder="e.g. Park by the gate, best view north over the lake"
+                  maxLength={1000}
+                  rows={3}
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="modal-section">
+            <h3>2. Select Location on Map</h3>
+            <div className="location-mode">
+              <button
+                type="button"
+                onClick={() => setLocationMode('point')}
+                className={`day-toggle ${locationMode === 'point' ? 'selected' : ''}`}
+              >
+                📍 Point
+              </button>
+              <button
+                type="button"
+                onClick={() => setLocationMode('region')}
+                className={`day-toggle ${locationMode === 'region' ? 'selected' : ''}`}
+              >
+                ⬠ Region
+              </button>
+            </div>
             <p className="section-description">
-              Click on the map to select your alert location
+              {locationMode === 'region'
+                ? 'Click on the map to add corners. Drag a corner to move it, or click it to remove it.'
+                : 'Click on the map to select your alert location'}
             </p>
             <div className="map-container">
               <MapContainer
@@ -96,78 +271,562 @@ function AlertModal({ alert, user, onClose, onSave }) {
                   attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
                   url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
                 />
-                <Marker position={[latitude, longitude]} />
+                {locationMode === 'region' ? (
+                  <>
+                    {regionCorners.length > 1 && <Polygon positions={regionCorners} />}
+                    {regionCorners.map((corner, index) => (
+                      <Marker
+                        key={index}
+                        position={corner}
+                        icon={cornerIcon}
+                        draggable
+                        eventHandlers={{
+                          dragend: (e) => moveCorner(index, e.target.getLatLng()),
+                          click: () => removeCorner(index),
+                        }}
+                      />
+                    ))}
+                  </>
+                ) : (
+                  <Marker position={[latitude, longitude]} />
+                )}
                 <MapClickHandler onMapClick={handleMapClick} />
               </MapContainer>
             </div>
+            {locationMode === 'region' ? (
+              <div className="region-summary">
+                <span>{regionCorners.length} corners</span>
+                <button
+                  type="button"
+                  onClick={() => setRegionCorners([])}
+                  className="btn-secondary"
+                  disabled={regionCorners.length === 0}
+                >
+                  Clear Region
+                </button>
+              </div>
+            ) : (
+              <div className="coordinates-display">
+                <div className="coordinate-item">
+                  <label>Latitude:</label>
+                  <input
+                    type="number"
+                    value={latitude}
+                    onChange={(e) => setLatitude(parseFloat(e.target.value) || 0)}
+                    step="0.0001"
+                    min="-90"
+                    max="90"
+                  />
+                </div>
+                <div className="coordinate-item">
+                  <label>Longitude:</label>
+                  <input
+                    type="number"
+                    value={longitude}
+                    onChange={(e) => setLongitude(parseFloat(e.target.value) || 0)}
+                    step="0.0001"
+                    min="-180"
+                    max="180"
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="modal-section">
+            <h3>3. Set Aurora Threshold</h3>
+            <div className="location-mode">
+              <button
+                type="button"
+                onClick={() => setTriggerType('probability')}
+                className={`day-toggle ${triggerType === 'probability' ? 'selected' : ''}`}
+              >
+                🌌 Probability
+              </button>
+              <button
+                type="button"
+                onClick={() => setTriggerType('kp')}
+                className={`day-toggle ${triggerType === 'kp' ? 'selected' : ''}`}
+              >
+                🧲 Kp Index
+              </button>
+            </div>
+            {triggerType === 'kp' ? (
+              <>
+                <p className="section-description">
+                  Alert when the planetary Kp index reaches this level (0-9), wherever the aurora oval is tonight
+                </p>
+                <div className="threshold-container">
+                  <input
+                    type="range"
+                    min="0"
+                    max="9"
+                    value={kpThreshold}
+                    onChange={(e) => setKpThreshold(parseInt(e.target.value))}
+                    className="threshold-slider"
+                  />
+                  <div className="threshold-value-display">
+                    <span className="threshold-label">Kp ≥</span>
+                    <span className="threshold-number">{kpThreshold}</span>
+                  </div>
+                </div>
+              </>
+            ) : (
+              <>
+                <p className="section-description">
+                  Choose the minimum aurora probability level (1-100) to trigger an alert
+                </p>
+                <div className="threshold-container">
+                  <input
+                    type="range"
+                    min="1"
+                    max="100"
+                    value={threshold}
+                    onChange={(e) => setThreshold(parseInt(e.target.value))}
+                    className="threshold-slider"
+                  />
+                  <div className="threshold-value-display">
+                    <span className="threshold-number">{threshold}</span>
+                    <span className="threshold-label">/ 100</span>
+                  </div>
+                </div>
+                <p className="section-description">
+                  Values jitter from one check to the next. To ignore short spikes, only alert once the level
+                  has held for a number of checks (every 5 minutes) or minutes. Leave both empty to alert right away.
+                </p>
+                <div className="coordinates-display">
+                  <div className="coordinate-item">
+                    <label>Held for (checks):</label>
+                    <input
+                      type="number"
+                      value={sustainedChecks}
+                      onChange={(e) => setSustainedChecks(e.target.value === '' ? '' : parseInt(e.target.value))}
+                      placeholder="Off"
+                      min="2"
+                      max="24"
+                    />
+                  </div>
+                  <div className="coordinate-item">
+                    <label>Held for (minutes):</label>
+                    <input
+                      type="number"
+                      value={sustainedMinutes}
+                      onChange={(e) => setSustainedMinutes(e.target.value === '' ? '' : parseInt(e.target.value))}
+                      placeholder="Off"
+                      min="5"
+                      max="240"
+                    />
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="modal-section">
+            <h3>4. Set Repeat Notifications</h3>
+            {triggerType === 'kp' ? (
+              <p className="section-description">
+                Kp alerts notify again when the Kp index rises by a whole step.
+              </p>
+            ) : (
+              <>
+                <p className="section-description">
+                  Only notify when aurora value increases by this amount (1-50). Prevents spam notifications for small fluctuations.
+                </p>
+                <div className="threshold-container">
+                  <input
+                    type="range"
+                    min="1"
+                    max="50"
+                    value={incrementThreshold}
+                    onChange={(e) => setIncrementThreshold(parseInt(e.target.value))}
+                    className="threshold-slider"
+                  />
+                  <div className="threshold-value-display">
+                    <span className="threshold-number">{incrementThreshold}</span>
+                    <span className="threshold-label">units</span>
+                  </div>
+                </div>
+              </>
+            )}
+            <p className="section-description">
+              Without a big enough increase, notify again once the cooldown has passed. Leave the other
+              {triggerType === 'kp' ? ' field empty for no nightly limit.' : ' fields empty for no nightly limit and no reset.'}
+            </p>
             <div className="coordinates-display">
               <div className="coordinate-item">
-                <label>Latitude:</label>
+                <label>Cooldown (hours):</label>
                 <input
                   type="number"
-                  value={latitude}
-                  onChange={(e) => setLatitude(parseFloat(e.target.value) || 0)}
-                  step="0.0001"
-                  min="-90"
-                  max="90"
+                  value={cooldownHours}
+                  onChange={(e) => setCooldownHours(parseInt(e.target.value) || 1)}
+                  min="1"
+                  max="168"
                 />
               </div>
               <div className="coordinate-item">
-                <label>Longitude:</label>
+                <label>Max per night:</label>
                 <input
                   type="number"
-                  value={longitude}
-                  onChange={(e) => setLongitude(parseFloat(e.target.value) || 0)}
-                  step="0.0001"
-                  min="-180"
-                  max="180"
+                  value={maxPerNight}
+                  onChange={(e) => setMaxPerNight(e.target.value === '' ? '' : parseInt(e.target.value))}
+                  placeholder="No limit"
+                  min="1"
+                  max="20"
                 />
               </div>
+              {triggerType !== 'kp' && (
+                <div className="coordinate-item">
+                  <label>Reset below:</label>
+                  <input
+                    type="number"
+                    value={resetBelow}
+                    onChange={(e) => setResetBelow(e.target.value === '' ? '' : parseInt(e.target.value))}
+                    placeholder="Off"
+                    min="0"
+                    max="100"
+                  />
+                </div>
+              )}
             </div>
           </div>
 
           <div className="modal-section">
-            <h3>2. Set Aurora Threshold</h3>
+            <h3>5. Set Active Hours</h3>
             <p className="section-description">
-              Choose the minimum aurora probability level (1-100) to trigger an alert
+              Only send alerts during these times, e.g. 21:00–03:00 on weeknights. Windows that end
+              before they start run past midnight. Leave empty to get alerts at any time.
             </p>
-            <div className="threshold-container">
-              <input
-                type="range"
-                min="1"
-                max="100"
-                value={threshold}
-                onChange={(e) => setThreshold(parseInt(e.target.value))}
-                className="threshold-slider"
-              />
-              <div className="threshold-value-display">
-                <span className="threshold-number">{threshold}</span>
-                <span className="threshold-label">/ 100</span>
+            <div className="coordinate-item">
+              <label>Time Zone:</label>
+              <select value={timezone} onChange={(e) => setTimezone(e.target.value)}>
+                {getTimeZones().map((zone) => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </select>
+            </div>
+
+            {activeWindows.map((window, index) => (
+              <div key={index} className="active-window">
+                <div className="active-window-days">
+                  {DAY_LABELS.map((label, day) => (
+                    <button
+                      key={label}
+                      type="button"
+                      onClick={() => toggleWindowDay(index, day)}
+                      className={`day-toggle ${window.days.includes(day) ? 'selected' : ''}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div className="active-window-times">
+                  <input
+                    type="time"
+                    value={window.start}
+                    onChange={(e) => updateWindow(index, { start: e.target.value })}
+                  />
+                  <span>to</span>
+                  <input
+                    type="time"
+                    value={window.end}
+                    onChange={(e) => updateWindow(index, { end: e.target.value })}
+                  />
+                  <button type="button" onClick={() => removeWindow(index)} className="btn-icon" title="Remove">
+                    🗑️
+                  </button>
+                </div>
+              </div>
+            ))}
+
+            <button
+              type="button"
+              onClick={() => setActiveWindows([...activeWindows, { ...DEFAULT_WINDOW }])}
+              className="btn-secondary btn-add-window"
+            >
+              + Add Time Window
+            </button>
+
+            {activeWindows.length > 0 && (
+              <div className="outside-window-options">
+                <label>
+                  <input
+                    type="radio"
+                    checked={outsideWindowAction === 'defer'}
+                    onChange={() => setOutsideWindowAction('defer')}
+                  />
+                  Outside these hours, hold alerts and send them when the window opens
+                </label>
+                <label>
+                  <input
+                    type="radio"
+                    checked={outsideWindowAction === 'suppress'}
+                    onChange={() => setOutsideWindowAction('suppress')}
+                  />
+                  Outside these hours, skip alerts
+                </label>
               </div>
+            )}
+          </div>
+
+          <div className="modal-section">
+            <h3>6. Set Darkness Requirement</h3>
+            <p className="section-description">
+              Aurora is only visible once the sun is well below the horizon. No alerts are sent before
+              it is this dark at the alert location.
+            </p>
+            <div className="outside-window-options">
+              {DARKNESS_OPTIONS.map((option) => (
+                <label key={option.value}>
+                  <input
+                    type="radio"
+                    checked={darknessRequirement === option.value}
+                    onChange={() => setDarknessRequirement(option.value)}
+                  />
+                  <strong>{option.label}</strong> - {option.description}
+                </label>
+              ))}
             </div>
           </div>
 
           <div className="modal-section">
-            <h3>3. Set Notification Increment</h3>
+            <h3>7. Adjust for a Bright Moon</h3>
             <p className="section-description">
-              Only notify when aurora value increases by this amount (1-50). Prevents spam notifications for small fluctuations.
+              A bright moon washes out weak aurora. Raise the threshold by this much while the moon is
+              at least half lit and above the horizon (0 turns this off).
             </p>
             <div className="threshold-container">
               <input
                 type="range"
-                min="1"
+                min="0"
                 max="50"
-                value={incrementThreshold}
-                onChange={(e) => setIncrementThreshold(parseInt(e.target.value))}
+                value={moonBoost}
+                onChange={(e) => setMoonBoost(parseInt(e.target.value))}
                 className="threshold-slider"
               />
               <div className="threshold-value-display">
-                <span className="threshold-number">{incrementThreshold}</span>
-                <span className="threshold-label">units</span>
+                <span className="threshold-number">{moonBoost > 0 ? `+${moonBoost}` : 'Off'}</span>
               </div>
             </div>
           </div>
 
+          <div className="modal-section">
+            <h3>8. {locationMode === 'region' ? 'Combine the Region' : 'Search Nearby'}</h3>
+            <p className="section-description">
+              {locationMode === 'region'
+                ? 'Choose how the forecast cells inside your region are combined into one value.'
+                : `Willing to drive for a better view? Look at every forecast cell within this distance
+                  instead of only the closest one (0 turns this off).`}
+            </p>
+            {locationMode === 'point' && (
+              <div className="threshold-container">
+                <input
+                  type="range"
+                  min="0"
+                  max="500"
+                  step="10"
+                  value={searchRadius}
+                  onChange={(e) => setSearchRadius(parseInt(e.target.value))}
+                  className="threshold-slider"
+                />
+                <div className="threshold-value-display">
+                  <span className="threshold-number">{searchRadius > 0 ? searchRadius : 'Off'}</span>
+                  {searchRadius > 0 && <span className="threshold-label">km</span>}
+                </div>
+              </div>
+            )}
+
+            {combinesCells && (
+              <div className="outside-window-options">
+                {AGGREGATION_OPTIONS.map((option) => (
+                  <label key={option.value}>
+                    <input
+                      type="radio"
+                      checked={aggregation === option.value}
+                      onChange={() => setAggregation(option.value)}
+                    />
+                    <strong>{option.label}</strong> - {option.description}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {combinesCells && aggregation === 'percentile' && (
+              <div className="coordinate-item">
+                <label>Percentile:</label>
+                <input
+                  type="number"
+                  value={aggregationPercentile}
+                  onChange={(e) => setAggregationPercentile(parseInt(e.target.value) || 1)}
+                  min="1"
+                  max="99"
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="modal-section">
+            <h3>9. Make It a Trip</h3>
+            <p className="section-description">
+              Only check this alert between these dates. Once the trip is over the alert is archived
+              under Past Trips, along with the highest value seen during the trip.
+            </p>
+            <label className="trip-toggle">
+              <input type="checkbox" checked={isTrip} onChange={(e) => setIsTrip(e.target.checked)} />
+              This alert is for a trip
+            </label>
+            {isTrip && (
+              <div className="coordinates-display">
+                <div className="coordinate-item">
+                  <label>Starts:</label>
+                  <input type="datetime-local" value={startsAt} onChange={(e) => setStartsAt(e.target.value)} />
+                </div>
+                <div className="coordinate-item">
+                  <label>Ends:</label>
+                  <input type="datetime-local" value={expiresAt} onChange={(e) => setExpiresAt(e.target.value)} />
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="modal-section">
+            <h3>10. Tell Me When It Ends</h3>
+            {triggerType === 'kp' ? (
+              <p className="section-description">
+                Follow-ups watch the aurora probability, so they aren't available for Kp alerts.
+              </p>
+            ) : (
+              <>
+                <p className="section-description">
+                  After an alert, send one follow-up once the value has stayed below a lower level for a while.
+                  Keeping this level below the threshold stops small dips from ending the event.
+                </p>
+                <label className="trip-toggle">
+                  <input type="checkbox" checked={notifyEnded} onChange={(e) => setNotifyEnded(e.target.checked)} />
+                  Notify me when the activity has ended
+                </label>
+                {notifyEnded && (
+                  <div className="coordinates-display">
+                    <div className="coordinate-item">
+                      <label>Ended below:</label>
+                      <input
+                        type="number"
+                        value={endedBelow}
+                        onChange={(e) => setEndedBelow(parseInt(e.target.value) || 0)}
+                        min="0"
+                        max="99"
+                      />
+                    </div>
+                    <div className="coordinate-item">
+                      <label>For (minutes):</label>
+                      <input
+                        type="number"
+                        value={endedAfterMinutes}
+                        onChange={(e) => setEndedAfterMinutes(parseInt(e.target.value) || 5)}
+                        min="5"
+                        max="240"
+                      />
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+
+          <div className="modal-section">
+            <h3>11. Warn Me Early From the Solar Wind</h3>
+            <p className="section-description">
+              Solar wind conditions measured upstream of Earth often come before aurora by up to an hour.
+              Get a heads-up when they meet your rule, before the forecast catches up.
+            </p>
+            <label className="trip-toggle">
+              <input type="checkbox" checked={warnOnSolarWind} onChange={(e) => setWarnOnSolarWind(e.target.checked)} />
+              Send a solar wind early warning
+            </label>
+            {warnOnSolarWind && (
+              <div className="coordinates-display">
+                <div className="coordinate-item">
+                  <label>Measure:</label>
+                  <select
+                    value={solarWindRule.metric}
+                    onChange={(e) => setSolarWindRule({ ...solarWindRule, metric: e.target.value })}
+                  >
+                    {SOLAR_WIND_METRICS.map(({ value, label, unit }) => (
+                      <option key={value} value={value}>{label} ({unit})</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="coordinate-item">
+                  <label>Is:</label>
+                  <select
+                    value={solarWindRule.operator}
+                    onChange={(e) => setSolarWindRule({ ...solarWindRule, operator: e.target.value })}
+                  >
+                    <option value="<">Below</option>
+                    <option value=">">Above</option>
+                  </select>
+                </div>
+                <div className="coordinate-item">
+                  <label>Value:</label>
+                  <input
+                    type="number"
+                    value={solarWindRule.value}
+                    onChange={(e) => setSolarWindRule({ ...solarWindRule, value: parseFloat(e.target.value) || 0 })}
+                    step="0.1"
+                  />
+                </div>
+                <div className="coordinate-item">
+                  <label>For (minutes):</label>
+                  <input
+                    type="number"
+                    value={solarWindRule.minutes}
+                    onChange={(e) => setSolarWindRule({ ...solarWindRule, minutes: parseInt(e.target.value) || 0 })}
+                    min="0"
+                    max="180"
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="modal-section">
+            <h3>12. Give Me a Heads-Up Days Ahead</h3>
+            <p className="section-description">
+              NOAA's 3-day forecast predicts geomagnetic activity in 3-hour blocks. Get one email when it expects
+              a storm (Kp 5 or more) in the next 72 hours{isTrip ? ' during your trip' : ''}, so you can plan ahead.
+            </p>
+            <label className="trip-toggle">
+              <input type="checkbox" checked={forecastHeadsUp} onChange={(e) => setForecastHeadsUp(e.target.checked)} />
+              Email me when a storm is expected
+            </label>
+          </div>
+
+          <div className="modal-section">
+            <h3>13. Combine Conditions</h3>
+            <p className="section-description">
+              Alert on a combination of conditions instead of just the threshold and darkness requirement,
+              e.g. a lower probability while it's rising fast, or any activity during a weekend window.
+              Repeat notifications, active hours and the other settings above still apply.
+            </p>
+            <label className="trip-toggle">
+              <input type="checkbox" checked={useCustomRule} onChange={(e) => toggleCustomRule(e.target.checked)} />
+              Use a custom rule
+            </label>
+            {useCustomRule && rule && <RuleBuilder rule={rule} onChange={setRule} />}
+          </div>
+
+          {alert && (
+            <div className="modal-section">
+              <h3>14. Share With Others</h3>
+              <p className="section-description">
+                Invite people who watch the same spot. They get an email to accept or decline, then receive this
+                alert's notifications with their own repeat tracking. Only you can change the alert.
+                Invitations are sent right away.
+              </p>
+              <AlertRecipients alertId={alert.id} initialRecipients={alert.recipients} />
+            </div>
+          )}
+
           {error && <div className="error-message">{error}</div>}
         </div>
 
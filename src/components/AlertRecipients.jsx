@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { apiRequest } from '../utils/api';
+import './AlertRecipients.css';
+
+const STATUS_LABELS = {
+  pending: 'Invited',
+  accepted: 'Member',
+  declined: 'Declined',
+};
+
+/**
+ * People an alert is shared with: invite by email, resend or remove
+ * Changes are saved right away (invitations are emailed when sent), not with the rest of the alert.
+ * @param {number} alertId - Alert ID
+ * @param {Array} initialRecipients - Recipients from the alert list
+ */
+function AlertRecipients({ alertId, initialRecipients }) {
+  const [recipients, setRecipients] = useState(initialRecipients || []);
+  const [email, setEmail] = useState('');
+  const [inviting, setInviting] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchRecipients = async () => {
+    try {
+      const response = await apiRequest(`/api/alerts/${alertId}/recipients`);
+      const data = await response.json();
+      if (data.success) {
+        setRecipients(data.recipients);
+      }
+    } catch (err) {
+      console.error('Error fetching recipients:', err);
+    }
+  };
+
+  const invite = async (address) => {
+    setError('');
+    setInviting(true);
+
+    try {
+      const response = await apiRequest(`/api/alerts/${alertId}/recipients`, {
+        method: 'POST',
+        body: JSON.stringify({ email: address }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send invitation');
+      }
+
+      setRecipients(data.recipients);
+      setEmail('');
+    } catch (err) {
+      setError(err.message);
+      // A failed email still leaves the invitation in place, ready to resend
+      fetchRecipients();
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    invite(email);
+  };
+
+  const handleRemove = async (recipient) => {
+    if (!window.confirm(`Stop sharing this alert with ${recipient.email}?`)) {
+      return;
+    }
+
+    try {
+      const response = await apiRequest(`/api/alerts/${alertId}/recipients/${recipient.id}`, {
+        method: 'DELETE',
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        fetchRecipients();
+      } else {
+        alert(data.error || 'Failed to remove recipient');
+      }
+    } catch (err) {
+      console.error('Error removing recipient:', err);
+      alert('Failed to remove recipient');
+    }
+  };
+
+  return (
+    <div className="alert-recipients">
+      <form onSubmit={handleInvite} className="recipient-form">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="friend@example.com"
+          required
+          disabled={inviting}
+        />
+        <button type="submit" className="btn-secondary" disabled={inviting}>
+          {inviting ? 'Inviting...' : 'Invite'}
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {recipients.length > 0 && (
+        <ul className="recipient-list">
+          {recipients.map((recipient) => (
+            <li key={recipient.id} className="recipient-item">
+              <div>
+                <span className="recipient-email">{recipient.email}</span>
+                <span className={`recipient-status status-${recipient.status}`}>
+                  {STATUS_LABELS[recipient.status]}
+                </span>
+              </div>
+              <div className="recipient-actions">
+                {recipient.status !== 'accepted' && (
+                  <button
+                    type="button"
+                    className="recipient-link"
+                    onClick={() => invite(recipient.email)}
+                    disabled={inviting}
+                  >
+                    Resend
+                  </button>
+                )}
+                <button type="button" className="btn-icon" onClick={() => handleRemove(recipient)} title="Remove">
+                  🗑️
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default AlertRecipients;
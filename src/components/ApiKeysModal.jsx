@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../utils/api';
+import './AlertModal.css';
+import './ApiKeysModal.css';
+
+function ApiKeysModal({ onClose }) {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [scope, setScope] = useState('read');
+  const [creating, setCreating] = useState(false);
+  const [newKey, setNewKey] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, []);
+
+  const fetchApiKeys = async () => {
+    try {
+      const response = await apiRequest('/api/api-keys');
+      const data = await response.json();
+      if (data.success) {
+        setApiKeys(data.apiKeys);
+      }
+    } catch (err) {
+      console.error('Error fetching API keys:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setCreating(true);
+
+    try {
+      const response = await apiRequest('/api/api-keys', {
+        method: 'POST',
+        body: JSON.stringify({ name, scope }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create API key');
+      }
+
+      setNewKey(data.key);
+      setName('');
+      fetchApiKeys();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    try {
+      const response = await apiRequest(`/api/api-keys/${apiKey.id}`, {
+        method: 'DELETE',
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        fetchApiKeys();
+      } else {
+        alert('Failed to revoke API key');
+      }
+    } catch (err) {
+      console.error('Error revoking API key:', err);
+      alert('Failed to revoke API key');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>API Keys</h2>
+          <button onClick={onClose} className="btn-close">
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="modal-section">
+            <h3>Create a Key</h3>
+            <p className="section-description">
+              Use API keys to manage alerts from scripts. Send the key as
+              {' '}<code>Authorization: Bearer &lt;key&gt;</code> to <code>/api/alerts</code>.
+            </p>
+            <form onSubmit={handleCreate} className="api-key-form">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Key name, e.g. Observatory sync"
+                maxLength={100}
+                required
+                disabled={creating}
+              />
+              <select value={scope} onChange={(e) => setScope(e.target.value)} disabled={creating}>
+                <option value="read">Read-only</option>
+                <option value="write">Read-write</option>
+              </select>
+              <button type="submit" className="btn-secondary" disabled={creating}>
+                {creating ? 'Creating...' : 'Create'}
+              </button>
+            </form>
+
+            {newKey && (
+              <div className="api-key-created">
+                <p>Copy your new key now. You won't be able to see it again.</p>
+                <code>{newKey}</code>
+              </div>
+            )}
+
+            {error && <div className="error-message">{error}</div>}
+          </div>
+
+          <div className="modal-section">
+            <h3>Your Keys</h3>
+            {loading ? (
+              <p className="section-description">Loading...</p>
+            ) : apiKeys.length === 0 ? (
+              <p className="section-description">You don't have any API keys yet.</p>
+            ) : (
+              <ul className="api-key-list">
+                {apiKeys.map((apiKey) => (
+                  <li key={apiKey.id} className="api-key-item">
+                    <div>
+                      <div className="api-key-name">
+                        {apiKey.name}
+                        <span className={`api-key-scope scope-${apiKey.scope}`}>
+                          {apiKey.scope === 'write' ? 'Read-write' : 'Read-only'}
+                        </span>
+                      </div>
+                      <div className="api-key-meta">
+                        <code>{apiKey.key_prefix}…</code>
+                        {' · '}Created {new Date(apiKey.created_at).toLocaleDateString()}
+                        {' · '}
+                        {apiKey.last_used_at
+                          ? `Last used ${new Date(apiKey.last_used_at).toLocaleString()}`
+                          : 'Never used'}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => handleRevoke(apiKey)}
+                      className="btn-icon"
+                      title="Revoke"
+                    >
+                      🗑️
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          <button onClick={onClose} className="btn-secondary">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ApiKeysModal;
@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { MapContainer, TileLayer, Popup, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, Popup, Polygon, Tooltip, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import { apiRequest } from '../utils/api';
+import { fromGeoJsonPolygon } from '../utils/region';
 import './AuroraMapView.css';
 
 // Fix for default marker icon in React-Leaflet
@@ -340,7 +341,7 @@ function MapClickHandler({ onMapClick, dataPoints }) {
   return null;
 }
 
-function AuroraMapView({ user, onBack }) {
+function AuroraMapView({ user, alerts = [], onBack }) {
   const [mapData, setMapData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedHoursAgo, setSelectedHoursAgo] = useState(0);
@@ -356,17 +357,13 @@ function AuroraMapView({ user, onBack }) {
     try {
       setLoading(true);
       setError('');
-      const response = await apiRequest(`/api/alerts/map-data?hoursAgo=${selectedHoursAgo}`, {
-        headers: {
-          'x-user-email': user.email,
-        },
-      });
+      const response = await apiRequest(`/api/alerts/map-data?hoursAgo=${selectedHoursAgo}`);
       const data = await response.json();
       if (data.success) {
         console.log('Map data loaded:', data.data?.length, 'points');
         setMapData(data.data || []);
       } else {
-        setError('Failed to load map data');
+        setError(data.error || 'Failed to load map data');
       }
     } catch (err) {
       console.error('Error fetching map data:', err);
@@ -508,6 +505,17 @@ function AuroraMapView({ user, onBack }) {
           />
           
           <CanvasOverlay dataPoints={filteredData} />
+
+          {/* Regions watched by the user's alerts */}
+          {alerts.filter(alert => alert.region).map(alert => (
+            <Polygon
+              key={alert.id}
+              positions={fromGeoJsonPolygon(alert.region)}
+              pathOptions={{ color: '#667eea', weight: 2, fillOpacity: 0.05 }}
+            >
+              <Tooltip>{alert.name || `Alert #${alert.id}`}</Tooltip>
+            </Polygon>
+          ))}
           
           <MapClickHandler 
             onMapClick={handleMapClick}
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../utils/api';
+import './Login.css';
+
+/**
+ * Confirmation page for the account deletion link
+ * Works without logging in; the signed token identifies the account
+ */
+function DeleteAccount({ token, onDeleted, onContinue }) {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [deleted, setDeleted] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchInfo();
+  }, []);
+
+  const fetchInfo = async () => {
+    try {
+      const response = await apiRequest(`/api/account/delete?token=${encodeURIComponent(token)}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'This deletion link is invalid');
+      }
+
+      setEmail(data.email);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setError('');
+    setWorking(true);
+
+    try {
+      const response = await apiRequest('/api/account/delete', {
+        method: 'POST',
+        body: JSON.stringify({ token }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete account');
+      }
+
+      setDeleted(true);
+      onDeleted(email);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="app-loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>{deleted ? '👋 Account Deleted' : '🗑️ Delete Account'}</h1>
+          {deleted && <p>Your account and all of your alerts have been deleted.</p>}
+          {!deleted && email && (
+            <p>
+              Permanently delete the account for <strong>{email}</strong>? All alerts, their history
+              and API keys will be removed. This cannot be undone.
+            </p>
+          )}
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {!deleted && email && (
+          <button onClick={handleDelete} disabled={working} className="btn-primary">
+            {working ? 'Deleting...' : 'Delete My Account'}
+          </button>
+        )}
+
+        <div className="login-footer">
+          <button type="button" onClick={onContinue} className="btn-link">
+            {deleted ? 'Go to Aurora Alerter' : 'Keep My Account'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DeleteAccount;
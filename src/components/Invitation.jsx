@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../utils/api';
+import './Login.css';
+
+/**
+ * Page for the links in shared alert invitations
+ * Works without logging in; the signed token identifies the invitation
+ */
+function Invitation({ token, onContinue }) {
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchInvitation();
+  }, []);
+
+  const fetchInvitation = async () => {
+    try {
+      const response = await apiRequest(`/api/invitations/link?token=${encodeURIComponent(token)}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'This invitation link is invalid');
+      }
+
+      setInvitation(data.invitation);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const respond = async (accept) => {
+    setError('');
+    setWorking(true);
+
+    try {
+      const response = await apiRequest('/api/invitations/link', {
+        method: 'POST',
+        body: JSON.stringify({ token, accept }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Something went wrong');
+      }
+
+      setInvitation(data.invitation);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="app-loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  const place = invitation && (invitation.alert.name
+    ? `${invitation.alert.name} (${invitation.alert.cityName})`
+    : invitation.alert.cityName);
+
+  let title = '📨 Shared Alert';
+  let text = invitation && `${invitation.alert.owner_email} invited you to their aurora alert for ${place}.`;
+  if (invitation?.status === 'accepted') {
+    title = '✅ You\'re In';
+    text = `You'll get an email whenever the alert for ${place} goes off. ` +
+      `Log in as ${invitation.email} to see it in your alert list.`;
+  } else if (invitation?.status === 'declined') {
+    title = '🔕 Declined';
+    text = `You won't receive ${invitation.alert.owner_email}'s alert for ${place}.`;
+  }
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>{title}</h1>
+          {invitation && <p>{text}</p>}
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {invitation && invitation.status !== 'accepted' && (
+          <button onClick={() => respond(true)} disabled={working} className="btn-primary">
+            {working ? 'Saving...' : 'Accept Invitation'}
+          </button>
+        )}
+
+        {invitation && invitation.status !== 'declined' && (
+          <div className="login-footer">
+            <button type="button" onClick={() => respond(false)} disabled={working} className="btn-link">
+              {invitation.status === 'accepted' ? 'Leave this alert' : 'Decline'}
+            </button>
+          </div>
+        )}
+
+        <div className="login-footer">
+          <button type="button" onClick={onContinue} className="btn-link">
+            Go to Aurora Alerter
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Invitation;
@@ -0,0 +1,84 @@
+import React, { useMemo } from 'react';
+import { formatKp } from '../utils/kp';
+import './KpForecastStrip.css';
+
+// Predicted Kp at which NOAA expects a geomagnetic storm (G1)
+const STORM_KP = 5;
+
+const BLOCK_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * Get the colour band for a predicted Kp value
+ */
+function getKpLevel(kp) {
+  if (kp >= STORM_KP) return 'storm';
+  if (kp >= 4) return 'active';
+  return 'quiet';
+}
+
+/**
+ * Strip of NOAA's 3-day Kp forecast, one bar per 3-hour block
+ * @param {Array} forecast - Array of {start, kp, scale} blocks
+ * @param {string} [startsAt] - Trip start (ISO date); blocks outside the trip are dimmed
+ * @param {string} [expiresAt] - Trip end (ISO date)
+ */
+function KpForecastStrip({ forecast = [], startsAt, expiresAt }) {
+  // Group the blocks by local day so each day gets a label
+  const days = useMemo(() => {
+    const groups = [];
+
+    forecast.forEach((block) => {
+      const start = new Date(block.start);
+      const label = start.toLocaleDateString([], { weekday: 'short', day: 'numeric' });
+      const inTrip = (!startsAt || start.getTime() + BLOCK_MS > new Date(startsAt).getTime()) &&
+        (!expiresAt || start < new Date(expiresAt));
+
+      if (groups.length === 0 || groups[groups.length - 1].label !== label) {
+        groups.push({ label, blocks: [] });
+      }
+      groups[groups.length - 1].blocks.push({ ...block, startDate: start, inTrip });
+    });
+
+    return groups;
+  }, [forecast, startsAt, expiresAt]);
+
+  if (days.length === 0) {
+    return null;
+  }
+
+  const peak = Math.max(...forecast.map((block) => block.kp));
+
+  return (
+    <div className="kp-forecast">
+      <div className="kp-forecast-title">
+        3-Day Kp Forecast
+        <span className={`kp-forecast-peak kp-${getKpLevel(peak)}`}>
+          Peak Kp {formatKp(peak)}
+        </span>
+      </div>
+      <div className="kp-forecast-strip">
+        {days.map((day) => (
+          <div key={day.label} className="kp-forecast-day" style={{ flexGrow: day.blocks.length }}>
+            <div className="kp-forecast-bars">
+              {day.blocks.map((block) => (
+                <div
+                  key={block.start}
+                  className={`kp-forecast-bar kp-${getKpLevel(block.kp)}${block.inTrip ? '' : ' kp-outside-trip'}`}
+                  style={{ height: `${Math.max(8, (block.kp / 9) * 100)}%` }}
+                  title={`${block.startDate.toLocaleString([], {
+                    weekday: 'short',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                  })}: Kp ${formatKp(block.kp)}${block.scale ? ` (${block.scale})` : ''}`}
+                />
+              ))}
+            </div>
+            <div className="kp-forecast-day-label">{day.label}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default KpForecastStrip;
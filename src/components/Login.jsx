@@ -2,14 +2,14 @@ import React, { useState } from 'react';
 import { apiRequest } from '../utils/api';
 import './Login.css';
 
-function Login({ onLogin }) {
-  const [email, setEmail] = useState('');
+function Login({ initialEmail = '', initialError = '', linkExpired = false }) {
+  const [email, setEmail] = useState(initialEmail);
   const [isRegistering, setIsRegistering] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
+  const [error, setError] = useState(initialError);
+  const [sentTo, setSentTo] = useState(null);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const requestLoginLink = async () => {
     setError('');
     setLoading(true);
 
@@ -26,7 +26,7 @@ function Login({ onLogin }) {
         throw new Error(data.error || 'Authentication failed');
       }
 
-      onLogin(data.user);
+      setSentTo({ email, isRegistering });
     } catch (err) {
       setError(err.message);
     } finally {
@@ -34,13 +34,78 @@ function Login({ onLogin }) {
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    requestLoginLink();
+  };
+
+  const handleUseDifferentEmail = () => {
+    setSentTo(null);
+    setError('');
+  };
+
+  if (sentTo) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <div className="login-header">
+            <h1>📬 Check your inbox</h1>
+            {sentTo.isRegistering ? (
+              <p>
+                We sent an email to <strong>{sentTo.email}</strong>.
+                Click the link in it to confirm your address and log in.
+                We won't send any aurora alerts until you do.
+              </p>
+            ) : (
+              <p>
+                We sent a login link to <strong>{sentTo.email}</strong>.
+                Click the link in the email to log in. It can only be used once and expires shortly.
+              </p>
+            )}
+          </div>
+
+          {error && <div className="error-message">{error}</div>}
+
+          <button
+            type="button"
+            onClick={requestLoginLink}
+            disabled={loading}
+            className="btn-primary"
+          >
+            {loading ? 'Sending...' : 'Resend Link'}
+          </button>
+
+          <div className="login-footer">
+            <button
+              type="button"
+              onClick={handleUseDifferentEmail}
+              className="btn-link"
+            >
+              Use a different email
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="login-container">
       <div className="login-card">
-        <div className="login-header">
-          <h1>🌌 Aurora Alerter</h1>
-          <p>Get notified when aurora activity reaches your threshold</p>
-        </div>
+        {linkExpired ? (
+          <div className="login-header">
+            <h1>⏰ Link expired</h1>
+            <p>
+              This link has expired or was already used. Links in alert emails only work once,
+              for a limited time. Request a new login link below to continue.
+            </p>
+          </div>
+        ) : (
+          <div className="login-header">
+            <h1>🌌 Aurora Alerter</h1>
+            <p>Get notified when aurora activity reaches your threshold</p>
+          </div>
+        )}
 
         <form onSubmit={handleSubmit} className="login-form">
           <div className="form-group">
@@ -59,7 +124,7 @@ function Login({ onLogin }) {
           {error && <div className="error-message">{error}</div>}
 
           <button type="submit" disabled={loading} className="btn-primary">
-            {loading ? 'Loading...' : (isRegistering ? 'Register' : 'Login')}
+            {loading ? 'Sending...' : (isRegistering ? 'Register' : 'Email Me a Login Link')}
           </button>
         </form>
 
@@ -80,4 +145,3 @@ function Login({ onLogin }) {
 }
 
 export default Login;
-
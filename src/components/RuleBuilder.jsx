@@ -0,0 +1,228 @@
+import React from 'react';
+import { DAY_LABELS } from '../utils/activeHours';
+import { DARKNESS_OPTIONS } from '../utils/darkness';
+import { MAX_RULE_DEPTH, RULE_CONDITION_OPTIONS, createCondition } from '../utils/rules';
+import './RuleBuilder.css';
+
+/**
+ * Editor for an alert's rule tree: conditions combined into "all of" / "any of" groups, any of which can be negated
+ * @param {Object} rule - Rule tree ({op, conditions}, {op: 'not', condition} or a condition)
+ * @param {Function} onChange - Called with the new rule tree
+ */
+function RuleBuilder({ rule, onChange }) {
+  return (
+    <div className="rule-builder">
+      <RuleNode node={rule} onChange={onChange} depth={1} />
+    </div>
+  );
+}
+
+/**
+ * One node of the rule tree (a group, a negation or a condition)
+ */
+function RuleNode({ node, onChange, onRemove, depth }) {
+  if (node.op === 'not') {
+    return (
+      <div className="rule-not">
+        <div className="rule-not-header">
+          <span className="rule-not-label">NOT</span>
+          <button type="button" className="rule-link" onClick={() => onChange(node.condition)}>
+            Remove NOT
+          </button>
+        </div>
+        <RuleNode
+          node={node.condition}
+          onChange={(condition) => onChange({ op: 'not', condition })}
+          onRemove={onRemove}
+          depth={depth + 1}
+        />
+      </div>
+    );
+  }
+
+  const canNest = depth < MAX_RULE_DEPTH;
+  const negate = canNest && (
+    <button type="button" className="rule-link" onClick={() => onChange({ op: 'not', condition: node })}>
+      Negate
+    </button>
+  );
+  const remove = onRemove && (
+    <button type="button" className="btn-icon" onClick={onRemove} title="Remove">
+      🗑️
+    </button>
+  );
+
+  if (node.op === 'and' || node.op === 'or') {
+    const updateChild = (index, child) => {
+      onChange({ ...node, conditions: node.conditions.map((condition, i) => (i === index ? child : condition)) });
+    };
+    const removeChild = (index) => {
+      onChange({ ...node, conditions: node.conditions.filter((_, i) => i !== index) });
+    };
+
+    return (
+      <div className="rule-group">
+        <div className="rule-group-header">
+          <select value={node.op} onChange={(e) => onChange({ ...node, op: e.target.value })}>
+            <option value="and">All of these</option>
+            <option value="or">Any of these</option>
+          </select>
+          {negate}
+          {remove}
+        </div>
+        {node.conditions.map((condition, index) => (
+          <RuleNode
+            key={index}
+            node={condition}
+            onChange={(child) => updateChild(index, child)}
+            onRemove={node.conditions.length > 1 ? () => removeChild(index) : null}
+            depth={depth + 1}
+          />
+        ))}
+        <div className="rule-group-actions">
+          <button
+            type="button"
+            className="rule-link"
+            onClick={() => onChange({ ...node, conditions: [...node.conditions, createCondition('probability')] })}
+          >
+            + Condition
+          </button>
+          {canNest && (
+            <button
+              type="button"
+              className="rule-link"
+              onClick={() => onChange({
+                ...node,
+                conditions: [...node.conditions, { op: 'or', conditions: [createCondition('probability')] }],
+              })}
+            >
+              + Group
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="rule-condition">
+      <select value={node.type} onChange={(e) => onChange(createCondition(e.target.value))}>
+        {RULE_CONDITION_OPTIONS.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <ConditionFields condition={node} onChange={onChange} />
+      {negate}
+      {remove}
+    </div>
+  );
+}
+
+/**
+ * Inputs for a condition's settings
+ */
+function ConditionFields({ condition, onChange }) {
+  const update = (changes) => onChange({ ...condition, ...changes });
+
+  switch (condition.type) {
+    case 'probability':
+      return (
+        <span className="rule-fields">
+          at least
+          <input
+            type="number"
+            value={condition.min}
+            onChange={(e) => update({ min: parseInt(e.target.value) || 1 })}
+            min="1"
+            max="100"
+          />
+          %
+        </span>
+      );
+
+    case 'kp':
+      return (
+        <span className="rule-fields">
+          at least
+          <input
+            type="number"
+            value={condition.min}
+            onChange={(e) => update({ min: parseFloat(e.target.value) || 0 })}
+            min="0"
+            max="9"
+            step="0.33"
+          />
+        </span>
+      );
+
+    case 'darkness':
+      return (
+        <span className="rule-fields">
+          <select value={condition.level} onChange={(e) => update({ level: e.target.value })}>
+            {DARKNESS_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </span>
+      );
+
+    case 'time_window': {
+      // The builder edits one window per condition; combine conditions with "Any of these" for more
+      const [window] = condition.windows;
+      const updateWindow = (changes) => update({ windows: [{ ...window, ...changes }] });
+      const toggleDay = (day) => updateWindow({
+        days: window.days.includes(day) ? window.days.filter(d => d !== day) : [...window.days, day],
+      });
+
+      return (
+        <span className="rule-fields rule-window">
+          {DAY_LABELS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleDay(day)}
+              className={`day-toggle ${window.days.includes(day) ? 'selected' : ''}`}
+            >
+              {label}
+            </button>
+          ))}
+          <input type="time" value={window.start} onChange={(e) => updateWindow({ start: e.target.value })} />
+          to
+          <input type="time" value={window.end} onChange={(e) => updateWindow({ end: e.target.value })} />
+        </span>
+      );
+    }
+
+    case 'trend':
+      return (
+        <span className="rule-fields">
+          <select value={condition.direction} onChange={(e) => update({ direction: e.target.value })}>
+            <option value="rising">rising</option>
+            <option value="falling">falling</option>
+          </select>
+          by
+          <input
+            type="number"
+            value={condition.change}
+            onChange={(e) => update({ change: parseInt(e.target.value) || 1 })}
+            min="1"
+            max="100"
+          />
+          in
+          <input
+            type="number"
+            value={condition.minutes}
+            onChange={(e) => update({ minutes: parseInt(e.target.value) || 10 })}
+            min="10"
+            max="180"
+          />
+          minutes
+        </span>
+      );
+
+    default:
+      return null;
+  }
+}
+
+export default RuleBuilder;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../utils/api';
+import './Login.css';
+
+/**
+ * Confirmation page for the unsubscribe links in alert emails
+ * Works without logging in; the signed token identifies the user and alert
+ */
+function Unsubscribe({ token, onContinue }) {
+  const [info, setInfo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchInfo();
+  }, []);
+
+  const fetchInfo = async () => {
+    try {
+      const response = await apiRequest(`/api/unsubscribe?token=${encodeURIComponent(token)}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'This unsubscribe link is invalid');
+      }
+
+      setInfo(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submit = async (endpoint, unsubscribed) => {
+    setError('');
+    setWorking(true);
+
+    try {
+      const response = await apiRequest(endpoint, {
+        method: 'POST',
+        body: JSON.stringify({ token }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Something went wrong');
+      }
+
+      setInfo({ ...info, unsubscribed });
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="app-loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  const isPause = info?.action === 'pause';
+  const target = isPause
+    ? `your alert for ${info.alert.cityName}`
+    : `all aurora alert emails to ${info?.email}`;
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1>{info?.unsubscribed ? '🔕 Done' : '🔔 Unsubscribe'}</h1>
+          {info && (
+            <p>
+              {info.unsubscribed
+                ? (message || `${isPause ? 'This alert is paused' : 'Alert emails are turned off'}.`)
+                : `Do you want to ${isPause ? 'pause' : 'stop'} ${target}?`}
+            </p>
+          )}
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {info && !info.unsubscribed && (
+          <button
+            onClick={() => submit('/api/unsubscribe', true)}
+            disabled={working}
+            className="btn-primary"
+          >
+            {working ? 'Saving...' : (isPause ? 'Pause This Alert' : 'Stop All Emails')}
+          </button>
+        )}
+
+        {info && info.unsubscribed && (
+          <button
+            onClick={() => submit('/api/unsubscribe/undo', false)}
+            disabled={working}
+            className="btn-primary"
+          >
+            {working ? 'Saving...' : (isPause ? 'Resume This Alert' : 'Turn Emails Back On')}
+          </button>
+        )}
+
+        <div className="login-footer">
+          <button type="button" onClick={onContinue} className="btn-link">
+            Go to Aurora Alerter
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Unsubscribe;
@@ -124,6 +124,10 @@ db.exec(`
   CREATE TABLE IF NOT EXISTS users (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     email TEXT UNIQUE NOT NULL,
+    verified_at DATETIME,
+    unsubscribed_at DATETIME,
+    role TEXT NOT NULL DEFAULT 'user' CHECK(role IN ('user', 'admin')),
+    disabled_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
 
@@ -135,17 +139,119 @@ db.exec(`
     longitude REAL NOT NULL,
     threshold INTEGER NOT NULL CHECK(threshold >= 1 AND threshold <= 100),
     increment_threshold INTEGER NOT NULL DEFAULT 10 CHECK(increment_threshold >= 1 AND increment_threshold <= 50),
+    active INTEGER NOT NULL DEFAULT 1,
+    snoozed_until DATETIME,
+    name TEXT,
+    notes TEXT,
+    timezone TEXT,
+    active_windows TEXT,
+    outside_window_action TEXT NOT NULL DEFAULT 'defer' CHECK(outside_window_action IN ('defer', 'suppress')),
+    darkness_requirement TEXT NOT NULL DEFAULT 'civil' CHECK(darkness_requirement IN ('civil', 'nautical', 'astronomical')),
+    moon_boost INTEGER NOT NULL DEFAULT 0 CHECK(moon_boost >= 0 AND moon_boost <= 50),
+    search_radius_km INTEGER NOT NULL DEFAULT 0 CHECK(search_radius_km >= 0 AND search_radius_km <= 500),
+    aggregation TEXT NOT NULL DEFAULT 'max' CHECK(aggregation IN ('max', 'mean', 'percentile')),
+    aggregation_percentile INTEGER NOT NULL DEFAULT 90 CHECK(aggregation_percentile >= 1 AND aggregation_percentile <= 99),
+    region TEXT,
+    starts_at DATETIME,
+    expires_at DATETIME,
+    archived_at DATETIME,
+    peak_value INTEGER,
+    peak_at DATETIME,
+    ended_below INTEGER CHECK(ended_below IS NULL OR (ended_below >= 0 AND ended_below <= 99)),
+    ended_after_minutes INTEGER NOT NULL DEFAULT 30 CHECK(ended_after_minutes >= 5 AND ended_after_minutes <= 240),
+    sustained_checks INTEGER CHECK(sustained_checks IS NULL OR (sustained_checks >= 2 AND sustained_checks <= 24)),
+    sustained_minutes INTEGER CHECK(sustained_minutes IS NULL OR (sustained_minutes >= 5 AND sustained_minutes <= 240)),
+    trigger_type TEXT NOT NULL DEFAULT 'probability' CHECK(trigger_type IN ('probability', 'kp')),
+    kp_threshold REAL CHECK(kp_threshold IS NULL OR kp_threshold BETWEEN 0 AND 9),
+    forecast_heads_up INTEGER NOT NULL DEFAULT 0,
+    rule TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
   );
 
-  -- Alert notification state (tracks last notified value and timestamp)
+  -- Alert notification state (tracks last notified value and timestamp, per recipient)
   CREATE TABLE IF NOT EXISTS alert_notification_state (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    alert_id INTEGER NOT NULL UNIQUE,
+    alert_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
     last_notified_value INTEGER,
     last_notified_at DATETIME,
+    deferred_value INTEGER,
+    deferred_at DATETIME,
+    night_started_at DATETIME,
+    night_notification_count INTEGER NOT NULL DEFAULT 0,
+    rearmed INTEGER NOT NULL DEFAULT 0,
+    activity_ongoing INTEGER NOT NULL DEFAULT 0,
+    below_since DATETIME,
+    ended_notified_at DATETIME,
+    solar_wind_notified_at DATETIME,
+    forecast_notified_until DATETIME,
+    UNIQUE(alert_id, user_id),
+    FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  -- Alert recipients (people invited to a shared alert; the owner is alerts.user_id)
+  CREATE TABLE IF NOT EXISTS alert_recipients (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    alert_id INTEGER NOT NULL,
+    email TEXT NOT NULL,
+    user_id INTEGER,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'declined')),
+    active INTEGER NOT NULL DEFAULT 1,
+    invited_at DATETIME NOT NULL,
+    responded_at DATETIME,
+    UNIQUE(alert_id, email),
+    FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  -- Alert dedup policies (when to notify again; alerts without a row use the defaults)
+  CREATE TABLE IF NOT EXISTS alert_dedup_policies (
+    alert_id INTEGER PRIMARY KEY,
+    cooldown_hours INTEGER NOT NULL DEFAULT 12 CHECK(cooldown_hours >= 1 AND cooldown_hours <= 168),
+    max_per_night INTEGER CHECK(max_per_night IS NULL OR (max_per_night >= 1 AND max_per_night <= 20)),
+    reset_below INTEGER CHECK(reset_below IS NULL OR (reset_below >= 0 AND reset_below <= 100)),
+    FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE
+  );
+
+  -- Planetary K-index from NOAA ('observed' 3-hourly values and 'estimated' 1-minute values)
+  CREATE TABLE IF NOT EXISTS kp_index (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL CHECK(source IN ('observed', 'estimated')),
+    observed_at DATETIME NOT NULL,
+    kp REAL NOT NULL,
+    fetched_at DATETIME NOT NULL,
+    UNIQUE(source, observed_at)
+  );
+
+  -- Real-time solar wind from DSCOVR/ACE, one row per minute (plasma and magnetometer fill their own columns)
+  CREATE TABLE IF NOT EXISTS solar_wind (
+    observed_at DATETIME PRIMARY KEY,
+    speed REAL,
+    density REAL,
+    bz REAL,
+    bt REAL,
+    fetched_at DATETIME NOT NULL
+  );
+
+  -- Predicted Kp per 3-hour block from NOAA's 3-day forecast (re-issued twice a day)
+  CREATE TABLE IF NOT EXISTS kp_forecast (
+    block_start DATETIME PRIMARY KEY,
+    kp REAL NOT NULL,
+    scale TEXT,
+    issued_at DATETIME,
+    fetched_at DATETIME NOT NULL
+  );
+
+  -- Solar wind early warning rules, e.g. "Bz < -10 nT for 15 minutes" (at most one per alert)
+  CREATE TABLE IF NOT EXISTS alert_solar_wind_rules (
+    alert_id INTEGER PRIMARY KEY,
+    metric TEXT NOT NULL CHECK(metric IN ('bz', 'bt', 'speed', 'density')),
+    operator TEXT NOT NULL CHECK(operator IN ('<', '>')),
+    value REAL NOT NULL,
+    minutes INTEGER NOT NULL DEFAULT 15 CHECK(minutes >= 0 AND minutes <= 180),
     FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE
   );
 
@@ -154,16 +260,274 @@ db.exec(`
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     alert_id INTEGER NOT NULL,
     aurora_value INTEGER NOT NULL,
+    cell_latitude REAL,
+    cell_longitude REAL,
     recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE
   );
 
+  -- Login tokens (one-time magic links, stored as SHA-256 hashes)
+  CREATE TABLE IF NOT EXISTS login_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  -- Sessions (short-lived access token + long-lived refresh token, stored as SHA-256 hashes)
+  CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    refresh_token_hash TEXT UNIQUE,
+    refresh_expires_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  -- Personal API keys for scripting (stored as SHA-256 hashes)
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT UNIQUE NOT NULL,
+    scope TEXT NOT NULL DEFAULT 'read' CHECK(scope IN ('read', 'write')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  -- Used single-use signed tokens (e.g. auto-login links in alert emails)
+  CREATE TABLE IF NOT EXISTS used_tokens (
+    jti TEXT PRIMARY KEY,
+    used_at DATETIME NOT NULL,
+    expires_at DATETIME NOT NULL
+  );
+
+  -- Scheduler runs (one row per alert check, for the admin console)
+  CREATE TABLE IF NOT EXISTS scheduler_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME,
+    status TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running', 'success', 'error')),
+    alerts_checked INTEGER NOT NULL DEFAULT 0,
+    notifications_sent INTEGER NOT NULL DEFAULT 0,
+    error TEXT
+  );
+
+  -- Alert emails sent (one row per email and recipient, for the admin console)
+  CREATE TABLE IF NOT EXISTS notification_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    alert_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    kind TEXT NOT NULL CHECK(kind IN ('aurora', 'activity_ended', 'solar_wind', 'forecast')),
+    sent_at DATETIME NOT NULL,
+    FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  -- Rate limiter counters (fixed windows, keyed by limit name and client)
+  CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    hits INTEGER NOT NULL DEFAULT 0,
+    window_started_at DATETIME NOT NULL,
+    expires_at DATETIME NOT NULL
+  );
+
   -- Indexes for performance
   CREATE INDEX IF NOT EXISTS idx_alerts_user_id ON alerts(user_id);
   CREATE INDEX IF NOT EXISTS idx_alerts_coords ON alerts(latitude, longitude);
   CREATE INDEX IF NOT EXISTS idx_aurora_history_alert_id ON aurora_history(alert_id);
   CREATE INDEX IF NOT EXISTS idx_aurora_history_recorded_at ON aurora_history(recorded_at);
+  CREATE INDEX IF NOT EXISTS idx_login_tokens_user_id ON login_tokens(user_id);
+  CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+  CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+  CREATE INDEX IF NOT EXISTS idx_scheduler_runs_started_at ON scheduler_runs(started_at);
+  CREATE INDEX IF NOT EXISTS idx_notification_log_sent_at ON notification_log(sent_at);
+  CREATE INDEX IF NOT EXISTS idx_notification_log_user_id ON notification_log(user_id);
+  CREATE INDEX IF NOT EXISTS idx_rate_limits_expires_at ON rate_limits(expires_at);
+  CREATE INDEX IF NOT EXISTS idx_kp_index_observed_at ON kp_index(observed_at);
+  CREATE INDEX IF NOT EXISTS idx_alert_recipients_user_id ON alert_recipients(user_id);
+  CREATE INDEX IF NOT EXISTS idx_alert_recipients_email ON alert_recipients(email);
 `);
 
+/**
+ * Add a column to an existing table if it isn't there yet
+ * (CREATE TABLE IF NOT EXISTS won't touch tables created by older versions)
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ * @returns {boolean} True if the column was added
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(col => col.name === column)) {
+    return false;
+  }
+
+  console.log(`[Database] Adding ${table}.${column} column...`);
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`);
+  return true;
+}
+
+// Migration: Refresh tokens for sessions created before token refresh existed
+addColumnIfMissing('sessions', 'refresh_token_hash', 'TEXT');
+addColumnIfMissing('sessions', 'refresh_expires_at', 'DATETIME');
+db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_refresh_token_hash ON sessions(refresh_token_hash);');
+
+// Migration: Email verification. Users created before double opt-in count as verified if our mail already
+// reached them (they were sent an alert, or logged in from an emailed link); the rest start unverified.
+if (addColumnIfMissing('users', 'verified_at', 'DATETIME')) {
+  const result = db.prepare(`
+    UPDATE users SET verified_at = ?
+    WHERE id IN (
+      SELECT a.user_id FROM alert_notification_state s
+      INNER JOIN alerts a ON s.alert_id = a.id
+      WHERE s.last_notified_at IS NOT NULL
+      UNION SELECT user_id FROM login_tokens WHERE used_at IS NOT NULL
+      UNION SELECT user_id FROM sessions
+    )
+  `).run(new Date().toISOString());
+  console.log(`[Database] Marked ${result.changes} existing users as verified`);
+}
+
+// Migration: Unsubscribing (pause a single alert, or stop all alert emails)
+addColumnIfMissing('alerts', 'active', 'INTEGER NOT NULL DEFAULT 1');
+addColumnIfMissing('users', 'unsubscribed_at', 'DATETIME');
+
+// Migration: Admin role and disabled accounts
+addColumnIfMissing('users', 'role', "TEXT NOT NULL DEFAULT 'user' CHECK(role IN ('user', 'admin'))");
+addColumnIfMissing('users', 'disabled_at', 'DATETIME');
+
+// Migration: Alert names and notes
+addColumnIfMissing('alerts', 'name', 'TEXT');
+addColumnIfMissing('alerts', 'notes', 'TEXT');
+
+// Migration: Active hours (time zone + JSON windows) and notifications held outside them
+addColumnIfMissing('alerts', 'timezone', 'TEXT');
+addColumnIfMissing('alerts', 'active_windows', 'TEXT');
+addColumnIfMissing('alerts', 'outside_window_action', "TEXT NOT NULL DEFAULT 'defer' CHECK(outside_window_action IN ('defer', 'suppress'))");
+addColumnIfMissing('alert_notification_state', 'deferred_value', 'INTEGER');
+addColumnIfMissing('alert_notification_state', 'deferred_at', 'DATETIME');
+
+// Migration: Darkness requirement (how far below the horizon the sun must be)
+addColumnIfMissing('alerts', 'darkness_requirement', "TEXT NOT NULL DEFAULT 'civil' CHECK(darkness_requirement IN ('civil', 'nautical', 'astronomical'))");
+
+// Migration: Raise the threshold when a bright moon is up (0 = off)
+addColumnIfMissing('alerts', 'moon_boost', 'INTEGER NOT NULL DEFAULT 0 CHECK(moon_boost >= 0 AND moon_boost <= 50)');
+
+// Migration: Snoozing alerts until a given time
+addColumnIfMissing('alerts', 'snoozed_until', 'DATETIME');
+
+// Migration: Dedup policy state (notifications per night, re-arming below a value)
+addColumnIfMissing('alert_notification_state', 'night_started_at', 'DATETIME');
+addColumnIfMissing('alert_notification_state', 'night_notification_count', 'INTEGER NOT NULL DEFAULT 0');
+addColumnIfMissing('alert_notification_state', 'rearmed', 'INTEGER NOT NULL DEFAULT 0');
+
+// Migration: Search radius around the alert location and how cells inside it are combined
+addColumnIfMissing('alerts', 'search_radius_km', 'INTEGER NOT NULL DEFAULT 0 CHECK(search_radius_km >= 0 AND search_radius_km <= 500)');
+addColumnIfMissing('alerts', 'aggregation', "TEXT NOT NULL DEFAULT 'max' CHECK(aggregation IN ('max', 'mean', 'percentile'))");
+addColumnIfMissing('alerts', 'aggregation_percentile', 'INTEGER NOT NULL DEFAULT 90 CHECK(aggregation_percentile >= 1 AND aggregation_percentile <= 99)');
+addColumnIfMissing('aurora_history', 'cell_latitude', 'REAL');
+addColumnIfMissing('aurora_history', 'cell_longitude', 'REAL');
+
+// Migration: Regions drawn on the map (GeoJSON Polygon; latitude/longitude hold its centroid)
+addColumnIfMissing('alerts', 'region', 'TEXT');
+
+// Migration: Trip alerts (start and end dates, archived once over, peak value seen during the trip)
+addColumnIfMissing('alerts', 'starts_at', 'DATETIME');
+addColumnIfMissing('alerts', 'expires_at', 'DATETIME');
+addColumnIfMissing('alerts', 'archived_at', 'DATETIME');
+addColumnIfMissing('alerts', 'peak_value', 'INTEGER');
+addColumnIfMissing('alerts', 'peak_at', 'DATETIME');
+
+// Migration: "Activity ended" follow-up notifications
+addColumnIfMissing('alerts', 'ended_below', 'INTEGER CHECK(ended_below IS NULL OR (ended_below >= 0 AND ended_below <= 99))');
+addColumnIfMissing('alerts', 'ended_after_minutes', 'INTEGER NOT NULL DEFAULT 30 CHECK(ended_after_minutes >= 5 AND ended_after_minutes <= 240)');
+addColumnIfMissing('alert_notification_state', 'activity_ongoing', 'INTEGER NOT NULL DEFAULT 0');
+addColumnIfMissing('alert_notification_state', 'below_since', 'DATETIME');
+addColumnIfMissing('alert_notification_state', 'ended_notified_at', 'DATETIME');
+
+// Migration: Require the threshold to hold for N checks / M minutes before notifying
+addColumnIfMissing('alerts', 'sustained_checks', 'INTEGER CHECK(sustained_checks IS NULL OR (sustained_checks >= 2 AND sustained_checks <= 24))');
+addColumnIfMissing('alerts', 'sustained_minutes', 'INTEGER CHECK(sustained_minutes IS NULL OR (sustained_minutes >= 5 AND sustained_minutes <= 240))');
+
+// Migration: Kp-index alerts ("Kp ≥ N" instead of the OVATION probability threshold)
+addColumnIfMissing('alerts', 'trigger_type', "TEXT NOT NULL DEFAULT 'probability' CHECK(trigger_type IN ('probability', 'kp'))");
+addColumnIfMissing('alerts', 'kp_threshold', 'REAL CHECK(kp_threshold IS NULL OR kp_threshold BETWEEN 0 AND 9)');
+
+// Migration: Solar wind early warnings
+addColumnIfMissing('alert_notification_state', 'solar_wind_notified_at', 'DATETIME');
+
+// Migration: Storm heads-ups from the 3-day forecast (end of the last storm block we sent one for)
+addColumnIfMissing('alerts', 'forecast_heads_up', 'INTEGER NOT NULL DEFAULT 0');
+addColumnIfMissing('alert_notification_state', 'forecast_notified_until', 'DATETIME');
+
+// Migration: Rule trees (JSON). Alerts without one get the rule equivalent to their threshold and
+// darkness requirement (see buildSimpleRule in services/rules.js)
+addColumnIfMissing('alerts', 'rule', 'TEXT');
+db.prepare(`
+  UPDATE alerts
+  SET rule = json_object('op', 'and', 'conditions', json_array(
+    CASE WHEN trigger_type = 'kp'
+      THEN json_object('type', 'kp', 'min', kp_threshold)
+      ELSE json_object('type', 'probability', 'min', threshold)
+    END,
+    json_object('type', 'darkness', 'level', darkness_requirement)
+  ))
+  WHERE rule IS NULL
+`).run();
+
+// Migration: Notification state per recipient (alerts can be shared, so state is keyed by alert and user;
+// existing rows belong to the alert's owner)
+const notificationStateColumns = db.prepare('PRAGMA table_info(alert_notification_state)').all();
+if (!notificationStateColumns.some(col => col.name === 'user_id')) {
+  console.log('[Database] Keying alert_notification_state by recipient...');
+  const columns = notificationStateColumns.map(col => col.name).filter(name => name !== 'id').join(', ');
+
+  db.transaction(() => {
+    db.exec(`
+      CREATE TABLE alert_notification_state_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        alert_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        last_notified_value INTEGER,
+        last_notified_at DATETIME,
+        deferred_value INTEGER,
+        deferred_at DATETIME,
+        night_started_at DATETIME,
+        night_notification_count INTEGER NOT NULL DEFAULT 0,
+        rearmed INTEGER NOT NULL DEFAULT 0,
+        activity_ongoing INTEGER NOT NULL DEFAULT 0,
+        below_since DATETIME,
+        ended_notified_at DATETIME,
+        solar_wind_notified_at DATETIME,
+        forecast_notified_until DATETIME,
+        UNIQUE(alert_id, user_id),
+        FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      INSERT INTO alert_notification_state_new (${columns}, user_id)
+      SELECT ${columns.split(', ').map(name => `s.${name}`).join(', ')}, a.user_id
+      FROM alert_notification_state s
+      INNER JOIN alerts a ON s.alert_id = a.id;
+
+      DROP TABLE alert_notification_state;
+      ALTER TABLE alert_notification_state_new RENAME TO alert_notification_state;
+    `);
+  })();
+}
+
+// Migration: Kp alerts can't have "activity ended" follow-ups (their lower bound is an aurora probability)
+db.prepare("UPDATE alerts SET ended_below = NULL WHERE trigger_type = 'kp' AND ended_below IS NOT NULL").run();
+
 export default db;
 
@@ -4,7 +4,13 @@
  */
 
 import cron from 'node-cron';
-import { checkAllAlerts, cleanupOldHistory } from '../services/alert.js';
+import { checkAllAlerts, checkForecastHeadsUps, cleanupOldHistory } from '../services/alert.js';
+import { cleanupExpiredSessions } from '../services/session.js';
+import { cleanupUsedTokens } from '../services/tokens.js';
+import { cleanupRateLimits } from '../services/rateLimit.js';
+import { cleanupOldKpIndex } from '../services/kp.js';
+import { cleanupOldSolarWind } from '../services/solarWind.js';
+import { cleanupOldKpForecast } from '../services/forecast.js';
 
 /**
  * Start the background job scheduler
@@ -18,10 +24,22 @@ export function startScheduler() {
     await checkAllAlerts();
   });
 
+  // Check NOAA's 3-day forecast for storm heads-ups every hour (NOAA issues it around 00:30 and 12:30 UTC)
+  cron.schedule('45 * * * *', async () => {
+    console.log('[Scheduler] Running storm heads-up check...');
+    await checkForecastHeadsUps();
+  });
+
   // Clean up old history data every hour
   cron.schedule('0 * * * *', () => {
     console.log('[Scheduler] Running history cleanup...');
     cleanupOldHistory();
+    cleanupOldKpIndex();
+    cleanupOldSolarWind();
+    cleanupOldKpForecast();
+    cleanupExpiredSessions();
+    cleanupUsedTokens();
+    cleanupRateLimits();
   });
 
   // Also run immediately on startup (optional, for testing)
@@ -29,9 +47,18 @@ export function startScheduler() {
   checkAllAlerts().catch(err => {
     console.error('[Scheduler] Error in initial alert check:', err);
   });
+  checkForecastHeadsUps().catch(err => {
+    console.error('[Scheduler] Error in initial storm heads-up check:', err);
+  });
 
   // Run initial cleanup
   cleanupOldHistory();
+  cleanupOldKpIndex();
+  cleanupOldSolarWind();
+  cleanupOldKpForecast();
+  cleanupExpiredSessions();
+  cleanupUsedTokens();
+  cleanupRateLimits();
 
   console.log('[Scheduler] Scheduler started. Alert checks will run every 5 minutes, cleanup every hour.');
 }
@@ -0,0 +1,83 @@
+/**
+ * Authentication middleware
+ * Resolves the current user from a session token or API key in the Authorization header
+ */
+
+import { getSessionUser } from '../services/session.js';
+import { getApiKeyUser, API_KEY_PREFIX } from '../services/apiKeys.js';
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null if missing
+ */
+export function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  return token.trim();
+}
+
+/**
+ * Require a valid session
+ * Sets req.user and req.sessionToken on success
+ */
+export function requireSession(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (!token || token.startsWith(API_KEY_PREFIX)) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const user = getSessionUser(token);
+
+  if (!user) {
+    return res.status(401).json({ error: 'Session expired. Please log in again.' });
+  }
+
+  req.user = user;
+  req.sessionToken = token;
+  next();
+}
+
+/**
+ * Require a valid session or API key
+ * Read-only API keys may only make GET requests.
+ * Sets req.user, and req.apiKey when an API key was used
+ */
+export function requireSessionOrApiKey(req, res, next) {
+  const token = getBearerToken(req) || req.headers['x-api-key'];
+
+  if (!token || !token.startsWith(API_KEY_PREFIX)) {
+    return requireSession(req, res, next);
+  }
+
+  const result = getApiKeyUser(token);
+
+  if (!result) {
+    return res.status(401).json({ error: 'Invalid or revoked API key' });
+  }
+
+  if (result.apiKey.scope !== 'write' && !['GET', 'HEAD'].includes(req.method)) {
+    return res.status(403).json({ error: 'This API key is read-only' });
+  }
+
+  req.user = result.user;
+  req.apiKey = result.apiKey;
+  next();
+}
+
+/**
+ * Require an admin user
+ * Must run after requireSession
+ */
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
@@ -0,0 +1,100 @@
+/**
+ * Rate limiting middleware
+ * Per-IP and per-account limits for endpoints that send email or hit NOAA
+ */
+
+import { hitRateLimit } from '../services/rateLimit.js';
+
+/**
+ * Read a "<hits>/<seconds>" limit from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} limit - Default maximum hits per window
+ * @param {number} windowSeconds - Default window length in seconds
+ * @returns {{limit: number, windowSeconds: number}} Limit configuration
+ */
+function limitFromEnv(name, limit, windowSeconds) {
+  const [envLimit, envWindow] = (process.env[name] || '').split('/').map(value => parseInt(value));
+  return {
+    limit: envLimit >= 0 ? envLimit : limit,
+    windowSeconds: envWindow > 0 ? envWindow : windowSeconds,
+  };
+}
+
+/**
+ * Normalized email from the request body, if there is one
+ */
+function emailFromBody(req) {
+  const { email } = req.body || {};
+  return typeof email === 'string' && email.includes('@') ? email.toLowerCase().trim() : null;
+}
+
+/**
+ * Create a rate limiting middleware
+ * Every rule is checked, so a client is blocked as soon as any of its counters is exhausted.
+ * @param {string} name - Limit name, used to namespace counters
+ * @param {Array<{scope: string, key: Function, limit: number, windowSeconds: number}>} rules -
+ *   Limits to apply; `key(req)` returns the client identifier for that scope, or null to skip the rule
+ * @returns {Function} Express middleware
+ */
+export function rateLimit(name, rules) {
+  return (req, res, next) => {
+    try {
+      for (const rule of rules) {
+        const id = rule.key(req);
+        if (id === null || id === undefined) {
+          continue;
+        }
+
+        const result = hitRateLimit(`${name}:${rule.scope}:${id}`, rule.limit, rule.windowSeconds);
+
+        if (!result.allowed) {
+          res.set('Retry-After', String(result.retryAfter));
+          return res.status(429).json({
+            error: `Too many requests. Please try again in ${formatWait(result.retryAfter)}.`,
+            retryAfter: result.retryAfter,
+          });
+        }
+      }
+    } catch (error) {
+      // Never lock everyone out because the limiter itself failed
+      console.error('Rate limit error:', error);
+    }
+
+    next();
+  };
+}
+
+function formatWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Endpoints that send login or confirmation emails
+const authIpLimit = limitFromEnv('RATE_LIMIT_AUTH_IP', 20, 15 * 60);
+const authEmailLimit = limitFromEnv('RATE_LIMIT_AUTH_EMAIL', 5, 15 * 60);
+
+export const authRateLimit = rateLimit('auth', [
+  { scope: 'ip', key: req => req.ip, ...authIpLimit },
+  { scope: 'email', key: emailFromBody, ...authEmailLimit },
+]);
+
+// Aurora map data (must run after authentication so the account is known)
+const mapIpLimit = limitFromEnv('RATE_LIMIT_MAP_IP', 60, 60);
+const mapUserLimit = limitFromEnv('RATE_LIMIT_MAP_USER', 30, 60);
+
+export const mapDataRateLimit = rateLimit('map-data', [
+  { scope: 'ip', key: req => req.ip, ...mapIpLimit },
+  { scope: 'user', key: req => req.user?.id, ...mapUserLimit },
+]);
+
+// Shared alert invitations (per account, and per invited address so nobody can be flooded with invitations)
+const inviteUserLimit = limitFromEnv('RATE_LIMIT_INVITE_USER', 20, 60 * 60);
+const inviteEmailLimit = limitFromEnv('RATE_LIMIT_INVITE_EMAIL', 3, 60 * 60);
+
+export const inviteRateLimit = rateLimit('invite', [
+  { scope: 'user', key: req => req.user?.id, ...inviteUserLimit },
+  { scope: 'email', key: emailFromBody, ...inviteEmailLimit },
+]);
@@ -0,0 +1,213 @@
+/**
+ * Account routes
+ * Self-service data export and account deletion
+ */
+
+import express from 'express';
+import db from '../db/database.js';
+import { requireSession } from '../middleware/auth.js';
+import { signToken, verifyToken, consumeToken } from '../services/tokens.js';
+import { sendAccountDeletionEmail } from '../services/email.js';
+
+const router = express.Router();
+
+// Deletion links are short-lived since they can't be undone
+const DELETE_TOKEN_TTL_MINUTES = 60;
+
+const INVALID_DELETE_LINK_ERROR = 'This deletion link is invalid or has expired. Please request a new one.';
+
+/**
+ * Resolve a deletion token to the user it was issued for
+ * The token is only valid for the email address it was sent to
+ * @param {Object} result - Result of verifyToken/consumeToken
+ * @returns {Object|null} User record, or null if the token is invalid or the user is gone
+ */
+function resolveDeleteToken({ payload, error }) {
+  if (error) {
+    return null;
+  }
+
+  const user = db.prepare('SELECT id, email FROM users WHERE id = ?').get(payload.uid);
+  return user && user.email === payload.email ? user : null;
+}
+
+/**
+ * Delete a user and every invitation sent to their email address
+ * (invitations they haven't accepted aren't linked to the account, so ON DELETE CASCADE misses them)
+ * @param {Object} user - {id, email}
+ */
+const deleteAccount = db.transaction((user) => {
+  db.prepare('DELETE FROM alert_recipients WHERE email = ?').run(user.email);
+  db.prepare('DELETE FROM users WHERE id = ?').run(user.id);
+});
+
+/**
+ * Export everything the current user owns as a JSON archive
+ * GET /api/account/export
+ */
+router.get('/export', requireSession, (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const profile = db.prepare(`
+      SELECT id, email, role, verified_at, unsubscribed_at, created_at
+      FROM users
+      WHERE id = ?
+    `).get(userId);
+
+    const alerts = db.prepare('SELECT * FROM alerts WHERE user_id = ? ORDER BY id').all(userId);
+
+    const notificationState = db.prepare(`
+      SELECT s.alert_id, s.last_notified_value, s.last_notified_at, s.ended_notified_at, s.solar_wind_notified_at,
+             s.forecast_notified_until
+      FROM alert_notification_state s
+      WHERE s.user_id = ?
+      ORDER BY s.alert_id
+    `).all(userId);
+
+    // People invited to this user's alerts, and the shared alerts this user was invited to
+    const recipients = db.prepare(`
+      SELECT r.alert_id, r.email, r.status, r.active, r.invited_at, r.responded_at
+      FROM alert_recipients r
+      INNER JOIN alerts a ON r.alert_id = a.id
+      WHERE a.user_id = ?
+      ORDER BY r.alert_id, r.id
+    `).all(userId);
+
+    const memberships = db.prepare(`
+      SELECT alert_id, status, active, invited_at, responded_at
+      FROM alert_recipients
+      WHERE user_id = ? OR email = ?
+      ORDER BY alert_id
+    `).all(userId, profile.email);
+
+    const dedupPolicies = db.prepare(`
+      SELECT p.alert_id, p.cooldown_hours, p.max_per_night, p.reset_below
+      FROM alert_dedup_policies p
+      INNER JOIN alerts a ON p.alert_id = a.id
+      WHERE a.user_id = ?
+      ORDER BY p.alert_id
+    `).all(userId);
+
+    const solarWindRules = db.prepare(`
+      SELECT r.alert_id, r.metric, r.operator, r.value, r.minutes
+      FROM alert_solar_wind_rules r
+      INNER JOIN alerts a ON r.alert_id = a.id
+      WHERE a.user_id = ?
+      ORDER BY r.alert_id
+    `).all(userId);
+
+    const history = db.prepare(`
+      SELECT h.alert_id, h.aurora_value, h.cell_latitude, h.cell_longitude, h.recorded_at
+      FROM aurora_history h
+      INNER JOIN alerts a ON h.alert_id = a.id
+      WHERE a.user_id = ?
+      ORDER BY h.alert_id, h.recorded_at
+    `).all(userId);
+
+    // Alert emails sent to this user
+    const emails = db.prepare(`
+      SELECT alert_id, kind, sent_at
+      FROM notification_log
+      WHERE user_id = ?
+      ORDER BY sent_at
+    `).all(userId);
+
+    // Key metadata only - the keys themselves are never stored
+    const apiKeys = db.prepare(`
+      SELECT id, name, key_prefix, scope, created_at, last_used_at, revoked_at
+      FROM api_keys
+      WHERE user_id = ?
+      ORDER BY id
+    `).all(userId);
+
+    const exportedAt = new Date().toISOString();
+
+    res.set('Content-Disposition', `attachment; filename="aurora-alerter-export-${exportedAt.slice(0, 10)}.json"`);
+    res.json({
+      exportedAt,
+      profile,
+      alerts,
+      notificationState,
+      recipients,
+      memberships,
+      dedupPolicies,
+      solarWindRules,
+      history,
+      emails,
+      apiKeys,
+    });
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({ error: 'Failed to export account data' });
+  }
+});
+
+/**
+ * Request account deletion - emails a confirmation link
+ * POST /api/account/delete-request
+ */
+router.post('/delete-request', requireSession, async (req, res) => {
+  try {
+    const token = signToken(
+      'delete-account',
+      { uid: req.user.id, email: req.user.email },
+      DELETE_TOKEN_TTL_MINUTES * 60
+    );
+    await sendAccountDeletionEmail(req.user.email, token, DELETE_TOKEN_TTL_MINUTES);
+
+    res.json({
+      success: true,
+      message: 'Check your inbox for a link to confirm deleting your account'
+    });
+  } catch (error) {
+    console.error('Delete account request error:', error);
+    res.status(500).json({ error: 'Failed to send account deletion email' });
+  }
+});
+
+/**
+ * Describe which account a deletion link is for (for the confirmation page)
+ * GET /api/account/delete?token=...
+ */
+router.get('/delete', (req, res) => {
+  try {
+    const user = resolveDeleteToken(verifyToken(req.query.token, 'delete-account'));
+
+    if (!user) {
+      return res.status(400).json({ error: INVALID_DELETE_LINK_ERROR });
+    }
+
+    res.json({ success: true, email: user.email });
+  } catch (error) {
+    console.error('Delete account lookup error:', error);
+    res.status(500).json({ error: 'Failed to look up deletion link' });
+  }
+});
+
+/**
+ * Delete an account from its confirmation link
+ * Alerts (with the invitations sent for them), history, sessions and API keys go with it (ON DELETE CASCADE),
+ * as do invitations to other people's alerts
+ * POST /api/account/delete
+ * Body: { token: string }
+ */
+router.post('/delete', (req, res) => {
+  try {
+    const user = resolveDeleteToken(consumeToken(req.body.token, 'delete-account'));
+
+    if (!user) {
+      return res.status(400).json({ error: INVALID_DELETE_LINK_ERROR });
+    }
+
+    deleteAccount(user);
+    console.log(`[Account] Deleted account ${user.id}`);
+
+    res.json({ success: true, message: 'Your account has been deleted' });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+export default router;
@@ -0,0 +1,257 @@
+/**
+ * Admin routes
+ * Overview of users, alerts and scheduler runs for admins of a shared instance
+ */
+
+import express from 'express';
+import db from '../db/database.js';
+import { requireSession, requireAdmin } from '../middleware/auth.js';
+import { deleteAllSessions } from '../services/session.js';
+
+const router = express.Router();
+
+// Admin routes need an interactive admin session (API keys are not accepted)
+router.use(requireSession, requireAdmin);
+
+/**
+ * Parse limit/offset pagination query parameters
+ * @param {Object} query - Request query
+ * @returns {{limit: number, offset: number}}
+ */
+function getPagination(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  return { limit, offset };
+}
+
+/**
+ * Get instance-wide statistics
+ * GET /api/admin/stats
+ */
+router.get('/stats', (req, res) => {
+  try {
+    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+    const users = db.prepare(`
+      SELECT
+        COUNT(*) AS total,
+        COUNT(verified_at) AS verified,
+        COUNT(disabled_at) AS disabled
+      FROM users
+    `).get();
+
+    const alerts = db.prepare(`
+      SELECT
+        COUNT(*) AS total,
+        SUM(CASE WHEN active = 1 THEN 1 ELSE 0 END) AS active
+      FROM alerts
+    `).get();
+
+    const notifications = db.prepare(`
+      SELECT COUNT(*) AS last24h
+      FROM notification_log
+      WHERE sent_at >= ?
+    `).get(oneDayAgo);
+
+    res.json({
+      success: true,
+      stats: {
+        users,
+        alerts: { total: alerts.total, active: alerts.active || 0 },
+        notificationsLast24h: notifications.last24h,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching admin stats:', error);
+    res.status(500).json({ error: 'Failed to fetch stats' });
+  }
+});
+
+/**
+ * List and search users
+ * GET /api/admin/users?search=&limit=&offset=
+ */
+router.get('/users', (req, res) => {
+  try {
+    const { limit, offset } = getPagination(req.query);
+    const search = `%${(req.query.search || '').toLowerCase().trim()}%`;
+
+    const users = db.prepare(`
+      SELECT
+        u.id,
+        u.email,
+        u.role,
+        u.verified_at,
+        u.unsubscribed_at,
+        u.disabled_at,
+        u.created_at,
+        COUNT(a.id) AS alert_count
+      FROM users u
+      LEFT JOIN alerts a ON a.user_id = u.id
+      WHERE u.email LIKE ?
+      GROUP BY u.id
+      ORDER BY u.created_at DESC
+      LIMIT ? OFFSET ?
+    `).all(search, limit, offset);
+
+    const { total } = db.prepare('SELECT COUNT(*) AS total FROM users WHERE email LIKE ?').get(search);
+
+    res.json({ success: true, users, total });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+/**
+ * List and search alerts (by owner email)
+ * GET /api/admin/alerts?search=&limit=&offset=
+ */
+router.get('/alerts', (req, res) => {
+  try {
+    const { limit, offset } = getPagination(req.query);
+    const search = `%${(req.query.search || '').toLowerCase().trim()}%`;
+
+    const alerts = db.prepare(`
+      SELECT
+        a.id,
+        a.latitude,
+        a.longitude,
+        a.threshold,
+        a.increment_threshold,
+        a.active,
+        a.created_at,
+        u.email,
+        ans.last_notified_value,
+        ans.last_notified_at
+      FROM alerts a
+      INNER JOIN users u ON a.user_id = u.id
+      LEFT JOIN alert_notification_state ans ON a.id = ans.alert_id AND ans.user_id = a.user_id
+      WHERE u.email LIKE ?
+      ORDER BY a.created_at DESC
+      LIMIT ? OFFSET ?
+    `).all(search, limit, offset);
+
+    const { total } = db.prepare(`
+      SELECT COUNT(*) AS total
+      FROM alerts a
+      INNER JOIN users u ON a.user_id = u.id
+      WHERE u.email LIKE ?
+    `).get(search);
+
+    res.json({ success: true, alerts, total });
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+/**
+ * Disable or re-enable a user account
+ * Disabling also ends all of the user's sessions
+ * PUT /api/admin/users/:id/disabled
+ * Body: { disabled: boolean }
+ */
+router.put('/users/:id/disabled', (req, res) => {
+  try {
+    const { disabled } = req.body;
+    const userId = parseInt(req.params.id);
+
+    if (typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled (boolean) is required' });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: "You can't disable your own account" });
+    }
+
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    db.prepare('UPDATE users SET disabled_at = ? WHERE id = ?')
+      .run(disabled ? new Date().toISOString() : null, userId);
+
+    if (disabled) {
+      deleteAllSessions(userId);
+    }
+
+    res.json({ success: true, message: disabled ? 'User disabled' : 'User enabled' });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Kinds of alert email recorded in notification_log
+const NOTIFICATION_KINDS = ['aurora', 'activity_ended', 'solar_wind', 'forecast'];
+
+/**
+ * List sent alert emails, newest first (search by recipient email, filter by kind)
+ * GET /api/admin/notifications?search=&kind=&limit=&offset=
+ */
+router.get('/notifications', (req, res) => {
+  try {
+    const { limit, offset } = getPagination(req.query);
+    const search = `%${(req.query.search || '').toLowerCase().trim()}%`;
+    const kind = req.query.kind || null;
+
+    if (kind && !NOTIFICATION_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${NOTIFICATION_KINDS.join(', ')}` });
+    }
+
+    const notifications = db.prepare(`
+      SELECT
+        n.id,
+        n.kind,
+        n.sent_at,
+        n.alert_id,
+        a.name AS alert_name,
+        n.user_id,
+        u.email
+      FROM notification_log n
+      INNER JOIN alerts a ON n.alert_id = a.id
+      INNER JOIN users u ON n.user_id = u.id
+      WHERE u.email LIKE ? AND (? IS NULL OR n.kind = ?)
+      ORDER BY n.sent_at DESC, n.id DESC
+      LIMIT ? OFFSET ?
+    `).all(search, kind, kind, limit, offset);
+
+    const { total } = db.prepare(`
+      SELECT COUNT(*) AS total
+      FROM notification_log n
+      INNER JOIN users u ON n.user_id = u.id
+      WHERE u.email LIKE ? AND (? IS NULL OR n.kind = ?)
+    `).get(search, kind, kind);
+
+    res.json({ success: true, notifications, total });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+/**
+ * List recent scheduler runs
+ * GET /api/admin/scheduler-runs?limit=
+ */
+router.get('/scheduler-runs', (req, res) => {
+  try {
+    const { limit, offset } = getPagination(req.query);
+
+    const runs = db.prepare(`
+      SELECT id, started_at, finished_at, status, alerts_checked, notifications_sent, error
+      FROM scheduler_runs
+      ORDER BY started_at DESC
+      LIMIT ? OFFSET ?
+    `).all(limit, offset);
+
+    res.json({ success: true, runs });
+  } catch (error) {
+    console.error('Error fetching scheduler runs:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduler runs' });
+  }
+});
+
+export default router;
@@ -6,33 +6,474 @@
 import express from 'express';
 import db from '../db/database.js';
 import { getCachedCityName } from '../services/geocoding.js';
-import { fetchAuroraData } from '../services/aurora.js';
+import { fetchAuroraData, AGGREGATION_MODES, DEFAULT_AGGREGATION_PERCENTILE } from '../services/aurora.js';
+import { requireSessionOrApiKey } from '../middleware/auth.js';
+import { mapDataRateLimit, inviteRateLimit } from '../middleware/rateLimit.js';
+import { isValidTimeZone, parseActiveWindows, parseStoredWindows } from '../services/activeHours.js';
+import { DARKNESS_LEVELS, DEFAULT_DARKNESS } from '../services/solar.js';
+import { getMoonContext } from '../services/moon.js';
+import { getCurrentKp } from '../services/kp.js';
+import { getLatestSolarWind, SOLAR_WIND_METRICS, SOLAR_WIND_OPERATORS } from '../services/solarWind.js';
+import { getKpForecast } from '../services/forecast.js';
+import { parseRegion, parseStoredRegion, getRegionCentroid } from '../services/region.js';
+import { parseRule, parseStoredRule, buildSimpleRule, isSimpleRule } from '../services/rules.js';
+import { DEFAULT_COOLDOWN_HOURS } from '../services/alert.js';
+import { sendInvitation, removeRecipient, MAX_RECIPIENTS } from '../services/recipients.js';
 
 const router = express.Router();
 
-// Simple middleware to get user from email (in production, use proper session/auth)
-const getUserFromEmail = (req, res, next) => {
-  const email = req.headers['x-user-email'];
-  
-  if (!email) {
-    return res.status(401).json({ error: 'Email required in x-user-email header' });
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTES_LENGTH = 1000;
+
+const DARKNESS_ERROR = "darkness_requirement must be 'civil', 'nautical' or 'astronomical'";
+
+/**
+ * Check a moon_boost value (threshold increase while a bright moon is up)
+ */
+function isValidMoonBoost(value) {
+  return typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 50;
+}
+
+const MOON_BOOST_ERROR = 'Valid moon_boost (0-50 integer) is required';
+
+// Cells up to this far from an alert can set its value (a long drive for a better view)
+const MAX_SEARCH_RADIUS_KM = 500;
+
+// Snoozes longer than this should be a pause instead
+const MAX_SNOOZE_DAYS = 365;
+
+// What an alert compares against its threshold: the OVATION probability or the planetary Kp index
+const TRIGGER_TYPES = ['probability', 'kp'];
+
+const FORECAST_HEADS_UP_ERROR = 'forecast_heads_up must be true or false';
+
+/**
+ * Validate an optional free-text field
+ * Blank strings and null clear the field
+ * @param {*} value - Value from the request body
+ * @param {string} field - Field name for the error message
+ * @param {number} maxLength - Maximum length after trimming
+ * @returns {{value: string|null}|{error: string}} Trimmed value (or null), or a validation error
+ */
+function parseOptionalText(value, field, maxLength) {
+  if (value === null || value === undefined) {
+    return { value: null };
   }
 
-  const user = db.prepare('SELECT id, email FROM users WHERE email = ?').get(email.toLowerCase().trim());
-  
-  if (!user) {
-    return res.status(401).json({ error: 'User not found' });
+  if (typeof value !== 'string') {
+    return { error: `${field} must be a string` };
   }
 
-  req.user = user;
-  next();
-};
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) {
+    return { error: `${field} must be at most ${maxLength} characters` };
+  }
 
-// Apply middleware to all routes
-router.use(getUserFromEmail);
+  return { value: trimmed || null };
+}
+
+/**
+ * Validate the active hours fields of a request body
+ * Only fields present in the body are returned, so this works for both create and update
+ * @param {Object} body - Request body
+ * @returns {{fields: Object}|{error: string}} Column values to store, or a validation error
+ */
+function parseActiveHours({ timezone, active_windows, outside_window_action }) {
+  const fields = {};
+
+  if (timezone !== undefined) {
+    if (timezone !== null && !isValidTimeZone(timezone)) {
+      return { error: 'timezone must be a valid IANA time zone (e.g. Europe/Oslo)' };
+    }
+    fields.timezone = timezone;
+  }
+
+  if (active_windows !== undefined) {
+    const windows = parseActiveWindows(active_windows);
+    if (windows.error) {
+      return { error: windows.error };
+    }
+    fields.active_windows = windows.value ? JSON.stringify(windows.value) : null;
+  }
+
+  if (outside_window_action !== undefined) {
+    if (!['defer', 'suppress'].includes(outside_window_action)) {
+      return { error: "outside_window_action must be 'defer' or 'suppress'" };
+    }
+    fields.outside_window_action = outside_window_action;
+  }
+
+  return { fields };
+}
+
+/**
+ * Validate the trip date fields of a request body
+ * Only fields present in the body are returned. A changed end date brings an archived trip back.
+ * @param {Object} body - Request body
+ * @param {Object} [current] - The alert's current dates, when updating
+ * @returns {{fields: Object}|{error: string}} Column values to store, or a validation error
+ */
+function parseTripDates({ starts_at, expires_at }, current = {}) {
+  const fields = {};
+
+  for (const [column, value] of [['starts_at', starts_at], ['expires_at', expires_at]]) {
+    if (value === undefined) {
+      continue;
+    }
+
+    const date = new Date(value);
+    if (value !== null && (typeof value !== 'string' || isNaN(date.getTime()))) {
+      return { error: `${column} must be an ISO date or null` };
+    }
+    fields[column] = value === null ? null : date.toISOString();
+  }
+
+  if (fields.expires_at !== undefined && fields.expires_at !== current.expires_at) {
+    if (fields.expires_at && new Date(fields.expires_at) <= new Date()) {
+      return { error: 'expires_at must be in the future' };
+    }
+    fields.archived_at = null;
+  }
+
+  const startsAt = fields.starts_at !== undefined ? fields.starts_at : current.starts_at;
+  const expiresAt = fields.expires_at !== undefined ? fields.expires_at : current.expires_at;
+  if (startsAt && expiresAt && new Date(expiresAt) <= new Date(startsAt)) {
+    return { error: 'expires_at must be after starts_at' };
+  }
+
+  return { fields };
+}
+
+/**
+ * Validate the "activity ended" follow-up fields of a request body
+ * The lower bound must sit below the threshold, so values near the threshold can't flap between
+ * alerts and follow-ups. It is an aurora probability, so Kp alerts can't have follow-ups.
+ * @param {Object} body - Request body
+ * @param {Object} [current] - The alert's current settings, when updating
+ * @returns {{fields: Object}|{error: string}} Column values to store, or a validation error
+ */
+function parseActivityEnded({ ended_below, ended_after_minutes, threshold, trigger_type }, current = {}) {
+  const fields = {};
+
+  if (ended_below !== undefined) {
+    if (ended_below !== null && !isIntegerInRange(ended_below, 0, 99)) {
+      return { error: 'ended_below must be an integer from 0 to 99, or null to turn follow-ups off' };
+    }
+    fields.ended_below = ended_below;
+  }
+
+  if (ended_after_minutes !== undefined) {
+    if (!isIntegerInRange(ended_after_minutes, 5, 240)) {
+      return { error: 'ended_after_minutes must be an integer from 5 to 240' };
+    }
+    fields.ended_after_minutes = ended_after_minutes;
+  }
+
+  const endedBelow = fields.ended_below !== undefined ? fields.ended_below : current.ended_below;
+  const triggerType = trigger_type || current.trigger_type || 'probability';
+  if (triggerType === 'kp' && endedBelow !== null && endedBelow !== undefined) {
+    return { error: 'Kp alerts can\'t have activity ended follow-ups; set ended_below to null' };
+  }
+
+  const finalThreshold = threshold !== undefined ? threshold : current.threshold;
+  if (endedBelow !== null && endedBelow !== undefined && typeof finalThreshold === 'number' &&
+      endedBelow >= finalThreshold) {
+    return { error: 'ended_below must be lower than the threshold' };
+  }
+
+  return { fields };
+}
+
+/**
+ * Validate the trigger fields of a request body
+ * Kp alerts ('kp') compare the planetary Kp index against kp_threshold instead of comparing the
+ * OVATION probability against threshold.
+ * @param {Object} body - Request body
+ * @param {Object} [current] - The alert's current settings, when updating
+ * @returns {{fields: Object}|{error: string}} Column values to store, or a validation error
+ */
+function parseTrigger({ trigger_type, kp_threshold }, current = {}) {
+  const fields = {};
+
+  if (trigger_type !== undefined) {
+    if (!TRIGGER_TYPES.includes(trigger_type)) {
+      return { error: "trigger_type must be 'probability' or 'kp'" };
+    }
+    fields.trigger_type = trigger_type;
+  }
+
+  if (kp_threshold !== undefined) {
+    if (kp_threshold !== null && (typeof kp_threshold !== 'number' || kp_threshold < 0 || kp_threshold > 9)) {
+      return { error: 'kp_threshold must be a number from 0 to 9' };
+    }
+    fields.kp_threshold = kp_threshold;
+  }
+
+  const triggerType = fields.trigger_type || current.trigger_type || 'probability';
+  const kpThreshold = fields.kp_threshold !== undefined ? fields.kp_threshold : current.kp_threshold;
+  if (triggerType === 'kp' && (kpThreshold === null || kpThreshold === undefined)) {
+    return { error: 'kp_threshold is required for Kp alerts' };
+  }
+
+  return { fields };
+}
+
+/**
+ * Validate the rule of a request body
+ * A rule tree replaces the alert's conditions. Without one (or with rule: null) the alert gets the rule
+ * built from its threshold and darkness requirement, which keeps following them until it is customized.
+ * @param {Object} body - Request body
+ * @param {Object} settings - trigger_type, threshold, kp_threshold and darkness_requirement after this request
+ * @param {Object} [current] - The alert being updated
+ * @returns {{fields: Object}|{error: string}} Column values to store, or a validation error
+ */
+function parseAlertRule({ rule }, settings, current) {
+  let value;
+
+  if (rule !== undefined && rule !== null) {
+    const parsed = parseRule(rule);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    value = JSON.stringify(parsed.value);
+  } else if (rule === null || !current || isSimpleRule(current)) {
+    value = JSON.stringify(buildSimpleRule(settings));
+  }
+
+  return value === undefined || value === current?.rule ? { fields: {} } : { fields: { rule: value } };
+}
+
+/**
+ * Validate the "sustained for N checks / M minutes" fields of a request body
+ * Either limit may be null to leave it out; with both set, both must be met
+ * @param {Object} body - Request body
+ * @returns {{fields: Object}|{error: string}} Column values to store, or a validation error
+ */
+function parseSustained({ sustained_checks, sustained_minutes }) {
+  const fields = {};
+
+  if (sustained_checks !== undefined) {
+    if (sustained_checks !== null && !isIntegerInRange(sustained_checks, 2, 24)) {
+      return { error: 'sustained_checks must be an integer from 2 to 24, or null' };
+    }
+    fields.sustained_checks = sustained_checks;
+  }
+
+  if (sustained_minutes !== undefined) {
+    if (sustained_minutes !== null && !isIntegerInRange(sustained_minutes, 5, 240)) {
+      return { error: 'sustained_minutes must be an integer from 5 to 240, or null' };
+    }
+    fields.sustained_minutes = sustained_minutes;
+  }
+
+  return { fields };
+}
+
+/**
+ * Validate the search radius fields of a request body
+ * Only fields present in the body are returned, so this works for both create and update
+ * @param {Object} body - Request body
+ * @returns {{fields: Object}|{error: string}} Column values to store, or a validation error
+ */
+function parseSearchRadius({ search_radius_km, aggregation, aggregation_percentile }) {
+  const fields = {};
+
+  if (search_radius_km !== undefined) {
+    if (!isIntegerInRange(search_radius_km, 0, MAX_SEARCH_RADIUS_KM)) {
+      return { error: `search_radius_km must be an integer from 0 to ${MAX_SEARCH_RADIUS_KM}` };
+    }
+    fields.search_radius_km = search_radius_km;
+  }
+
+  if (aggregation !== undefined) {
+    if (!AGGREGATION_MODES.includes(aggregation)) {
+      return { error: "aggregation must be 'max', 'mean' or 'percentile'" };
+    }
+    fields.aggregation = aggregation;
+  }
+
+  if (aggregation_percentile !== undefined) {
+    if (!isIntegerInRange(aggregation_percentile, 1, 99)) {
+      return { error: 'aggregation_percentile must be an integer from 1 to 99' };
+    }
+    fields.aggregation_percentile = aggregation_percentile;
+  }
+
+  return { fields };
+}
+
+/**
+ * Validate the solar wind rule of a request body
+ * @param {Object} body - Request body
+ * @returns {{rule: Object|null|undefined}|{error: string}} Rule to store (null removes it, undefined leaves it
+ *   unchanged), or a validation error
+ */
+function parseSolarWindRule({ solar_wind_rule: rule }) {
+  if (rule === undefined || rule === null) {
+    return { rule };
+  }
+
+  if (typeof rule !== 'object' || Array.isArray(rule)) {
+    return { error: 'solar_wind_rule must be an object or null' };
+  }
+  if (!SOLAR_WIND_METRICS.includes(rule.metric)) {
+    return { error: `solar_wind_rule.metric must be one of ${SOLAR_WIND_METRICS.join(', ')}` };
+  }
+  if (!SOLAR_WIND_OPERATORS.includes(rule.operator)) {
+    return { error: "solar_wind_rule.operator must be '<' or '>'" };
+  }
+  if (typeof rule.value !== 'number' || !Number.isFinite(rule.value)) {
+    return { error: 'solar_wind_rule.value must be a number' };
+  }
+  const minutes = rule.minutes ?? 15;
+  if (!isIntegerInRange(minutes, 0, 180)) {
+    return { error: 'solar_wind_rule.minutes must be an integer from 0 to 180' };
+  }
+
+  return { rule: { metric: rule.metric, operator: rule.operator, value: rule.value, minutes } };
+}
+
+/**
+ * Validate the dedup policy fields of a request body
+ * Only fields present in the body are returned; null resets a field to its default.
+ * reset_below is an aurora probability, so Kp alerts ignore it.
+ * @param {Object} body - Request body
+ * @returns {{fields: Object}|{error: string}} Column values to store, or a validation error
+ */
+function parseDedupPolicy({ cooldown_hours, max_per_night, reset_below }) {
+  const fields = {};
+
+  if (cooldown_hours !== undefined) {
+    if (cooldown_hours !== null && !isIntegerInRange(cooldown_hours, 1, 168)) {
+      return { error: 'cooldown_hours must be an integer from 1 to 168' };
+    }
+    fields.cooldown_hours = cooldown_hours ?? DEFAULT_COOLDOWN_HOURS;
+  }
+
+  if (max_per_night !== undefined) {
+    if (max_per_night !== null && !isIntegerInRange(max_per_night, 1, 20)) {
+      return { error: 'max_per_night must be an integer from 1 to 20, or null for no limit' };
+    }
+    fields.max_per_night = max_per_night;
+  }
+
+  if (reset_below !== undefined) {
+    if (reset_below !== null && !isIntegerInRange(reset_below, 0, 100)) {
+      return { error: 'reset_below must be an integer from 0 to 100, or null to disable' };
+    }
+    fields.reset_below = reset_below;
+  }
+
+  return { fields };
+}
+
+function isIntegerInRange(value, min, max) {
+  return typeof value === 'number' && Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Store the given dedup policy fields for an alert, keeping any it already has
+ * @param {number} alertId - Alert ID
+ * @param {Object} fields - Column values from parseDedupPolicy
+ */
+function saveDedupPolicy(alertId, fields) {
+  const columns = Object.keys(fields);
+  if (columns.length === 0) {
+    return;
+  }
+
+  db.prepare(`
+    INSERT INTO alert_dedup_policies (alert_id, ${columns.join(', ')})
+    VALUES (@alertId, ${columns.map(column => `@${column}`).join(', ')})
+    ON CONFLICT(alert_id) DO UPDATE SET
+      ${columns.map(column => `${column} = excluded.${column}`).join(', ')}
+  `).run({ alertId, ...fields });
+}
+
+/**
+ * Store or remove an alert's solar wind rule
+ * @param {number} alertId - Alert ID
+ * @param {Object|null|undefined} rule - Rule from parseSolarWindRule
+ */
+function saveSolarWindRule(alertId, rule) {
+  if (rule === undefined) {
+    return;
+  }
+
+  if (rule === null) {
+    db.prepare('DELETE FROM alert_solar_wind_rules WHERE alert_id = ?').run(alertId);
+    return;
+  }
+
+  db.prepare(`
+    INSERT INTO alert_solar_wind_rules (alert_id, metric, operator, value, minutes)
+    VALUES (@alertId, @metric, @operator, @value, @minutes)
+    ON CONFLICT(alert_id) DO UPDATE SET
+      metric = excluded.metric, operator = excluded.operator, value = excluded.value, minutes = excluded.minutes
+  `).run({ alertId, ...rule });
+}
+
+// Dedup policy columns, with the defaults for alerts that have no policy row
+const DEDUP_POLICY_COLUMNS = `
+        COALESCE(adp.cooldown_hours, ${DEFAULT_COOLDOWN_HOURS}) AS cooldown_hours,
+        adp.max_per_night,
+        adp.reset_below`;
+
+// Solar wind rule columns (null for alerts without a rule); formatAlert nests them as solar_wind_rule
+const SOLAR_WIND_RULE_COLUMNS = `
+        swr.metric AS solar_wind_metric,
+        swr.operator AS solar_wind_operator,
+        swr.value AS solar_wind_value,
+        swr.minutes AS solar_wind_minutes`;
+
+/**
+ * Shape an alert row for API responses (active windows and regions are stored as JSON)
+ */
+function formatAlert({ solar_wind_metric, solar_wind_operator, solar_wind_value, solar_wind_minutes, ...alert }) {
+  return {
+    ...alert,
+    active_windows: parseStoredWindows(alert.active_windows),
+    region: parseStoredRegion(alert.region),
+    rule: parseStoredRule(alert.rule),
+    solar_wind_rule: solar_wind_metric
+      ? { metric: solar_wind_metric, operator: solar_wind_operator, value: solar_wind_value, minutes: solar_wind_minutes }
+      : null,
+  };
+}
+
+/**
+ * Find the user's membership of a shared alert (someone else's alert whose invitation they accepted)
+ * @param {number|string} alertId - Alert ID
+ * @param {number} userId - User ID
+ * @returns {Object|null} alert_recipients row, or null if the user isn't a member
+ */
+function getMembership(alertId, userId) {
+  return db.prepare(`
+    SELECT * FROM alert_recipients WHERE alert_id = ? AND user_id = ? AND status = 'accepted'
+  `).get(alertId, userId) || null;
+}
+
+/**
+ * List the people an alert is shared with (for its owner)
+ */
+function getRecipients(alertId) {
+  return db.prepare(`
+    SELECT id, email, status, invited_at, responded_at
+    FROM alert_recipients
+    WHERE alert_id = ?
+    ORDER BY invited_at, id
+  `).all(alertId);
+}
+
+// All alert routes require a logged-in session or a personal API key
+router.use(requireSessionOrApiKey);
 
 /**
  * Get all alerts for the current user
+ * Shared alerts the user accepted an invitation to are included with role 'member' (their own alerts have
+ * role 'owner' and list their recipients); active and the notification state are the user's own.
+ * Archived trips are included (with archived_at set) so past trips can still be listed.
+ * The current Kp index, the latest solar wind readings and the 3-day Kp forecast are returned alongside the alerts.
  * GET /api/alerts
  */
 router.get('/', async (req, res) => {
@@ -40,19 +481,52 @@ router.get('/', async (req, res) => {
     const alerts = db.prepare(`
       SELECT 
         a.id,
+        a.name,
+        a.notes,
+        a.timezone,
+        a.active_windows,
+        a.outside_window_action,
+        a.darkness_requirement,
+        a.moon_boost,
+        a.search_radius_km,
+        a.aggregation,
+        a.aggregation_percentile,
+        a.region,
+        a.starts_at,
+        a.expires_at,
+        a.archived_at,
+        a.peak_value,
+        a.peak_at,
+        a.ended_below,
+        a.ended_after_minutes,
+        a.sustained_checks,
+        a.sustained_minutes,
+        a.trigger_type,
+        a.kp_threshold,
+        a.forecast_heads_up,
+        a.rule,${DEDUP_POLICY_COLUMNS},${SOLAR_WIND_RULE_COLUMNS},
         a.latitude,
         a.longitude,
         a.threshold,
         a.increment_threshold,
+        CASE WHEN a.user_id = @userId THEN a.active ELSE r.active END AS active,
+        a.snoozed_until,
         a.created_at,
         a.updated_at,
+        CASE WHEN a.user_id = @userId THEN 'owner' ELSE 'member' END AS role,
+        owner.email AS owner_email,
+        r.id AS recipient_id,
         ans.last_notified_value,
         ans.last_notified_at
       FROM alerts a
-      LEFT JOIN alert_notification_state ans ON a.id = ans.alert_id
-      WHERE a.user_id = ?
+      INNER JOIN users owner ON a.user_id = owner.id
+      LEFT JOIN alert_recipients r ON a.id = r.alert_id AND r.user_id = @userId AND r.status = 'accepted'
+      LEFT JOIN alert_notification_state ans ON a.id = ans.alert_id AND ans.user_id = @userId
+      LEFT JOIN alert_dedup_policies adp ON a.id = adp.alert_id
+      LEFT JOIN alert_solar_wind_rules swr ON a.id = swr.alert_id
+      WHERE a.user_id = @userId OR r.id IS NOT NULL
       ORDER BY a.created_at DESC
-    `).all(req.user.id);
+    `).all({ userId: req.user.id });
 
     // Enrich alerts with city names and history data
     const enrichedAlerts = await Promise.all(
@@ -63,7 +537,7 @@ router.get('/', async (req, res) => {
         // Get 24-hour history data
         const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
         const history = db.prepare(`
-          SELECT aurora_value, recorded_at
+          SELECT aurora_value, cell_latitude, cell_longitude, recorded_at
           FROM aurora_history
           WHERE alert_id = ? AND recorded_at >= ?
           ORDER BY recorded_at ASC
@@ -71,7 +545,7 @@ router.get('/', async (req, res) => {
 
         // Get latest recorded aurora value
         const latestRecord = db.prepare(`
-          SELECT aurora_value, recorded_at
+          SELECT aurora_value, cell_latitude, cell_longitude, recorded_at
           FROM aurora_history
           WHERE alert_id = ?
           ORDER BY recorded_at DESC
@@ -79,19 +553,31 @@ router.get('/', async (req, res) => {
         `).get(alert.id);
 
         return {
-          ...alert,
+          ...formatAlert(alert),
+          recipients: alert.role === 'owner' ? getRecipients(alert.id) : [],
           cityName,
+          moon: getMoonContext(new Date(), alert.latitude, alert.longitude),
           latestAuroraValue: latestRecord ? latestRecord.aurora_value : null,
           latestAuroraValueAt: latestRecord ? latestRecord.recorded_at : null,
+          latestAuroraCell: latestRecord && latestRecord.cell_latitude !== null
+            ? { latitude: latestRecord.cell_latitude, longitude: latestRecord.cell_longitude }
+            : null,
           history: history.map(h => ({
             value: h.aurora_value,
             timestamp: h.recorded_at,
+            cell: h.cell_latitude !== null ? { latitude: h.cell_latitude, longitude: h.cell_longitude } : null,
           })),
         };
       })
     );
 
-    res.json({ success: true, alerts: enrichedAlerts });
+    res.json({
+      success: true,
+      alerts: enrichedAlerts,
+      kp: getCurrentKp(),
+      solarWind: getLatestSolarWind(),
+      forecast: getKpForecast(),
+    });
   } catch (error) {
     console.error('Error fetching alerts:', error);
     res.status(500).json({ error: 'Failed to fetch alerts' });
@@ -100,14 +586,85 @@ router.get('/', async (req, res) => {
 
 /**
  * Create a new alert
+ * Region alerts (a GeoJSON Polygon) take their latitude/longitude from the region's centroid.
  * POST /api/alerts
- * Body: { latitude: number, longitude: number, threshold: number }
+ * Body: { latitude: number, longitude: number, threshold: number, region?: GeoJSON Polygon,
+ *         name?: string, notes?: string,
+ *         timezone?: string, active_windows?: Array, outside_window_action?: 'defer' | 'suppress',
+ *         darkness_requirement?: 'civil' | 'nautical' | 'astronomical', moon_boost?: number,
+ *         cooldown_hours?: number, max_per_night?: number | null, reset_below?: number | null,
+ *         search_radius_km?: number, aggregation?: 'max' | 'mean' | 'percentile', aggregation_percentile?: number,
+ *         starts_at?: string (ISO date) | null, expires_at?: string (ISO date) | null,
+ *         ended_below?: number | null, ended_after_minutes?: number,
+ *         sustained_checks?: number | null, sustained_minutes?: number | null,
+ *         trigger_type?: 'probability' | 'kp', kp_threshold?: number | null, forecast_heads_up?: boolean,
+ *         solar_wind_rule?: { metric: 'bz' | 'bt' | 'speed' | 'density', operator: '<' | '>', value: number,
+ *           minutes?: number } | null,
+ *         rule?: rule tree (see parseRule in services/rules.js) | null }
  */
 router.post('/', (req, res) => {
   try {
-    const { latitude, longitude, threshold, increment_threshold } = req.body;
+    const { threshold, increment_threshold } = req.body;
 
     // Validation
+    const name = parseOptionalText(req.body.name, 'Name', MAX_NAME_LENGTH);
+    if (name.error) {
+      return res.status(400).json({ error: name.error });
+    }
+
+    const notes = parseOptionalText(req.body.notes, 'Notes', MAX_NOTES_LENGTH);
+    if (notes.error) {
+      return res.status(400).json({ error: notes.error });
+    }
+
+    const activeHours = parseActiveHours(req.body);
+    if (activeHours.error) {
+      return res.status(400).json({ error: activeHours.error });
+    }
+    const { timezone = null, active_windows = null, outside_window_action = 'defer' } = activeHours.fields;
+
+    const darknessRequirement = req.body.darkness_requirement ?? DEFAULT_DARKNESS;
+    if (!DARKNESS_LEVELS[darknessRequirement]) {
+      return res.status(400).json({ error: DARKNESS_ERROR });
+    }
+
+    const moonBoost = req.body.moon_boost ?? 0;
+    if (!isValidMoonBoost(moonBoost)) {
+      return res.status(400).json({ error: MOON_BOOST_ERROR });
+    }
+
+    const dedupPolicy = parseDedupPolicy(req.body);
+    if (dedupPolicy.error) {
+      return res.status(400).json({ error: dedupPolicy.error });
+    }
+
+    const solarWindRule = parseSolarWindRule(req.body);
+    if (solarWindRule.error) {
+      return res.status(400).json({ error: solarWindRule.error });
+    }
+
+    const searchRadius = parseSearchRadius(req.body);
+    if (searchRadius.error) {
+      return res.status(400).json({ error: searchRadius.error });
+    }
+    const {
+      search_radius_km = 0,
+      aggregation = 'max',
+      aggregation_percentile = DEFAULT_AGGREGATION_PERCENTILE,
+    } = searchRadius.fields;
+
+    const tripDates = parseTripDates(req.body);
+    if (tripDates.error) {
+      return res.status(400).json({ error: tripDates.error });
+    }
+    const { starts_at = null, expires_at = null } = tripDates.fields;
+
+    const region = parseRegion(req.body.region);
+    if (region.error) {
+      return res.status(400).json({ error: region.error });
+    }
+    const { latitude, longitude } = region.value ? getRegionCentroid(region.value) : req.body;
+
     if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
       return res.status(400).json({ error: 'Valid latitude (-90 to 90) is required' });
     }
@@ -120,32 +677,109 @@ router.post('/', (req, res) => {
       return res.status(400).json({ error: 'Valid threshold (1-100 integer) is required' });
     }
 
+    const activityEnded = parseActivityEnded(req.body);
+    if (activityEnded.error) {
+      return res.status(400).json({ error: activityEnded.error });
+    }
+    const { ended_below = null, ended_after_minutes = 30 } = activityEnded.fields;
+
+    const sustained = parseSustained(req.body);
+    if (sustained.error) {
+      return res.status(400).json({ error: sustained.error });
+    }
+    const { sustained_checks = null, sustained_minutes = null } = sustained.fields;
+
+    const trigger = parseTrigger(req.body);
+    if (trigger.error) {
+      return res.status(400).json({ error: trigger.error });
+    }
+    const { trigger_type = 'probability', kp_threshold = null } = trigger.fields;
+
+    const forecastHeadsUp = req.body.forecast_heads_up ?? false;
+    if (typeof forecastHeadsUp !== 'boolean') {
+      return res.status(400).json({ error: FORECAST_HEADS_UP_ERROR });
+    }
+
+    const rule = parseAlertRule(req.body, {
+      trigger_type, threshold, kp_threshold, darkness_requirement: darknessRequirement,
+    });
+    if (rule.error) {
+      return res.status(400).json({ error: rule.error });
+    }
+
     const incrementThreshold = increment_threshold !== undefined 
       ? (typeof increment_threshold === 'number' && increment_threshold >= 1 && increment_threshold <= 50 && Number.isInteger(increment_threshold)
           ? increment_threshold 
           : 10) // Default to 10 if invalid
       : 10; // Default to 10 if not provided
 
+    // The alert, its dedup policy and its solar wind rule are saved together or not at all
     const now = new Date().toISOString();
-    const result = db.prepare(`
-      INSERT INTO alerts (user_id, latitude, longitude, threshold, increment_threshold, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).run(req.user.id, latitude, longitude, threshold, incrementThreshold, now, now);
+    const alertId = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO alerts (
+          user_id, name, notes, latitude, longitude, threshold, increment_threshold,
+          timezone, active_windows, outside_window_action, darkness_requirement, moon_boost,
+          search_radius_km, aggregation, aggregation_percentile, region, starts_at, expires_at,
+          ended_below, ended_after_minutes, sustained_checks, sustained_minutes, trigger_type, kp_threshold,
+          forecast_heads_up, rule, created_at, updated_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        req.user.id, name.value, notes.value, latitude, longitude, threshold, incrementThreshold,
+        timezone, active_windows, outside_window_action, darknessRequirement, moonBoost,
+        search_radius_km, aggregation, aggregation_percentile,
+        region.value ? JSON.stringify(region.value) : null, starts_at, expires_at,
+        ended_below, ended_after_minutes, sustained_checks, sustained_minutes, trigger_type, kp_threshold,
+        forecastHeadsUp ? 1 : 0, rule.fields.rule, now, now
+      );
+      saveDedupPolicy(result.lastInsertRowid, dedupPolicy.fields);
+      saveSolarWindRule(result.lastInsertRowid, solarWindRule.rule);
+      return result.lastInsertRowid;
+    })();
 
     const alert = db.prepare(`
       SELECT 
         a.id,
+        a.name,
+        a.notes,
+        a.timezone,
+        a.active_windows,
+        a.outside_window_action,
+        a.darkness_requirement,
+        a.moon_boost,
+        a.search_radius_km,
+        a.aggregation,
+        a.aggregation_percentile,
+        a.region,
+        a.starts_at,
+        a.expires_at,
+        a.archived_at,
+        a.peak_value,
+        a.peak_at,
+        a.ended_below,
+        a.ended_after_minutes,
+        a.sustained_checks,
+        a.sustained_minutes,
+        a.trigger_type,
+        a.kp_threshold,
+        a.forecast_heads_up,
+        a.rule,${DEDUP_POLICY_COLUMNS},${SOLAR_WIND_RULE_COLUMNS},
         a.latitude,
         a.longitude,
         a.threshold,
         a.increment_threshold,
+        a.active,
+        a.snoozed_until,
         a.created_at,
         a.updated_at
       FROM alerts a
+      LEFT JOIN alert_dedup_policies adp ON a.id = adp.alert_id
+      LEFT JOIN alert_solar_wind_rules swr ON a.id = swr.alert_id
       WHERE a.id = ?
-    `).get(result.lastInsertRowid);
+    `).get(alertId);
 
-    res.status(201).json({ success: true, alert });
+    res.status(201).json({ success: true, alert: formatAlert(alert) });
   } catch (error) {
     console.error('Error creating alert:', error);
     res.status(500).json({ error: 'Failed to create alert' });
@@ -154,8 +788,21 @@ router.post('/', (req, res) => {
 
 /**
  * Update an alert
+ * A new region moves the alert to its centroid; send region: null to turn a region alert back into a point.
  * PUT /api/alerts/:id
- * Body: { latitude?: number, longitude?: number, threshold?: number }
+ * Body: { latitude?: number, longitude?: number, threshold?: number, region?: GeoJSON Polygon | null,
+ *         name?: string, notes?: string,
+ *         timezone?: string, active_windows?: Array, outside_window_action?: 'defer' | 'suppress',
+ *         darkness_requirement?: 'civil' | 'nautical' | 'astronomical', moon_boost?: number,
+ *         cooldown_hours?: number, max_per_night?: number | null, reset_below?: number | null,
+ *         search_radius_km?: number, aggregation?: 'max' | 'mean' | 'percentile', aggregation_percentile?: number,
+ *         starts_at?: string (ISO date) | null, expires_at?: string (ISO date) | null,
+ *         ended_below?: number | null, ended_after_minutes?: number,
+ *         sustained_checks?: number | null, sustained_minutes?: number | null,
+ *         trigger_type?: 'probability' | 'kp', kp_threshold?: number | null, forecast_heads_up?: boolean,
+ *         solar_wind_rule?: { metric: 'bz' | 'bt' | 'speed' | 'density', operator: '<' | '>', value: number,
+ *           minutes?: number } | null,
+ *         rule?: rule tree (see parseRule in services/rules.js) | null }
  */
 router.put('/:id', (req, res) => {
   try {
@@ -166,6 +813,9 @@ router.put('/:id', (req, res) => {
     const existing = db.prepare('SELECT * FROM alerts WHERE id = ? AND user_id = ?').get(id, req.user.id);
     
     if (!existing) {
+      if (getMembership(id, req.user.id)) {
+        return res.status(403).json({ error: 'Only the owner can edit a shared alert' });
+      }
       return res.status(404).json({ error: 'Alert not found' });
     }
 
@@ -173,6 +823,75 @@ router.put('/:id', (req, res) => {
     const updates = [];
     const values = [];
 
+    if (req.body.name !== undefined) {
+      const name = parseOptionalText(req.body.name, 'Name', MAX_NAME_LENGTH);
+      if (name.error) {
+        return res.status(400).json({ error: name.error });
+      }
+      updates.push('name = ?');
+      values.push(name.value);
+    }
+
+    if (req.body.notes !== undefined) {
+      const notes = parseOptionalText(req.body.notes, 'Notes', MAX_NOTES_LENGTH);
+      if (notes.error) {
+        return res.status(400).json({ error: notes.error });
+      }
+      updates.push('notes = ?');
+      values.push(notes.value);
+    }
+
+    const activeHours = parseActiveHours(req.body);
+    if (activeHours.error) {
+      return res.status(400).json({ error: activeHours.error });
+    }
+    for (const [column, value] of Object.entries(activeHours.fields)) {
+      updates.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    const searchRadius = parseSearchRadius(req.body);
+    if (searchRadius.error) {
+      return res.status(400).json({ error: searchRadius.error });
+    }
+    for (const [column, value] of Object.entries(searchRadius.fields)) {
+      updates.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    const tripDates = parseTripDates(req.body, existing);
+    if (tripDates.error) {
+      return res.status(400).json({ error: tripDates.error });
+    }
+    for (const [column, value] of Object.entries(tripDates.fields)) {
+      updates.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    let regionCentroid = null;
+    if (req.body.region !== undefined) {
+      const region = parseRegion(req.body.region);
+      if (region.error) {
+        return res.status(400).json({ error: region.error });
+      }
+      updates.push('region = ?');
+      values.push(region.value ? JSON.stringify(region.value) : null);
+
+      if (region.value) {
+        regionCentroid = getRegionCentroid(region.value);
+        updates.push('latitude = ?', 'longitude = ?');
+        values.push(regionCentroid.latitude, regionCentroid.longitude);
+      }
+    }
+
+    // A region alert's location is always its centroid
+    const hasRegion = req.body.region !== undefined ? !!regionCentroid : !!existing.region;
+    if (hasRegion && (latitude !== undefined || longitude !== undefined)) {
+      return res.status(400).json({
+        error: 'Region alerts are located at the center of their region; send region: null to use a point'
+      });
+    }
+
     if (latitude !== undefined) {
       if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
         return res.status(400).json({ error: 'Valid latitude (-90 to 90) is required' });
@@ -197,6 +916,57 @@ router.put('/:id', (req, res) => {
       values.push(threshold);
     }
 
+    const activityEnded = parseActivityEnded(req.body, existing);
+    if (activityEnded.error) {
+      return res.status(400).json({ error: activityEnded.error });
+    }
+    for (const [column, value] of Object.entries(activityEnded.fields)) {
+      updates.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    const sustained = parseSustained(req.body);
+    if (sustained.error) {
+      return res.status(400).json({ error: sustained.error });
+    }
+    for (const [column, value] of Object.entries(sustained.fields)) {
+      updates.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    const trigger = parseTrigger(req.body, existing);
+    if (trigger.error) {
+      return res.status(400).json({ error: trigger.error });
+    }
+    for (const [column, value] of Object.entries(trigger.fields)) {
+      updates.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    if (req.body.forecast_heads_up !== undefined) {
+      if (typeof req.body.forecast_heads_up !== 'boolean') {
+        return res.status(400).json({ error: FORECAST_HEADS_UP_ERROR });
+      }
+      updates.push('forecast_heads_up = ?');
+      values.push(req.body.forecast_heads_up ? 1 : 0);
+    }
+
+    if (req.body.darkness_requirement !== undefined) {
+      if (!DARKNESS_LEVELS[req.body.darkness_requirement]) {
+        return res.status(400).json({ error: DARKNESS_ERROR });
+      }
+      updates.push('darkness_requirement = ?');
+      values.push(req.body.darkness_requirement);
+    }
+
+    if (req.body.moon_boost !== undefined) {
+      if (!isValidMoonBoost(req.body.moon_boost)) {
+        return res.status(400).json({ error: MOON_BOOST_ERROR });
+      }
+      updates.push('moon_boost = ?');
+      values.push(req.body.moon_boost);
+    }
+
     if (increment_threshold !== undefined) {
       if (typeof increment_threshold !== 'number' || increment_threshold < 1 || increment_threshold > 50 || !Number.isInteger(increment_threshold)) {
         return res.status(400).json({ error: 'Valid increment_threshold (1-50 integer) is required' });
@@ -205,7 +975,31 @@ router.put('/:id', (req, res) => {
       values.push(increment_threshold);
     }
 
-    if (updates.length === 0) {
+    const rule = parseAlertRule(req.body, {
+      trigger_type: trigger.fields.trigger_type || existing.trigger_type,
+      threshold: threshold !== undefined ? threshold : existing.threshold,
+      kp_threshold: trigger.fields.kp_threshold !== undefined ? trigger.fields.kp_threshold : existing.kp_threshold,
+      darkness_requirement: req.body.darkness_requirement || existing.darkness_requirement,
+    }, existing);
+    if (rule.error) {
+      return res.status(400).json({ error: rule.error });
+    }
+    for (const [column, value] of Object.entries(rule.fields)) {
+      updates.push(`${column} = ?`);
+      values.push(value);
+    }
+
+    const dedupPolicy = parseDedupPolicy(req.body);
+    if (dedupPolicy.error) {
+      return res.status(400).json({ error: dedupPolicy.error });
+    }
+
+    const solarWindRule = parseSolarWindRule(req.body);
+    if (solarWindRule.error) {
+      return res.status(400).json({ error: solarWindRule.error });
+    }
+
+    if (updates.length === 0 && Object.keys(dedupPolicy.fields).length === 0 && solarWindRule.rule === undefined) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
@@ -213,36 +1007,150 @@ router.put('/:id', (req, res) => {
     values.push(new Date().toISOString());
     values.push(id, req.user.id);
 
-    db.prepare(`
-      UPDATE alerts 
-      SET ${updates.join(', ')}
-      WHERE id = ? AND user_id = ?
-    `).run(...values);
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE alerts 
+        SET ${updates.join(', ')}
+        WHERE id = ? AND user_id = ?
+      `).run(...values);
+      saveDedupPolicy(existing.id, dedupPolicy.fields);
+      saveSolarWindRule(existing.id, solarWindRule.rule);
+    })();
 
     // Fetch updated alert
     const alert = db.prepare(`
       SELECT 
         a.id,
+        a.name,
+        a.notes,
+        a.timezone,
+        a.active_windows,
+        a.outside_window_action,
+        a.darkness_requirement,
+        a.moon_boost,
+        a.search_radius_km,
+        a.aggregation,
+        a.aggregation_percentile,
+        a.region,
+        a.starts_at,
+        a.expires_at,
+        a.archived_at,
+        a.peak_value,
+        a.peak_at,
+        a.ended_below,
+        a.ended_after_minutes,
+        a.sustained_checks,
+        a.sustained_minutes,
+        a.trigger_type,
+        a.kp_threshold,
+        a.forecast_heads_up,
+        a.rule,${DEDUP_POLICY_COLUMNS},${SOLAR_WIND_RULE_COLUMNS},
         a.latitude,
         a.longitude,
         a.threshold,
         a.increment_threshold,
+        a.active,
+        a.snoozed_until,
         a.created_at,
         a.updated_at,
         ans.last_notified_value,
         ans.last_notified_at
       FROM alerts a
-      LEFT JOIN alert_notification_state ans ON a.id = ans.alert_id
+      LEFT JOIN alert_notification_state ans ON a.id = ans.alert_id AND ans.user_id = a.user_id
+      LEFT JOIN alert_dedup_policies adp ON a.id = adp.alert_id
+      LEFT JOIN alert_solar_wind_rules swr ON a.id = swr.alert_id
       WHERE a.id = ? AND a.user_id = ?
     `).get(id, req.user.id);
 
-    res.json({ success: true, alert });
+    res.json({ success: true, alert: formatAlert(alert) });
   } catch (error) {
     console.error('Error updating alert:', error);
     res.status(500).json({ error: 'Failed to update alert' });
   }
 });
 
+/**
+ * Pause, resume or snooze an alert
+ * History keeps being recorded while an alert is paused or snoozed; only emails stop.
+ * Resuming (active: true) also ends any snooze.
+ * Members of a shared alert can pause and resume their own notifications; only the owner can snooze it.
+ * PUT /api/alerts/:id/status
+ * Body: { active?: boolean, snoozed_until?: string (ISO date) | null }
+ */
+router.put('/:id/status', (req, res) => {
+  try {
+    const { id } = req.params;
+    const { active, snoozed_until } = req.body;
+
+    const existing = db.prepare('SELECT id FROM alerts WHERE id = ? AND user_id = ?').get(id, req.user.id);
+    const membership = !existing && getMembership(id, req.user.id);
+
+    if (!existing && !membership) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    if (active === undefined && snoozed_until === undefined) {
+      return res.status(400).json({ error: 'active or snoozed_until is required' });
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+
+    if (membership) {
+      if (snoozed_until !== undefined) {
+        return res.status(403).json({ error: 'Only the owner can snooze a shared alert' });
+      }
+
+      db.prepare('UPDATE alert_recipients SET active = ? WHERE id = ?').run(active ? 1 : 0, membership.id);
+
+      const alert = db.prepare('SELECT id, snoozed_until FROM alerts WHERE id = ?').get(id);
+      return res.json({ success: true, alert: { ...alert, active: active ? 1 : 0 } });
+    }
+
+    let snoozedUntil = active === true ? null : undefined;
+    if (snoozed_until !== undefined && snoozed_until !== null) {
+      const date = new Date(snoozed_until);
+      const maxDate = new Date(Date.now() + MAX_SNOOZE_DAYS * 24 * 60 * 60 * 1000);
+
+      if (typeof snoozed_until !== 'string' || isNaN(date.getTime()) || date <= new Date() || date > maxDate) {
+        return res.status(400).json({
+          error: `snoozed_until must be a date in the next ${MAX_SNOOZE_DAYS} days`
+        });
+      }
+      snoozedUntil = date.toISOString();
+    } else if (snoozed_until === null) {
+      snoozedUntil = null;
+    }
+
+    const updates = ['updated_at = ?'];
+    const values = [new Date().toISOString()];
+
+    if (active !== undefined) {
+      updates.push('active = ?');
+      values.push(active ? 1 : 0);
+    }
+
+    if (snoozedUntil !== undefined) {
+      updates.push('snoozed_until = ?');
+      values.push(snoozedUntil);
+    }
+
+    db.prepare(`
+      UPDATE alerts
+      SET ${updates.join(', ')}
+      WHERE id = ? AND user_id = ?
+    `).run(...values, id, req.user.id);
+
+    const alert = db.prepare('SELECT id, active, snoozed_until FROM alerts WHERE id = ?').get(id);
+
+    res.json({ success: true, alert });
+  } catch (error) {
+    console.error('Error updating alert status:', error);
+    res.status(500).json({ error: 'Failed to update alert status' });
+  }
+});
+
 /**
  * Delete an alert
  * DELETE /api/alerts/:id
@@ -255,10 +1163,13 @@ router.delete('/:id', (req, res) => {
     const existing = db.prepare('SELECT id FROM alerts WHERE id = ? AND user_id = ?').get(id, req.user.id);
     
     if (!existing) {
+      if (getMembership(id, req.user.id)) {
+        return res.status(403).json({ error: 'Only the owner can delete a shared alert (you can leave it instead)' });
+      }
       return res.status(404).json({ error: 'Alert not found' });
     }
 
-    // Delete alert (cascade will handle notification state)
+    // Delete alert (cascade will handle notification state and recipients)
     db.prepare('DELETE FROM alerts WHERE id = ? AND user_id = ?').run(id, req.user.id);
 
     res.json({ success: true, message: 'Alert deleted successfully' });
@@ -268,11 +1179,123 @@ router.delete('/:id', (req, res) => {
   }
 });
 
+/**
+ * List the people an alert is shared with
+ * GET /api/alerts/:id/recipients
+ */
+router.get('/:id/recipients', (req, res) => {
+  try {
+    const existing = db.prepare('SELECT id FROM alerts WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({ success: true, recipients: getRecipients(existing.id) });
+  } catch (error) {
+    console.error('Error fetching recipients:', error);
+    res.status(500).json({ error: 'Failed to fetch recipients' });
+  }
+});
+
+/**
+ * Share an alert: email someone an invitation to receive its notifications
+ * Inviting an address again (after it declined, or to resend a pending invitation) sends a new invitation.
+ * Rate limited, since every request sends an email.
+ * POST /api/alerts/:id/recipients
+ * Body: { email: string }
+ */
+router.post('/:id/recipients', inviteRateLimit, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const existing = db.prepare('SELECT id FROM alerts WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+
+    if (!existing) {
+      if (getMembership(req.params.id, req.user.id)) {
+        return res.status(403).json({ error: 'Only the owner can invite people to a shared alert' });
+      }
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    if (!email || typeof email !== 'string' || !email.includes('@')) {
+      return res.status(400).json({ error: 'Valid email is required' });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    if (normalizedEmail === req.user.email) {
+      return res.status(400).json({ error: 'You already receive this alert' });
+    }
+
+    let recipient = db.prepare('SELECT * FROM alert_recipients WHERE alert_id = ? AND email = ?')
+      .get(existing.id, normalizedEmail);
+
+    if (recipient && recipient.status === 'accepted') {
+      return res.status(409).json({ error: 'This alert is already shared with that email' });
+    }
+
+    const now = new Date().toISOString();
+
+    if (recipient) {
+      db.prepare(`
+        UPDATE alert_recipients SET status = 'pending', invited_at = ?, responded_at = NULL WHERE id = ?
+      `).run(now, recipient.id);
+    } else {
+      const { count } = db.prepare('SELECT COUNT(*) AS count FROM alert_recipients WHERE alert_id = ?').get(existing.id);
+      if (count >= MAX_RECIPIENTS) {
+        return res.status(400).json({ error: `An alert can be shared with at most ${MAX_RECIPIENTS} people` });
+      }
+
+      const result = db.prepare(`
+        INSERT INTO alert_recipients (alert_id, email, invited_at) VALUES (?, ?, ?)
+      `).run(existing.id, normalizedEmail, now);
+      recipient = { id: result.lastInsertRowid };
+    }
+
+    recipient = db.prepare('SELECT * FROM alert_recipients WHERE id = ?').get(recipient.id);
+    await sendInvitation(recipient);
+
+    res.status(201).json({ success: true, recipients: getRecipients(existing.id) });
+  } catch (error) {
+    console.error('Error inviting recipient:', error);
+    res.status(500).json({ error: 'Failed to send invitation' });
+  }
+});
+
+/**
+ * Remove someone from a shared alert (the owner can remove anyone; members can remove themselves to leave it)
+ * DELETE /api/alerts/:id/recipients/:recipientId
+ */
+router.delete('/:id/recipients/:recipientId', (req, res) => {
+  try {
+    const { id, recipientId } = req.params;
+
+    const recipient = db.prepare(`
+      SELECT r.*, a.user_id AS owner_id
+      FROM alert_recipients r
+      INNER JOIN alerts a ON r.alert_id = a.id
+      WHERE r.id = ? AND r.alert_id = ?
+    `).get(recipientId, id);
+
+    if (!recipient || (recipient.owner_id !== req.user.id && recipient.user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
+
+    removeRecipient(recipient);
+
+    res.json({ success: true, message: recipient.owner_id === req.user.id ? 'Recipient removed' : 'You left the alert' });
+  } catch (error) {
+    console.error('Error removing recipient:', error);
+    res.status(500).json({ error: 'Failed to remove recipient' });
+  }
+});
+
 /**
  * Get aurora data for map visualization
  * GET /api/alerts/map-data?hoursAgo=0
  */
-router.get('/map-data', async (req, res) => {
+router.get('/map-data', mapDataRateLimit, async (req, res) => {
   try {
     const hoursAgo = parseInt(req.query.hoursAgo) || 0;
     const targetTime = new Date(Date.now() - hoursAgo * 60 * 60 * 1000);
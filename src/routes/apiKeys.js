@@ -0,0 +1,72 @@
+/**
+ * API key routes
+ * Manage personal API keys (only from an interactive session)
+ */
+
+import express from 'express';
+import { requireSession } from '../middleware/auth.js';
+import { createApiKey, listApiKeys, revokeApiKey, API_KEY_SCOPES } from '../services/apiKeys.js';
+
+const router = express.Router();
+
+// API keys can't be used to manage API keys
+router.use(requireSession);
+
+/**
+ * List the current user's API keys
+ * GET /api/api-keys
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, apiKeys: listApiKeys(req.user.id) });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+/**
+ * Create an API key
+ * The raw key is only returned once, in this response
+ * POST /api/api-keys
+ * Body: { name: string, scope: 'read' | 'write' }
+ */
+router.post('/', (req, res) => {
+  try {
+    const { name, scope = 'read' } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return res.status(400).json({ error: 'Name is required (max 100 characters)' });
+    }
+
+    if (!API_KEY_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `Scope must be one of: ${API_KEY_SCOPES.join(', ')}` });
+    }
+
+    const { key, apiKey } = createApiKey(req.user.id, name.trim(), scope);
+
+    res.status(201).json({ success: true, key, apiKey });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/api-keys/:id
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (!revokeApiKey(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+export default router;
@@ -1,19 +1,77 @@
 /**
  * Authentication routes
- * Simple email-based auth (no password)
+ * Passwordless email auth: a one-time magic link creates a server-side session
  */
 
 import express from 'express';
 import db from '../db/database.js';
+import { requireSession } from '../middleware/auth.js';
+import { authRateLimit } from '../middleware/rateLimit.js';
+import {
+  createLoginToken,
+  consumeLoginToken,
+  createSession,
+  refreshSession,
+  deleteSession,
+  deleteAllSessions,
+  LOGIN_TOKEN_TTL_MINUTES,
+} from '../services/session.js';
+import { signToken, consumeToken } from '../services/tokens.js';
+import { sendLoginLink, sendVerificationEmail } from '../services/email.js';
+import { promoteConfiguredAdmins } from '../services/admin.js';
 
 const router = express.Router();
 
+// Confirmation links stay valid for a week
+const VERIFY_TOKEN_TTL_DAYS = 7;
+
+const ACCOUNT_DISABLED_ERROR = 'This account has been disabled. Please contact the administrator.';
+
+/**
+ * Email a one-time login link to a user
+ * @param {Object} user - User record
+ */
+async function emailLoginLink(user) {
+  const { token } = createLoginToken(user.id);
+  await sendLoginLink(user.email, token, LOGIN_TOKEN_TTL_MINUTES);
+}
+
+/**
+ * Email an address confirmation link to a user
+ * @param {Object} user - User record
+ */
+async function emailVerificationLink(user) {
+  const token = signToken('verify-email', { uid: user.id, email: user.email }, VERIFY_TOKEN_TTL_DAYS * 24 * 60 * 60);
+  await sendVerificationEmail(user.email, token);
+}
+
+/**
+ * Mark a user's email as verified
+ * Following any link we emailed them proves they own the address
+ * @param {Object} user - User record
+ */
+function markVerified(user) {
+  if (!user.verified_at) {
+    db.prepare('UPDATE users SET verified_at = ? WHERE id = ?').run(new Date().toISOString(), user.id);
+  }
+}
+
+/**
+ * Get the user fields the frontend needs after logging in
+ * @param {number} userId - User ID
+ * @returns {Object} User profile
+ */
+function getUserProfile(userId) {
+  return db.prepare('SELECT id, email, verified_at, unsubscribed_at, role FROM users WHERE id = ?').get(userId);
+}
+
 /**
  * Register a new user with email
+ * New users get a confirmation email (double opt-in) instead of being logged in directly
  * POST /api/auth/register
  * Body: { email: string }
  */
-router.post('/register', (req, res) => {
+router.post('/register', authRateLimit, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -25,24 +83,29 @@ router.post('/register', (req, res) => {
     const normalizedEmail = email.toLowerCase().trim();
 
     // Check if user already exists
-    const existing = db.prepare('SELECT id, email FROM users WHERE email = ?').get(normalizedEmail);
+    let user = db.prepare('SELECT id, email, verified_at, disabled_at FROM users WHERE email = ?').get(normalizedEmail);
     
-    if (existing) {
-      // User exists, return success (idempotent)
-      return res.json({
-        success: true,
-        user: { id: existing.id, email: existing.email },
-        message: 'User already exists'
-      });
+    if (!user) {
+      // Create new (unverified) user
+      const result = db.prepare('INSERT INTO users (email) VALUES (?)').run(normalizedEmail);
+      user = { id: result.lastInsertRowid, email: normalizedEmail, verified_at: null };
+      promoteConfiguredAdmins();
+    } else if (user.disabled_at) {
+      return res.status(403).json({ error: ACCOUNT_DISABLED_ERROR });
+    }
+
+    // Registration is idempotent - confirmed users just get a login link
+    if (user.verified_at) {
+      await emailLoginLink(user);
+    } else {
+      await emailVerificationLink(user);
     }
 
-    // Create new user
-    const result = db.prepare('INSERT INTO users (email) VALUES (?)').run(normalizedEmail);
-    
     res.json({
       success: true,
-      user: { id: result.lastInsertRowid, email: normalizedEmail },
-      message: 'User registered successfully'
+      message: user.verified_at
+        ? 'Check your inbox for a login link'
+        : 'Check your inbox to confirm your email address'
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -51,11 +114,11 @@ router.post('/register', (req, res) => {
 });
 
 /**
- * Login with email
+ * Request a login link
  * POST /api/auth/login
  * Body: { email: string }
  */
-router.post('/login', (req, res) => {
+router.post('/login', authRateLimit, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -67,21 +130,247 @@ router.post('/login', (req, res) => {
     const normalizedEmail = email.toLowerCase().trim();
 
     // Find user
-    const user = db.prepare('SELECT id, email FROM users WHERE email = ?').get(normalizedEmail);
+    const user = db.prepare('SELECT id, email, disabled_at FROM users WHERE email = ?').get(normalizedEmail);
     
     if (!user) {
       return res.status(404).json({ error: 'User not found. Please register first.' });
     }
 
+    if (user.disabled_at) {
+      return res.status(403).json({ error: ACCOUNT_DISABLED_ERROR });
+    }
+
+    await emailLoginLink(user);
+
     res.json({
       success: true,
-      user: { id: user.id, email: user.email }
+      message: 'Check your inbox for a login link'
     });
   } catch (error) {
     console.error('Login error:', error);
-    res.status(500).json({ error: 'Failed to login' });
+    res.status(500).json({ error: 'Failed to send login link' });
   }
 });
 
-export default router;
+/**
+ * Exchange a login link token for a session
+ * POST /api/auth/verify
+ * Body: { token: string }
+ */
+router.post('/verify', (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Login token is required' });
+    }
+
+    const user = consumeLoginToken(token);
+
+    if (!user) {
+      return res.status(400).json({ error: 'This login link is invalid or has expired. Please request a new one.' });
+    }
 
+    if (user.disabled_at) {
+      return res.status(403).json({ error: ACCOUNT_DISABLED_ERROR });
+    }
+
+    markVerified(user);
+
+    res.json({
+      success: true,
+      user: getUserProfile(user.id),
+      session: createSession(user.id)
+    });
+  } catch (error) {
+    console.error('Login verification error:', error);
+    res.status(500).json({ error: 'Failed to verify login link' });
+  }
+});
+
+/**
+ * Exchange an auto-login token from an alert email for a session
+ * The token is signed, single-use, and tied to both the recipient and the alert
+ * POST /api/auth/email-link
+ * Body: { token: string }
+ */
+router.post('/email-link', (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Login token is required' });
+    }
+
+    const { payload, error } = consumeToken(token, 'email-login');
+
+    if (error === 'expired' || error === 'used') {
+      // Tell the frontend who the link was for so it can offer a fresh login link
+      return res.status(410).json({
+        error: 'This link has expired. Request a new login link to continue.',
+        code: 'link_expired',
+        email: payload.email
+      });
+    }
+
+    // The link must still match its recipient and one of their alerts (their own, or a shared alert they accepted)
+    const user = !error && db.prepare('SELECT id, email, verified_at, disabled_at FROM users WHERE id = ? AND email = ?')
+      .get(payload.uid, payload.email);
+    const alert = user && (
+      db.prepare('SELECT id FROM alerts WHERE id = ? AND user_id = ?').get(payload.aid, user.id) ||
+      db.prepare(`
+        SELECT alert_id AS id FROM alert_recipients WHERE alert_id = ? AND user_id = ? AND status = 'accepted'
+      `).get(payload.aid, user.id)
+    );
+
+    if (!user || !alert) {
+      return res.status(400).json({ error: 'This link is invalid. Please log in with your email.' });
+    }
+
+    if (user.disabled_at) {
+      return res.status(403).json({ error: ACCOUNT_DISABLED_ERROR });
+    }
+
+    res.json({
+      success: true,
+      user: getUserProfile(user.id),
+      session: createSession(user.id),
+      alertId: alert.id
+    });
+  } catch (error) {
+    console.error('Email link login error:', error);
+    res.status(500).json({ error: 'Failed to log in from email link' });
+  }
+});
+
+/**
+ * Confirm an email address from the link in the confirmation email
+ * Also logs the user in, since the link proves they own the address (so the link is single-use)
+ * POST /api/auth/verify-email
+ * Body: { token: string }
+ */
+router.post('/verify-email', (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const { payload, error } = consumeToken(token, 'verify-email');
+
+    if (error === 'expired' || error === 'used') {
+      return res.status(410).json({
+        error: 'This confirmation link has expired or was already used. Log in or request a new one to continue.',
+        code: 'link_expired',
+        email: payload.email
+      });
+    }
+
+    const user = !error && db.prepare('SELECT id, email, verified_at, disabled_at FROM users WHERE id = ? AND email = ?')
+      .get(payload.uid, payload.email);
+
+    if (!user) {
+      return res.status(400).json({ error: 'This confirmation link is invalid.' });
+    }
+
+    if (user.disabled_at) {
+      return res.status(403).json({ error: ACCOUNT_DISABLED_ERROR });
+    }
+
+    markVerified(user);
+
+    res.json({
+      success: true,
+      user: getUserProfile(user.id),
+      session: createSession(user.id)
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+/**
+ * Resend the confirmation email for the current user
+ * POST /api/auth/resend-verification
+ */
+router.post('/resend-verification', requireSession, async (req, res) => {
+  try {
+    if (req.user.verified_at) {
+      return res.status(400).json({ error: 'Your email is already confirmed' });
+    }
+
+    await emailVerificationLink(req.user);
+
+    res.json({ success: true, message: 'Confirmation email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send confirmation email' });
+  }
+});
+
+/**
+ * Refresh a session
+ * Returns a new access token and rotates the refresh token
+ * POST /api/auth/refresh
+ * Body: { refreshToken: string }
+ */
+router.post('/refresh', (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const session = refreshSession(refreshToken);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Session expired. Please log in again.' });
+    }
+
+    res.json({ success: true, session });
+  } catch (error) {
+    console.error('Session refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+/**
+ * Get the current user
+ * GET /api/auth/me
+ */
+router.get('/me', requireSession, (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+/**
+ * Log out (ends the current session)
+ * POST /api/auth/logout
+ */
+router.post('/logout', requireSession, (req, res) => {
+  try {
+    deleteSession(req.sessionToken);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+/**
+ * Log out everywhere (revokes all of the user's sessions, on every device)
+ * POST /api/auth/logout-all
+ */
+router.post('/logout-all', requireSession, (req, res) => {
+  try {
+    const revoked = deleteAllSessions(req.user.id);
+    res.json({ success: true, message: `Logged out of ${revoked} session(s)` });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({ error: 'Failed to log out everywhere' });
+  }
+});
+
+export default router;
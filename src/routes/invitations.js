@@ -0,0 +1,159 @@
+/**
+ * Invitation routes
+ * Invitations to shared alerts, answered from the alert list or from the emailed link (which works without logging in)
+ */
+
+import express from 'express';
+import db from '../db/database.js';
+import { requireSession } from '../middleware/auth.js';
+import { verifyToken } from '../services/tokens.js';
+import { getCachedCityName } from '../services/geocoding.js';
+import { respondToInvitation } from '../services/recipients.js';
+
+const router = express.Router();
+
+const INVALID_INVITE_LINK_ERROR = 'This invitation link is invalid or has expired. Ask the alert\'s owner to invite you again.';
+
+/**
+ * Resolve an invitation token to the recipient row it was issued for
+ * The token is only valid while the invitation exists and is for the email address it was sent to
+ * @param {string} token - Signed invitation token
+ * @returns {Object|null} alert_recipients row, or null if the token is invalid
+ */
+function resolveInviteToken(token) {
+  const { payload, error } = verifyToken(token, 'alert-invite');
+  if (error) {
+    return null;
+  }
+
+  const recipient = db.prepare('SELECT * FROM alert_recipients WHERE id = ?').get(payload.rid);
+  return recipient && recipient.email === payload.email ? recipient : null;
+}
+
+/**
+ * Describe an invitation for the alert list and the invitation page
+ * @param {Object} recipient - alert_recipients row
+ * @returns {Promise<Object>} {id, status, email, invited_at, alert: {id, name, cityName, owner_email}}
+ */
+async function describeInvitation(recipient) {
+  const alert = db.prepare(`
+    SELECT a.id, a.name, a.latitude, a.longitude, u.email AS owner_email
+    FROM alerts a
+    INNER JOIN users u ON a.user_id = u.id
+    WHERE a.id = ?
+  `).get(recipient.alert_id);
+
+  const cityName = await getCachedCityName(alert.latitude, alert.longitude);
+
+  return {
+    id: recipient.id,
+    status: recipient.status,
+    email: recipient.email,
+    invited_at: recipient.invited_at,
+    alert: { id: alert.id, name: alert.name, cityName, owner_email: alert.owner_email },
+  };
+}
+
+/**
+ * Check an accept/decline body
+ * @returns {string|null} Validation error, or null if accept is a boolean
+ */
+function validateResponse({ accept }) {
+  return typeof accept === 'boolean' ? null : 'accept must be true or false';
+}
+
+/**
+ * List the invitations waiting for the current user's answer
+ * GET /api/invitations
+ */
+router.get('/', requireSession, async (req, res) => {
+  try {
+    const recipients = db.prepare(`
+      SELECT * FROM alert_recipients
+      WHERE email = ? AND status = 'pending'
+      ORDER BY invited_at DESC
+    `).all(req.user.email);
+
+    res.json({ success: true, invitations: await Promise.all(recipients.map(describeInvitation)) });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+/**
+ * Describe what an invitation link is for (for the invitation page)
+ * GET /api/invitations/link?token=...
+ */
+router.get('/link', async (req, res) => {
+  try {
+    const recipient = resolveInviteToken(req.query.token);
+
+    if (!recipient) {
+      return res.status(400).json({ error: INVALID_INVITE_LINK_ERROR });
+    }
+
+    res.json({ success: true, invitation: await describeInvitation(recipient) });
+  } catch (error) {
+    console.error('Invitation lookup error:', error);
+    res.status(500).json({ error: 'Failed to look up invitation link' });
+  }
+});
+
+/**
+ * Accept or decline an invitation from its emailed link
+ * Accepting creates an account for the invited address if it doesn't have one yet.
+ * POST /api/invitations/link
+ * Body: { token: string, accept: boolean }
+ */
+router.post('/link', async (req, res) => {
+  try {
+    const recipient = resolveInviteToken(req.body.token);
+
+    if (!recipient) {
+      return res.status(400).json({ error: INVALID_INVITE_LINK_ERROR });
+    }
+
+    const validationError = validateResponse(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updated = respondToInvitation(recipient, req.body.accept);
+
+    res.json({ success: true, invitation: await describeInvitation(updated) });
+  } catch (error) {
+    console.error('Invitation response error:', error);
+    res.status(500).json({ error: 'Failed to answer invitation' });
+  }
+});
+
+/**
+ * Accept or decline an invitation sent to the current user's email address
+ * POST /api/invitations/:id
+ * Body: { accept: boolean }
+ */
+router.post('/:id', requireSession, async (req, res) => {
+  try {
+    const recipient = db.prepare('SELECT * FROM alert_recipients WHERE id = ? AND email = ?')
+      .get(req.params.id, req.user.email);
+
+    if (!recipient) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const validationError = validateResponse(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updated = respondToInvitation(recipient, req.body.accept);
+
+    res.json({ success: true, invitation: await describeInvitation(updated) });
+  } catch (error) {
+    console.error('Invitation response error:', error);
+    res.status(500).json({ error: 'Failed to answer invitation' });
+  }
+});
+
+export default router;
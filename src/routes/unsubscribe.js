@@ -0,0 +1,161 @@
+/**
+ * Unsubscribe routes
+ * Signed links from alert emails that work without logging in
+ */
+
+import express from 'express';
+import db from '../db/database.js';
+import { requireSession } from '../middleware/auth.js';
+import { verifyToken } from '../services/tokens.js';
+import { getCachedCityName } from '../services/geocoding.js';
+
+const router = express.Router();
+
+// RFC 8058 one-click requests are form-encoded (List-Unsubscribe=One-Click)
+router.use(express.urlencoded({ extended: false }));
+
+/**
+ * Resolve an unsubscribe token to the user and alert it was issued for
+ * For members of a shared alert, the alert carries their membership (recipient_id) and their own active flag.
+ * @param {string} token - Signed unsubscribe token
+ * @returns {Object|null} {action, user, alert} or null if the token is invalid
+ */
+function resolveUnsubscribeToken(token) {
+  const { payload, error } = verifyToken(token, 'unsubscribe');
+  if (error) {
+    return null;
+  }
+
+  const user = db.prepare('SELECT id, email, unsubscribed_at FROM users WHERE id = ?').get(payload.uid);
+  const alert = user && (
+    db.prepare('SELECT id, latitude, longitude, active, NULL AS recipient_id FROM alerts WHERE id = ? AND user_id = ?')
+      .get(payload.aid, user.id) ||
+    db.prepare(`
+      SELECT a.id, a.latitude, a.longitude, r.active, r.id AS recipient_id
+      FROM alert_recipients r
+      INNER JOIN alerts a ON r.alert_id = a.id
+      WHERE r.alert_id = ? AND r.user_id = ? AND r.status = 'accepted'
+    `).get(payload.aid, user.id)
+  );
+
+  if (!user || (payload.action === 'pause' && !alert)) {
+    return null;
+  }
+
+  return { action: payload.action, user, alert };
+}
+
+/**
+ * Pause an alert or stop all alert emails for a user
+ * Pausing a shared alert only pauses it for the member who got the email.
+ * @param {Object} target - Resolved token from resolveUnsubscribeToken
+ * @param {boolean} subscribed - False to unsubscribe, true to undo
+ */
+function setSubscribed({ action, user, alert }, subscribed) {
+  const now = new Date().toISOString();
+
+  if (action === 'pause' && alert.recipient_id) {
+    db.prepare('UPDATE alert_recipients SET active = ? WHERE id = ?').run(subscribed ? 1 : 0, alert.recipient_id);
+  } else if (action === 'pause') {
+    db.prepare('UPDATE alerts SET active = ?, updated_at = ? WHERE id = ? AND user_id = ?')
+      .run(subscribed ? 1 : 0, now, alert.id, user.id);
+  } else {
+    db.prepare('UPDATE users SET unsubscribed_at = ? WHERE id = ?')
+      .run(subscribed ? null : (user.unsubscribed_at || now), user.id);
+  }
+}
+
+/**
+ * Describe what an unsubscribe link will do (for the confirmation page)
+ * GET /api/unsubscribe?token=...
+ */
+router.get('/', async (req, res) => {
+  try {
+    const target = resolveUnsubscribeToken(req.query.token);
+
+    if (!target) {
+      return res.status(400).json({ error: 'This unsubscribe link is invalid or has expired.' });
+    }
+
+    const { action, user, alert } = target;
+    const cityName = alert ? await getCachedCityName(alert.latitude, alert.longitude) : null;
+
+    res.json({
+      success: true,
+      action,
+      email: user.email,
+      alert: alert ? { id: alert.id, cityName, active: !!alert.active } : null,
+      unsubscribed: action === 'pause' ? !alert.active : !!user.unsubscribed_at
+    });
+  } catch (error) {
+    console.error('Unsubscribe lookup error:', error);
+    res.status(500).json({ error: 'Failed to look up unsubscribe link' });
+  }
+});
+
+/**
+ * Unsubscribe
+ * Used by the confirmation page ({ token } in the body) and by mail clients
+ * for RFC 8058 one-click unsubscribe (token in the query string)
+ * POST /api/unsubscribe
+ */
+router.post('/', (req, res) => {
+  try {
+    const target = resolveUnsubscribeToken(req.body.token || req.query.token);
+
+    if (!target) {
+      return res.status(400).json({ error: 'This unsubscribe link is invalid or has expired.' });
+    }
+
+    setSubscribed(target, false);
+
+    res.json({
+      success: true,
+      message: target.action === 'pause' ? 'Alert paused' : 'You will no longer receive alert emails'
+    });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+});
+
+/**
+ * Undo an unsubscribe from the confirmation page
+ * POST /api/unsubscribe/undo
+ * Body: { token: string }
+ */
+router.post('/undo', (req, res) => {
+  try {
+    const target = resolveUnsubscribeToken(req.body.token);
+
+    if (!target) {
+      return res.status(400).json({ error: 'This unsubscribe link is invalid or has expired.' });
+    }
+
+    setSubscribed(target, true);
+
+    res.json({
+      success: true,
+      message: target.action === 'pause' ? 'Alert resumed' : 'Alert emails turned back on'
+    });
+  } catch (error) {
+    console.error('Resubscribe error:', error);
+    res.status(500).json({ error: 'Failed to undo unsubscribe' });
+  }
+});
+
+/**
+ * Turn alert emails back on for the logged-in user
+ * POST /api/unsubscribe/resume
+ */
+router.post('/resume', requireSession, (req, res) => {
+  try {
+    db.prepare('UPDATE users SET unsubscribed_at = NULL WHERE id = ?').run(req.user.id);
+    res.json({ success: true, message: 'Alert emails turned back on' });
+  } catch (error) {
+    console.error('Resume emails error:', error);
+    res.status(500).json({ error: 'Failed to turn alert emails back on' });
+  }
+});
+
+export default router;
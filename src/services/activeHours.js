@@ -0,0 +1,140 @@
+/**
+ * Active hours service
+ * Per-alert time windows (in the user's time zone) during which notifications may be sent
+ */
+
+const MAX_WINDOWS = 10;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check whether a string is a valid IANA time zone
+ * @param {string} timeZone - e.g. 'Europe/Oslo'
+ * @returns {boolean} True if the time zone is known
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate active windows from a request body
+ * Each window is { days: number[] (0 = Sunday), start: 'HH:MM', end: 'HH:MM' }.
+ * A window whose end is before its start runs past midnight into the next day;
+ * `days` are the days the window starts on.
+ * @param {*} windows - Array of windows, or null/empty for "always active"
+ * @returns {{value: Array|null}|{error: string}} Normalized windows (null if always active), or a validation error
+ */
+export function parseActiveWindows(windows) {
+  if (windows === null || windows === undefined || (Array.isArray(windows) && windows.length === 0)) {
+    return { value: null };
+  }
+
+  if (!Array.isArray(windows) || windows.length > MAX_WINDOWS) {
+    return { error: `active_windows must be an array of at most ${MAX_WINDOWS} windows` };
+  }
+
+  const value = [];
+
+  for (const window of windows) {
+    const { days, start, end } = window || {};
+
+    if (!Array.isArray(days) || days.length === 0 ||
+        !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return { error: 'Each active window needs at least one day (0 = Sunday to 6 = Saturday)' };
+    }
+
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+      return { error: 'Active window times must be in HH:MM format' };
+    }
+
+    value.push({ days: [...new Set(days)].sort((a, b) => a - b), start, end });
+  }
+
+  return { value };
+}
+
+/**
+ * Parse active windows stored as JSON on an alert
+ * @param {string|null} json - Stored active_windows column
+ * @returns {Array|null} Windows, or null if the alert is always active
+ */
+export function parseStoredWindows(json) {
+  if (!json) {
+    return null;
+  }
+
+  try {
+    const windows = JSON.parse(json);
+    return Array.isArray(windows) && windows.length > 0 ? windows : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a moment falls inside any of an alert's active windows
+ * @param {Array|null} windows - Active windows (null means always active)
+ * @param {string|null} timeZone - IANA time zone the windows are in (defaults to UTC)
+ * @param {Date} [date] - Moment to check (defaults to now)
+ * @returns {boolean} True if notifications may be sent
+ */
+export function isWithinActiveWindows(windows, timeZone, date = new Date()) {
+  if (!windows || windows.length === 0) {
+    return true;
+  }
+
+  const { day, minutes } = getLocalTime(date, isValidTimeZone(timeZone) ? timeZone : 'UTC');
+  const previousDay = (day + 6) % 7;
+
+  return windows.some(({ days, start, end }) => {
+    const startMinutes = toMinutes(start);
+    const endMinutes = toMinutes(end);
+
+    if (startMinutes === endMinutes) {
+      // Same start and end: the whole day
+      return days.includes(day);
+    }
+
+    if (startMinutes < endMinutes) {
+      return days.includes(day) && minutes >= startMinutes && minutes < endMinutes;
+    }
+
+    // Overnight window, e.g. 21:00-03:00
+    return (days.includes(day) && minutes >= startMinutes) ||
+      (days.includes(previousDay) && minutes < endMinutes);
+  });
+}
+
+/**
+ * Day of week and minutes since midnight of a moment in a time zone
+ */
+function getLocalTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    day: WEEKDAYS[part('weekday')],
+    minutes: parseInt(part('hour')) * 60 + parseInt(part('minute')),
+  };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
@@ -0,0 +1,39 @@
+/**
+ * Admin service
+ * Grants the admin role to the addresses listed in ADMIN_EMAILS
+ */
+
+import db from '../db/database.js';
+
+/**
+ * Get the configured admin email addresses
+ * @returns {Array<string>} Normalized email addresses
+ */
+function getAdminEmails() {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.toLowerCase().trim())
+    .filter(Boolean);
+}
+
+/**
+ * Promote users listed in ADMIN_EMAILS to admins
+ * Called on startup and whenever a user registers
+ */
+export function promoteConfiguredAdmins() {
+  const adminEmails = getAdminEmails();
+  if (adminEmails.length === 0) {
+    return;
+  }
+
+  const placeholders = adminEmails.map(() => '?').join(', ');
+  const result = db.prepare(`
+    UPDATE users
+    SET role = 'admin'
+    WHERE role != 'admin' AND email IN (${placeholders})
+  `).run(...adminEmails);
+
+  if (result.changes > 0) {
+    console.log(`[Admin] Promoted ${result.changes} user(s) from ADMIN_EMAILS to admin`);
+  }
+}
@@ -4,9 +4,34 @@
  */
 
 import db from '../db/database.js';
-import { fetchAuroraData, findClosestCoordinate } from './aurora.js';
-import { sendAuroraAlert } from './email.js';
+import { fetchAuroraData, findCoordinateInRadius, findCoordinateInRegion } from './aurora.js';
+import { sendAuroraAlert, sendActivityEndedEmail, sendSolarWindWarning, sendForecastHeadsUp } from './email.js';
 import { getCachedCityName } from './geocoding.js';
+import { isWithinActiveWindows, parseStoredWindows } from './activeHours.js';
+import { isDark, getDarknessPeriod, getNightStart } from './solar.js';
+import { getMoonContext } from './moon.js';
+import { parseStoredRegion } from './region.js';
+import { ingestKpIndex, getCurrentKp, KP_INCREMENT } from './kp.js';
+import { ingestSolarWind, evaluateSolarWindRule } from './solarWind.js';
+import { ingestKpForecast, getKpForecast, STORM_KP, BLOCK_HOURS } from './forecast.js';
+import { evaluateRule, parseStoredRule, buildSimpleRule, getRequiredDarkness, getRequiredProbability } from './rules.js';
+
+// Notifications held outside an alert's active hours are dropped if the window doesn't open in time
+const DEFERRED_MAX_AGE_HOURS = 12;
+
+// Dedup policy for alerts that don't have one: notify again after 12 hours (or on a big enough increase)
+export const DEFAULT_COOLDOWN_HOURS = 12;
+
+// A gap this long between history rows (missed checks) breaks a sustained run
+const SUSTAINED_MAX_GAP_MINUTES = 15;
+
+// Who gets an alert's notifications: its owner, and members who accepted an invitation
+// (members can pause their own notifications without pausing the alert for everyone)
+const ALERT_RECIPIENTS = `
+  SELECT id AS alert_id, user_id, 1 AS recipient_active FROM alerts
+  UNION ALL
+  SELECT alert_id, user_id, active FROM alert_recipients WHERE status = 'accepted'
+`;
 
 /**
  * Check all active alerts against latest aurora data
@@ -15,45 +40,139 @@ import { getCachedCityName } from './geocoding.js';
 export async function checkAllAlerts() {
   console.log('[Alert Check] Starting alert check...');
   
+  // Record the run so admins can see what the scheduler has been doing
+  const runId = startSchedulerRun();
+
   try {
+    // Trips that have ended are archived (kept for the trip list, but no longer checked)
+    archiveEndedTrips();
+
     // Fetch latest aurora data
     const auroraData = await fetchAuroraData();
     const coordinates = auroraData.coordinates || [];
     
     if (coordinates.length === 0) {
       console.warn('[Alert Check] No coordinates in aurora data');
+      finishSchedulerRun(runId, { status: 'error', error: 'No coordinates in aurora data' });
       return;
     }
 
-    // Get all active alerts
+    // Kp alerts use the planetary Kp index (a failed Kp fetch leaves the last stored value in place)
+    await ingestKpIndex();
+    const kp = getCurrentKp();
+
+    // Solar wind rules warn before the OVATION forecast catches up
+    await ingestSolarWind();
+
+    // Get all active alerts, once per recipient (user_id and the user columns are the recipient's)
     const alerts = db.prepare(`
       SELECT 
         a.id,
-        a.user_id,
+        r.user_id,
+        r.recipient_active,
+        a.name,
+        a.notes,
         a.latitude,
         a.longitude,
         a.threshold,
         a.increment_threshold,
+        a.active,
+        a.snoozed_until,
+        a.timezone,
+        a.active_windows,
+        a.outside_window_action,
+        a.darkness_requirement,
+        a.moon_boost,
+        a.search_radius_km,
+        a.aggregation,
+        a.aggregation_percentile,
+        a.region,
+        a.starts_at,
+        a.expires_at,
+        a.peak_value,
+        a.ended_below,
+        a.ended_after_minutes,
+        a.sustained_checks,
+        a.sustained_minutes,
+        a.trigger_type,
+        a.kp_threshold,
+        a.rule,
         u.email,
+        u.verified_at,
+        u.unsubscribed_at,
         ans.last_notified_value,
-        ans.last_notified_at
+        ans.last_notified_at,
+        ans.deferred_value,
+        ans.deferred_at,
+        ans.night_started_at,
+        ans.night_notification_count,
+        ans.rearmed,
+        ans.activity_ongoing,
+        ans.below_since,
+        ans.solar_wind_notified_at,
+        adp.cooldown_hours,
+        adp.max_per_night,
+        adp.reset_below,
+        swr.metric AS solar_wind_metric,
+        swr.operator AS solar_wind_operator,
+        swr.value AS solar_wind_value,
+        swr.minutes AS solar_wind_minutes
       FROM alerts a
-      INNER JOIN users u ON a.user_id = u.id
-      LEFT JOIN alert_notification_state ans ON a.id = ans.alert_id
+      INNER JOIN (${ALERT_RECIPIENTS}) r ON a.id = r.alert_id
+      INNER JOIN users u ON r.user_id = u.id
+      INNER JOIN users owner ON a.user_id = owner.id
+      LEFT JOIN alert_notification_state ans ON a.id = ans.alert_id AND ans.user_id = r.user_id
+      LEFT JOIN alert_dedup_policies adp ON a.id = adp.alert_id
+      LEFT JOIN alert_solar_wind_rules swr ON a.id = swr.alert_id
+      WHERE u.disabled_at IS NULL AND owner.disabled_at IS NULL AND a.archived_at IS NULL
+      ORDER BY a.id
     `).all();
 
-    console.log(`[Alert Check] Checking ${alerts.length} alerts...`);
+    const cells = new Map();
+    console.log(`[Alert Check] Checking ${new Set(alerts.map(alert => alert.id)).size} alerts (${alerts.length} recipients)...`);
 
     let notificationsSent = 0;
 
     for (const alert of alerts) {
       try {
+        // The alert's value, history and trip peak are shared by its recipients, so only the first one records them
+        const firstRecipient = !cells.has(alert.id);
+        if (firstRecipient) {
+          // Find the cell that sets this alert's value (the closest one, or one within its search radius or region)
+          cells.set(alert.id, findAlertCell(alert, coordinates));
+        }
+        const cell = cells.get(alert.id);
+        if (!cell || cell.aurora === undefined) {
+          if (firstRecipient) {
+            console.warn(`[Alert Check] No aurora data found for alert ${alert.id}`);
+          }
+          continue;
+        }
+
         // Store history data for this alert
-        await storeAuroraHistory(alert, coordinates);
+        if (firstRecipient) {
+          storeAuroraHistory(alert, cell);
+        }
+
+        if (!isWithinTripDates(alert)) {
+          continue;
+        }
+        if (firstRecipient && (alert.starts_at || alert.expires_at)) {
+          recordTripPeak(alert, cell.aurora);
+        }
         
+        // Never email addresses that haven't confirmed they want alerts,
+        // and respect paused or snoozed alerts and users who stopped all emails
+        if (!alert.verified_at || !alert.active || !alert.recipient_active || alert.unsubscribed_at || isSnoozed(alert)) {
+          continue;
+        }
+
         // Check if notification should be sent
-        const shouldNotify = await checkSingleAlert(alert, coordinates);
-        if (shouldNotify) {
+        const shouldNotify = await checkSingleAlert(alert, cell, kp);
+        if (shouldNotify || await checkActivityEnded(alert, cell)) {
+          notificationsSent++;
+        }
+        if (await checkSolarWindWarning(alert)) {
           notificationsSent++;
         }
       } catch (error) {
@@ -62,36 +181,293 @@ export async function checkAllAlerts() {
     }
 
     console.log(`[Alert Check] Completed. Sent ${notificationsSent} notifications.`);
+    finishSchedulerRun(runId, {
+      status: 'success',
+      alertsChecked: cells.size,
+      notificationsSent,
+    });
   } catch (error) {
     console.error('[Alert Check] Error during alert check:', error);
+    finishSchedulerRun(runId, { status: 'error', error: error.message || String(error) });
   }
 }
 
+/**
+ * Send storm heads-ups for alerts that opted in, from NOAA's 3-day forecast
+ * This is called by the background job every hour (NOAA issues the forecast twice a day).
+ * Each recipient hears about a predicted storm block once; trips only hear about blocks during the trip.
+ */
+export async function checkForecastHeadsUps() {
+  console.log('[Forecast] Checking storm heads-ups...');
+
+  try {
+    await ingestKpForecast();
+
+    const stormBlocks = getKpForecast().filter(block => block.kp >= STORM_KP);
+    if (stormBlocks.length === 0) {
+      return;
+    }
+
+    const alerts = db.prepare(`
+      SELECT
+        a.id,
+        r.user_id,
+        a.name,
+        a.latitude,
+        a.longitude,
+        a.timezone,
+        a.snoozed_until,
+        a.starts_at,
+        a.expires_at,
+        u.email,
+        ans.forecast_notified_until
+      FROM alerts a
+      INNER JOIN (${ALERT_RECIPIENTS}) r ON a.id = r.alert_id
+      INNER JOIN users u ON r.user_id = u.id
+      INNER JOIN users owner ON a.user_id = owner.id
+      LEFT JOIN alert_notification_state ans ON a.id = ans.alert_id AND ans.user_id = r.user_id
+      WHERE a.forecast_heads_up = 1 AND a.active = 1 AND r.recipient_active = 1 AND a.archived_at IS NULL
+        AND u.disabled_at IS NULL AND u.verified_at IS NOT NULL AND u.unsubscribed_at IS NULL
+        AND owner.disabled_at IS NULL
+    `).all();
+
+    let headsUpsSent = 0;
+
+    for (const alert of alerts) {
+      // Skip blocks already covered by a heads-up, blocks over before a snooze ends or a trip starts,
+      // and blocks after a trip ends
+      const after = [alert.forecast_notified_until, alert.snoozed_until, alert.starts_at]
+        .filter(Boolean)
+        .map(at => new Date(at))
+        .reduce((latest, at) => (at > latest ? at : latest), new Date(0));
+      const blocks = stormBlocks.filter(block => {
+        const start = new Date(block.start);
+        const end = new Date(start.getTime() + BLOCK_HOURS * 60 * 60 * 1000);
+        return end > after && (!alert.expires_at || start < new Date(alert.expires_at));
+      });
+      if (blocks.length === 0) {
+        continue;
+      }
+
+      try {
+        const cityName = await getCachedCityName(alert.latitude, alert.longitude);
+
+        await sendForecastHeadsUp(alert.email, {
+          userId: alert.user_id,
+          alertId: alert.id,
+          name: alert.name,
+          blocks,
+          issuedAt: blocks[0].issuedAt,
+          cityName,
+          timeZone: alert.timezone,
+        });
+      } catch (error) {
+        console.error(`[Forecast] Failed to send storm heads-up for alert ${alert.id}:`, error);
+        continue;
+      }
+
+      const lastBlockEnd = new Date(new Date(blocks[blocks.length - 1].start).getTime() + BLOCK_HOURS * 60 * 60 * 1000);
+      db.prepare(`
+        INSERT INTO alert_notification_state (alert_id, user_id, forecast_notified_until)
+        VALUES (?, ?, ?)
+        ON CONFLICT(alert_id, user_id) DO UPDATE SET forecast_notified_until = excluded.forecast_notified_until
+      `).run(alert.id, alert.user_id, lastBlockEnd.toISOString());
+      recordNotification(alert, 'forecast');
+
+      headsUpsSent++;
+      console.log(`[Forecast] Storm heads-up sent for alert ${alert.id} to user ${alert.user_id} (${blocks.length} ${blocks.length === 1 ? 'block' : 'blocks'} at Kp ≥ ${STORM_KP})`);
+    }
+
+    console.log(`[Forecast] Completed. Sent ${headsUpsSent} storm heads-ups.`);
+  } catch (error) {
+    console.error('[Forecast] Error checking storm heads-ups:', error);
+  }
+}
+
+/**
+ * Check whether an alert is snoozed right now
+ * @param {Object} alert - Alert record with snoozed_until
+ * @returns {boolean} True if the snooze hasn't ended yet
+ */
+function isSnoozed(alert) {
+  return !!alert.snoozed_until && new Date(alert.snoozed_until) > new Date();
+}
+
+/**
+ * Check whether an alert's trip dates (if any) include the current time
+ * @param {Object} alert - Alert record with starts_at and expires_at
+ * @returns {boolean} True if the trip is underway, or the alert isn't a trip
+ */
+function isWithinTripDates(alert) {
+  const now = new Date();
+  return (!alert.starts_at || new Date(alert.starts_at) <= now) &&
+    (!alert.expires_at || new Date(alert.expires_at) > now);
+}
+
+/**
+ * Remember the highest value seen during a trip
+ * @param {Object} alert - Alert record with peak_value
+ * @param {number} auroraValue - Current aurora value for the alert
+ */
+function recordTripPeak(alert, auroraValue) {
+  if (alert.peak_value !== null && alert.peak_value >= auroraValue) {
+    return;
+  }
+
+  db.prepare('UPDATE alerts SET peak_value = ?, peak_at = ? WHERE id = ?')
+    .run(auroraValue, new Date().toISOString(), alert.id);
+}
+
+/**
+ * Archive trip alerts whose end date has passed
+ */
+function archiveEndedTrips() {
+  const now = new Date().toISOString();
+
+  const result = db.prepare(`
+    UPDATE alerts
+    SET archived_at = ?, updated_at = ?
+    WHERE archived_at IS NULL AND expires_at IS NOT NULL AND expires_at <= ?
+  `).run(now, now, now);
+
+  if (result.changes > 0) {
+    console.log(`[Alert Check] Archived ${result.changes} alerts whose trips have ended`);
+  }
+}
+
+/**
+ * Record the start of a scheduler run
+ * @returns {number} Run ID
+ */
+function startSchedulerRun() {
+  const result = db.prepare(`
+    INSERT INTO scheduler_runs (started_at, status)
+    VALUES (?, 'running')
+  `).run(new Date().toISOString());
+
+  return result.lastInsertRowid;
+}
+
+/**
+ * Record the outcome of a scheduler run
+ * @param {number} runId - Run ID
+ * @param {Object} outcome - {status, alertsChecked, notificationsSent, error}
+ */
+function finishSchedulerRun(runId, { status, alertsChecked = 0, notificationsSent = 0, error = null }) {
+  db.prepare(`
+    UPDATE scheduler_runs
+    SET finished_at = ?, status = ?, alerts_checked = ?, notifications_sent = ?, error = ?
+    WHERE id = ?
+  `).run(new Date().toISOString(), status, alertsChecked, notificationsSent, error, runId);
+}
+
+/**
+ * Find the aurora cell that sets an alert's current value
+ * Region alerts combine the cells inside their polygon; the search radius only applies to point alerts.
+ * @param {Object} alert - Alert record with its location, region and search radius settings
+ * @param {Array} coordinates - Aurora coordinate data
+ * @returns {Object|null} Cell from findCoordinateInRegion or findCoordinateInRadius, or null if there is no data
+ */
+function findAlertCell(alert, coordinates) {
+  const region = parseStoredRegion(alert.region);
+  if (region) {
+    return findCoordinateInRegion(coordinates, region, {
+      aggregation: alert.aggregation,
+      percentile: alert.aggregation_percentile,
+    });
+  }
+
+  return findCoordinateInRadius(coordinates, alert.latitude, alert.longitude, {
+    radiusKm: alert.search_radius_km,
+    aggregation: alert.aggregation,
+    percentile: alert.aggregation_percentile,
+  });
+}
+
 /**
  * Check a single alert against aurora data
  * @param {Object} alert - Alert record from database
- * @param {Array} coordinates - Aurora coordinate data
+ * @param {Object} cell - Aurora cell that sets the alert's value (from findAlertCell)
+ * @param {Object|null} kp - Current Kp index (from getCurrentKp)
  * @returns {Promise<boolean>} True if notification was sent
  */
-async function checkSingleAlert(alert, coordinates) {
-  // Find closest coordinate
-  const closest = findClosestCoordinate(
-    coordinates,
-    alert.latitude,
-    alert.longitude
-  );
+async function checkSingleAlert(alert, cell, kp) {
+  // Kp alerts compare the planetary Kp index instead of the probability at the location
+  const isKpAlert = alert.trigger_type === 'kp';
+  if (isKpAlert && !kp) {
+    console.warn(`[Alert Check] No Kp index available for alert ${alert.id}`);
+    return false;
+  }
+
+  const currentValue = isKpAlert ? kp.kp : cell.aurora;
+  const incrementThreshold = isKpAlert ? KP_INCREMENT : (alert.increment_threshold || 10); // Default to 10 if not set
+  const cooldownHours = alert.cooldown_hours || DEFAULT_COOLDOWN_HOURS;
+
+  // Once activity drops below the reset value, the next rise counts as a fresh event
+  // (the reset value is in probability units, so it doesn't apply to Kp alerts)
+  let rearmed = !!alert.rearmed;
+  if (!isKpAlert && alert.reset_below !== null && alert.reset_below !== undefined &&
+      currentValue < alert.reset_below && alert.last_notified_value !== null && !rearmed) {
+    rearmAlert(alert);
+    rearmed = true;
+    console.log(`[Alert Check] Re-armed alert ${alert.id} (value ${currentValue} < ${alert.reset_below})`);
+  }
+
+  // A bright moon washes out weak aurora, so alerts can ask for more activity while it is up
+  const moon = getMoonContext(new Date(), alert.latitude, alert.longitude);
+  // (the boost is in probability units, so it doesn't apply to Kp alerts)
+  const moonBoost = moon.isBright && !isKpAlert ? (alert.moon_boost || 0) : 0;
+  const threshold = isKpAlert ? alert.kp_threshold : Math.min(100, alert.threshold + moonBoost);
 
-  if (!closest || closest.aurora === undefined) {
-    console.warn(`[Alert Check] No aurora data found for alert ${alert.id}`);
+  // Respect the alert's limit on notifications per night
+  if (alert.max_per_night && countNotificationsTonight(alert) >= alert.max_per_night) {
     return false;
   }
 
-  const currentAuroraValue = closest.aurora;
-  const threshold = alert.threshold;
-  const incrementThreshold = alert.increment_threshold || 10; // Default to 10 if not set
+  // Respect the alert's active hours (in the user's time zone)
+  const inActiveWindow = isWithinActiveWindows(parseStoredWindows(alert.active_windows), alert.timezone);
+  const deferred = getPendingDeferral(alert);
+  const rule = getAlertRule(alert);
+
+  // A notification held back outside the active hours goes out as soon as the window opens and it is
+  // as dark as the rule requires (it already passed the alert's rule and deduplication checks when it was held)
+  if (inActiveWindow && deferred) {
+    const darkness = getRequiredDarkness(rule);
+    if (darkness && !isDark(new Date(), alert.latitude, alert.longitude, darkness)) {
+      return false;
+    }
+    return sendNotification(alert, cell, deferred, moon, moonBoost, null, kp);
+  }
 
-  // Check if threshold is met
-  if (currentAuroraValue < threshold) {
+  // Check the alert's rule (for simple alerts: the threshold is met and it is dark enough)
+  const ruleMet = evaluateRule(rule, {
+    value: cell.aurora,
+    kp: kp ? kp.kp : null,
+    moonBoost,
+    latitude: alert.latitude,
+    longitude: alert.longitude,
+    timeZone: alert.timezone,
+    getPastValue: (minutes, maxGapMinutes) => getPastAuroraValue(alert, minutes, maxGapMinutes),
+  });
+  if (!ruleMet) {
+    if (currentValue >= threshold) {
+      console.log(`[Alert Check] Skipping alert ${alert.id}: rule not met (value: ${currentValue})`);
+    }
+    return false;
+  }
+
+  // Alerts can ask for the level to hold for a while, so a single spike doesn't trigger them
+  // (the history only holds probability values, so the level is the probability the rule requires;
+  // rules that can fire without one, like Kp alerts, skip this)
+  const sustainedLevel = alert.sustained_checks || alert.sustained_minutes ? getRequiredProbability(rule) : null;
+  const sustained = sustainedLevel !== null
+    ? getSustainedRun(alert, Math.min(100, sustainedLevel + moonBoost))
+    : null;
+  if (sustained && !isSustained(alert, sustained)) {
+    console.log(
+      `[Alert Check] Waiting on alert ${alert.id}: held for ${sustained.checks} checks / ${sustained.minutes} minutes ` +
+      `(needs ${alert.sustained_checks || 1} checks / ${alert.sustained_minutes || 0} minutes)`
+    );
     return false;
   }
 
@@ -101,51 +477,329 @@ async function checkSingleAlert(alert, coordinates) {
     ? new Date(alert.last_notified_at) 
     : null;
 
-  // 12-hour expiration check
-  const twelveHoursAgo = new Date(Date.now() - 12 * 60 * 60 * 1000);
-  const isExpired = !lastNotifiedAt || lastNotifiedAt < twelveHoursAgo;
+  // Cooldown expiration check (12 hours unless the alert's dedup policy says otherwise)
+  const cooldownStart = new Date(Date.now() - cooldownHours * 60 * 60 * 1000);
+  const isExpired = !lastNotifiedAt || lastNotifiedAt < cooldownStart;
 
-  // If never notified before, always notify when threshold is met (already checked above)
-  if (lastNotifiedValue === null) {
+  // If never notified before (or re-armed), always notify when threshold is met (already checked above)
+  if (lastNotifiedValue === null || rearmed) {
     // First notification - threshold already met, so notify
     // (increment_threshold doesn't apply to first notification)
     // Continue to send notification below
   } else {
     // Calculate increase from last notified value
-    const increase = currentAuroraValue - lastNotifiedValue;
+    const increase = currentValue - lastNotifiedValue;
     
     // Only notify if:
-    // 1. Last notification expired (12 hours passed), OR
+    // 1. Last notification expired (cooldown passed), OR
     // 2. Current value increased by at least increment_threshold from last notified value
     if (!isExpired && increase < incrementThreshold) {
       console.log(
         `[Alert Check] Skipping alert ${alert.id}: ` +
-        `current=${currentAuroraValue}, last=${lastNotifiedValue}, ` +
+        `current=${currentValue}, last=${lastNotifiedValue}, ` +
         `increase=${increase}, required=${incrementThreshold}, expired=${isExpired}`
       );
       return false;
     }
   }
 
-  // Send notification
+  if (!inActiveWindow) {
+    if (alert.outside_window_action === 'suppress') {
+      console.log(`[Alert Check] Suppressing alert ${alert.id} outside its active hours (value: ${currentValue})`);
+    } else {
+      deferNotification(alert, currentValue);
+      console.log(`[Alert Check] Holding alert ${alert.id} until its active hours (value: ${currentValue})`);
+    }
+    return false;
+  }
+
+  return sendNotification(alert, cell, null, moon, moonBoost, sustained, kp);
+}
+
+/**
+ * Get the rule an alert is checked against
+ * @param {Object} alert - Alert record from database
+ * @returns {Object} Its stored rule, or the rule built from its simple settings
+ */
+function getAlertRule(alert) {
+  return parseStoredRule(alert.rule) || buildSimpleRule(alert);
+}
+
+/**
+ * Measure how long an alert's value has held at or above a threshold
+ * Walks back through the alert's history (newest first, including the value just stored) until
+ * a value falls short or the checks stopped for more than SUSTAINED_MAX_GAP_MINUTES.
+ * @param {Object} alert - Alert record from database
+ * @param {number} threshold - Threshold in effect (including any moon boost)
+ * @returns {{checks: number, since: string|null, minutes: number}} Consecutive checks, when the run began and its length
+ */
+function getSustainedRun(alert, threshold) {
+  const rows = db.prepare(`
+    SELECT aurora_value, recorded_at
+    FROM aurora_history
+    WHERE alert_id = ?
+    ORDER BY recorded_at DESC, id DESC
+  `).iterate(alert.id);
+
+  let checks = 0;
+  let since = null;
+  for (const row of rows) {
+    const gap = since ? new Date(since) - new Date(row.recorded_at) : 0;
+    if (row.aurora_value < threshold || gap > SUSTAINED_MAX_GAP_MINUTES * 60 * 1000) {
+      break;
+    }
+    checks++;
+    since = row.recorded_at;
+  }
+
+  const minutes = since ? Math.floor((Date.now() - new Date(since)) / 60000) : 0;
+  return { checks, since, minutes };
+}
+
+/**
+ * Get the value an alert had a while ago, for trend conditions
+ * @param {Object} alert - Alert record from database
+ * @param {number} minutes - How long ago
+ * @param {number} maxGapMinutes - How much older than that the value may be
+ * @returns {number|null} Latest value recorded at least `minutes` ago, or null if there is none recent enough
+ */
+function getPastAuroraValue(alert, minutes, maxGapMinutes) {
+  const at = Date.now() - minutes * 60 * 1000;
+
+  const row = db.prepare(`
+    SELECT aurora_value
+    FROM aurora_history
+    WHERE alert_id = ? AND recorded_at <= ? AND recorded_at >= ?
+    ORDER BY recorded_at DESC, id DESC
+    LIMIT 1
+  `).get(alert.id, new Date(at).toISOString(), new Date(at - maxGapMinutes * 60 * 1000).toISOString());
+
+  return row ? row.aurora_value : null;
+}
+
+/**
+ * Check a sustained run against the alert's "sustained for N checks / M minutes" condition
+ * @param {Object} alert - Alert record with sustained_checks and sustained_minutes
+ * @param {Object} run - Result of getSustainedRun
+ * @returns {boolean} True if every condition the alert sets is met
+ */
+function isSustained(alert, run) {
+  return (!alert.sustained_checks || run.checks >= alert.sustained_checks) &&
+    (!alert.sustained_minutes || run.minutes >= alert.sustained_minutes);
+}
+
+/**
+ * Send an "activity ended" follow-up once the value has stayed below the alert's lower bound
+ * The lower bound sits below the threshold and the drop has to last ended_after_minutes, so a value
+ * hovering around the threshold doesn't flap between alerts and follow-ups.
+ * @param {Object} alert - Alert record from database
+ * @param {Object} cell - Aurora cell that sets the alert's value (from findAlertCell)
+ * @returns {Promise<boolean>} True if a follow-up was sent
+ */
+async function checkActivityEnded(alert, cell) {
+  // The lower bound is an aurora probability, which says nothing about when a Kp event ends
+  if (alert.ended_below === null || !alert.activity_ongoing || alert.trigger_type === 'kp') {
+    return false;
+  }
+
+  // Activity picked back up before the drop lasted long enough
+  if (cell.aurora >= alert.ended_below) {
+    if (alert.below_since) {
+      setBelowSince(alert, null);
+    }
+    return false;
+  }
+
+  if (!alert.below_since) {
+    setBelowSince(alert, new Date().toISOString());
+    return false;
+  }
+
+  const sustainedMs = Date.now() - new Date(alert.below_since).getTime();
+  if (sustainedMs < alert.ended_after_minutes * 60 * 1000) {
+    return false;
+  }
+
+  // After dawn (or what the rule counts as dark) or outside the active hours nobody is standing outside,
+  // so end the event quietly
+  const darkness = getRequiredDarkness(getAlertRule(alert));
+  const watching = (!darkness || isDark(new Date(), alert.latitude, alert.longitude, darkness)) &&
+    isWithinActiveWindows(parseStoredWindows(alert.active_windows), alert.timezone);
+
+  if (watching) {
+    try {
+      const cityName = await getCachedCityName(alert.latitude, alert.longitude);
+
+      await sendActivityEndedEmail(alert.email, {
+        userId: alert.user_id,
+        alertId: alert.id,
+        name: alert.name,
+        auroraValue: cell.aurora,
+        endedBelow: alert.ended_below,
+        belowSince: alert.below_since,
+        lastAlertedValue: alert.last_notified_value,
+        cityName,
+        timeZone: alert.timezone,
+      });
+    } catch (error) {
+      console.error(`[Alert Check] Failed to send activity ended email for alert ${alert.id}:`, error);
+      return false;
+    }
+  }
+
+  db.prepare(`
+    UPDATE alert_notification_state
+    SET activity_ongoing = 0, below_since = NULL, ended_notified_at = ?
+    WHERE alert_id = ? AND user_id = ?
+  `).run(watching ? new Date().toISOString() : null, alert.id, alert.user_id);
+  if (watching) {
+    recordNotification(alert, 'activity_ended');
+  }
+
+  console.log(
+    `[Alert Check] Activity ended for alert ${alert.id} (value: ${cell.aurora}, below ${alert.ended_below}` +
+    `${watching ? '' : ', no email outside darkness or active hours'})`
+  );
+
+  return watching;
+}
+
+/**
+ * Send a solar wind early warning when the alert's solar wind rule is met
+ * Warns at most once per cooldown, and not when the aurora alert itself has gone out in that time.
+ * @param {Object} alert - Alert record from database (with its solar wind rule joined in)
+ * @returns {Promise<boolean>} True if a warning was sent
+ */
+async function checkSolarWindWarning(alert) {
+  if (!alert.solar_wind_metric) {
+    return false;
+  }
+
+  const rule = {
+    metric: alert.solar_wind_metric,
+    operator: alert.solar_wind_operator,
+    value: alert.solar_wind_value,
+    minutes: alert.solar_wind_minutes,
+  };
+  const result = evaluateSolarWindRule(rule);
+  if (!result.met) {
+    return false;
+  }
+
+  const cooldownStart = new Date(Date.now() - (alert.cooldown_hours || DEFAULT_COOLDOWN_HOURS) * 60 * 60 * 1000);
+  if ([alert.solar_wind_notified_at, alert.last_notified_at].some(at => at && new Date(at) > cooldownStart)) {
+    return false;
+  }
+
+  // Same conditions as the aurora alert: there's no point warning in daylight or outside the active hours
+  const darkness = getRequiredDarkness(getAlertRule(alert));
+  if ((darkness && !isDark(new Date(), alert.latitude, alert.longitude, darkness)) ||
+      !isWithinActiveWindows(parseStoredWindows(alert.active_windows), alert.timezone)) {
+    return false;
+  }
+
+  try {
+    const cityName = await getCachedCityName(alert.latitude, alert.longitude);
+
+    await sendSolarWindWarning(alert.email, {
+      userId: alert.user_id,
+      alertId: alert.id,
+      name: alert.name,
+      rule,
+      latest: result.latest,
+      since: result.since,
+      minutes: result.minutes,
+      cityName,
+      timeZone: alert.timezone,
+    });
+  } catch (error) {
+    console.error(`[Alert Check] Failed to send solar wind warning for alert ${alert.id}:`, error);
+    return false;
+  }
+
+  db.prepare(`
+    INSERT INTO alert_notification_state (alert_id, user_id, solar_wind_notified_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(alert_id, user_id) DO UPDATE SET solar_wind_notified_at = excluded.solar_wind_notified_at
+  `).run(alert.id, alert.user_id, new Date().toISOString());
+  recordNotification(alert, 'solar_wind');
+
+  console.log(
+    `[Alert Check] Solar wind warning sent for alert ${alert.id} ` +
+    `(${rule.metric} ${rule.operator} ${rule.value} for ${result.minutes} minutes, latest: ${result.latest})`
+  );
+
+  return true;
+}
+
+/**
+ * Record when an alert's value dropped below its "activity ended" bound
+ * @param {Object} alert - Alert record (for its ID and recipient)
+ * @param {string|null} belowSince - ISO date, or null once the value recovers
+ */
+function setBelowSince(alert, belowSince) {
+  db.prepare('UPDATE alert_notification_state SET below_since = ? WHERE alert_id = ? AND user_id = ?')
+    .run(belowSince, alert.id, alert.user_id);
+}
+
+/**
+ * Send an aurora alert email and record it
+ * @param {Object} alert - Alert record from database
+ * @param {Object} cell - Aurora cell that sets the alert's value (from findAlertCell)
+ * @param {Object|null} deferred - Notification held outside the active hours ({value, at}), if any
+ * @param {Object} moon - Moon context at the alert location (from getMoonContext)
+ * @param {number} moonBoost - How much the bright moon raised the threshold
+ * @param {Object} [sustained] - How long the level has held, for alerts that require it (from getSustainedRun)
+ * @param {Object} [kp] - Current Kp index (from getCurrentKp)
+ * @returns {Promise<boolean>} True if notification was sent
+ */
+async function sendNotification(alert, cell, deferred, moon, moonBoost, sustained = null, kp = null) {
+  const currentAuroraValue = cell.aurora;
+  const isKpAlert = alert.trigger_type === 'kp';
+  const currentValue = isKpAlert ? kp.kp : currentAuroraValue;
+
   try {
     // Get city name for the alert location
     const cityName = await getCachedCityName(alert.latitude, alert.longitude);
+
+    // How long it stays as dark as the rule requires tonight (if it requires darkness at all)
+    const darkness = getRequiredDarkness(getAlertRule(alert));
+    const darknessPeriod = darkness && getDarknessPeriod(new Date(), alert.latitude, alert.longitude, darkness);
     
     await sendAuroraAlert(alert.email, {
+      userId: alert.user_id,
+      alertId: alert.id,
+      name: alert.name,
+      notes: alert.notes,
       auroraValue: currentAuroraValue,
-      threshold,
+      threshold: alert.threshold,
       latitude: alert.latitude,
       longitude: alert.longitude,
       cityName,
+      deferred: deferred && { ...deferred, timeZone: alert.timezone, isKp: isKpAlert },
+      darkness: darknessPeriod && {
+        ...darknessPeriod,
+        requirement: darkness,
+        timeZone: alert.timezone,
+      },
+      moon: { ...moon, timeZone: alert.timezone },
+      moonBoost,
+      cell: alert.region || alert.search_radius_km > 0
+        ? { ...cell, region: !!alert.region, radiusKm: alert.search_radius_km, percentile: alert.aggregation_percentile }
+        : null,
+      sustained: sustained && { ...sustained, timeZone: alert.timezone },
+      kp: kp && { ...kp, threshold: isKpAlert ? alert.kp_threshold : null },
     });
 
-    // Update notification state
-    updateNotificationState(alert.id, currentAuroraValue);
+    // Update notification state (a held notification counts at its peak value)
+    const notifiedValue = deferred ? Math.max(currentValue, deferred.value) : currentValue;
+    updateNotificationState(alert, notifiedValue);
+    recordNotification(alert, 'aurora');
 
     console.log(
-      `[Alert Check] Notification sent for alert ${alert.id} ` +
-      `(value: ${currentAuroraValue}, threshold: ${threshold})`
+      `[Alert Check] Notification sent for alert ${alert.id} to user ${alert.user_id} ` +
+      `(value: ${currentValue}, threshold: ${isKpAlert ? `Kp ${alert.kp_threshold}` : alert.threshold}` +
+      `${deferred ? `, held value: ${deferred.value}` : ''})`
     );
 
     return true;
@@ -155,50 +809,133 @@ async function checkSingleAlert(alert, coordinates) {
   }
 }
 
+/**
+ * Record an email sent about an alert, for the admin console
+ * @param {Object} alert - Alert record (for its ID and recipient)
+ * @param {string} kind - 'aurora', 'activity_ended', 'solar_wind' or 'forecast'
+ */
+function recordNotification(alert, kind) {
+  db.prepare('INSERT INTO notification_log (alert_id, user_id, kind, sent_at) VALUES (?, ?, ?, ?)')
+    .run(alert.id, alert.user_id, kind, new Date().toISOString());
+}
+
 /**
  * Store aurora history data for an alert
  * @param {Object} alert - Alert record
- * @param {Array} coordinates - Aurora coordinate data
+ * @param {Object} cell - Aurora cell that sets the alert's value (from findAlertCell)
  */
-async function storeAuroraHistory(alert, coordinates) {
-  const closest = findClosestCoordinate(
-    coordinates,
-    alert.latitude,
-    alert.longitude
-  );
+function storeAuroraHistory(alert, cell) {
+  const now = new Date().toISOString();
+  
+  db.prepare(`
+    INSERT INTO aurora_history (alert_id, aurora_value, cell_latitude, cell_longitude, recorded_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(alert.id, cell.aurora, cell.latitude, cell.longitude, now);
+}
 
-  if (!closest || closest.aurora === undefined) {
-    return;
+/**
+ * Get the notification held for an alert outside its active hours
+ * @param {Object} alert - Alert record with deferred_value and deferred_at
+ * @returns {Object|null} {value, at}, or null if nothing is held or it is too old to send
+ */
+function getPendingDeferral(alert) {
+  if (alert.deferred_value === null || alert.deferred_value === undefined || !alert.deferred_at) {
+    return null;
+  }
+
+  const maxAge = DEFERRED_MAX_AGE_HOURS * 60 * 60 * 1000;
+  if (new Date(alert.deferred_at) < new Date(Date.now() - maxAge)) {
+    return null;
   }
 
+  return { value: alert.deferred_value, at: alert.deferred_at };
+}
+
+/**
+ * Hold a notification until the alert's active hours begin
+ * Keeps the peak value (and when it was seen) while the notification is held
+ * @param {Object} alert - Alert record (for its ID and recipient)
+ * @param {number} auroraValue - Aurora value that would have triggered a notification
+ */
+function deferNotification(alert, auroraValue) {
   const now = new Date().toISOString();
-  
+  const staleBefore = new Date(Date.now() - DEFERRED_MAX_AGE_HOURS * 60 * 60 * 1000).toISOString();
+
   db.prepare(`
-    INSERT INTO aurora_history (alert_id, aurora_value, recorded_at)
-    VALUES (?, ?, ?)
-  `).run(alert.id, closest.aurora, now);
+    INSERT INTO alert_notification_state (alert_id, user_id, deferred_value, deferred_at)
+    VALUES (@alertId, @userId, @auroraValue, @now)
+    ON CONFLICT(alert_id, user_id) DO UPDATE SET
+      deferred_value = CASE
+        WHEN deferred_value IS NULL OR deferred_at < @staleBefore OR excluded.deferred_value > deferred_value
+        THEN excluded.deferred_value ELSE deferred_value END,
+      deferred_at = CASE
+        WHEN deferred_value IS NULL OR deferred_at < @staleBefore OR excluded.deferred_value > deferred_value
+        THEN excluded.deferred_at ELSE deferred_at END
+  `).run({ alertId: alert.id, userId: alert.user_id, auroraValue, now, staleBefore });
+}
+
+/**
+ * Count the notifications already sent for an alert tonight
+ * @param {Object} alert - Alert record with night_started_at and night_notification_count
+ * @returns {number} Notifications sent since the start of the current night
+ */
+function countNotificationsTonight(alert) {
+  const nightStart = getNightStart(new Date(), alert.longitude).toISOString();
+  return alert.night_started_at === nightStart ? alert.night_notification_count : 0;
+}
+
+/**
+ * Re-arm an alert so its next notification (to this recipient) is treated like the first one
+ * @param {Object} alert - Alert record (for its ID and recipient)
+ */
+function rearmAlert(alert) {
+  db.prepare('UPDATE alert_notification_state SET rearmed = 1 WHERE alert_id = ? AND user_id = ?')
+    .run(alert.id, alert.user_id);
 }
 
 /**
  * Update notification state after sending an alert
- * @param {number} alertId - Alert ID
+ * @param {Object} alert - Alert record (for its ID, recipient and longitude, which sets when nights start)
  * @param {number} auroraValue - Aurora value that triggered notification
  */
-function updateNotificationState(alertId, auroraValue) {
-  const now = new Date().toISOString();
+function updateNotificationState(alert, auroraValue) {
+  const now = new Date();
+  const nightStart = getNightStart(now, alert.longitude).toISOString();
+  
+  // Follow-ups are only owed for alerts that ask for them (and Kp alerts can't)
+  const activityOngoing = alert.ended_below !== null && alert.ended_below !== undefined &&
+    alert.trigger_type !== 'kp' ? 1 : 0;
   
   // Use INSERT OR REPLACE to handle both new and existing states
   db.prepare(`
-    INSERT INTO alert_notification_state (alert_id, last_notified_value, last_notified_at)
-    VALUES (?, ?, ?)
-    ON CONFLICT(alert_id) DO UPDATE SET
+    INSERT INTO alert_notification_state (
+      alert_id, user_id, last_notified_value, last_notified_at, night_started_at, night_notification_count, activity_ongoing
+    )
+    VALUES (@alertId, @userId, @auroraValue, @now, @nightStart, 1, @activityOngoing)
+    ON CONFLICT(alert_id, user_id) DO UPDATE SET
       last_notified_value = excluded.last_notified_value,
-      last_notified_at = excluded.last_notified_at
-  `).run(alertId, auroraValue, now);
+      last_notified_at = excluded.last_notified_at,
+      deferred_value = NULL,
+      deferred_at = NULL,
+      rearmed = 0,
+      night_notification_count = CASE
+        WHEN night_started_at = @nightStart THEN night_notification_count + 1 ELSE 1 END,
+      night_started_at = @nightStart,
+      activity_ongoing = @activityOngoing,
+      below_since = NULL
+  `).run({
+    alertId: alert.id,
+    userId: alert.user_id,
+    auroraValue,
+    now: now.toISOString(),
+    nightStart,
+    activityOngoing,
+  });
 }
 
 /**
  * Clean up old aurora history data (older than 24 hours)
+ * and scheduler runs and sent email records older than 30 days
  */
 export function cleanupOldHistory() {
   const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
@@ -211,5 +948,9 @@ export function cleanupOldHistory() {
   if (result.changes > 0) {
     console.log(`[Cleanup] Deleted ${result.changes} old aurora history records`);
   }
+
+  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  db.prepare('DELETE FROM scheduler_runs WHERE started_at < ?').run(thirtyDaysAgo);
+  db.prepare('DELETE FROM notification_log WHERE sent_at < ?').run(thirtyDaysAgo);
 }
 
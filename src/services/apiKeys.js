@@ -0,0 +1,101 @@
+/**
+ * API key service
+ * Personal API keys let users script against the alerts API
+ */
+
+import crypto from 'crypto';
+import db from '../db/database.js';
+import { hashToken } from './session.js';
+
+// Prefix that marks a bearer token as an API key rather than a session token
+export const API_KEY_PREFIX = 'aak_';
+export const API_KEY_SCOPES = ['read', 'write'];
+
+/**
+ * Create a new API key
+ * The raw key is only returned here; the database keeps its hash
+ * @param {number} userId - Owner user ID
+ * @param {string} name - Human-readable name
+ * @param {string} scope - 'read' or 'write'
+ * @returns {{key: string, apiKey: Object}} Raw key and its stored record
+ */
+export function createApiKey(userId, name, scope) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const now = new Date().toISOString();
+
+  const result = db.prepare(`
+    INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scope, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, name, key.slice(0, 12), hashToken(key), scope, now);
+
+  return { key, apiKey: getApiKey(userId, result.lastInsertRowid) };
+}
+
+/**
+ * List a user's active API keys
+ * @param {number} userId - Owner user ID
+ * @returns {Array} API key records (without hashes)
+ */
+export function listApiKeys(userId) {
+  return db.prepare(`
+    SELECT id, name, key_prefix, scope, created_at, last_used_at
+    FROM api_keys
+    WHERE user_id = ? AND revoked_at IS NULL
+    ORDER BY created_at DESC
+  `).all(userId);
+}
+
+/**
+ * Get a single API key record
+ * @param {number} userId - Owner user ID
+ * @param {number} id - API key ID
+ * @returns {Object|undefined} API key record (without hash)
+ */
+function getApiKey(userId, id) {
+  return db.prepare(`
+    SELECT id, name, key_prefix, scope, created_at, last_used_at
+    FROM api_keys
+    WHERE id = ? AND user_id = ?
+  `).get(id, userId);
+}
+
+/**
+ * Revoke an API key
+ * @param {number} userId - Owner user ID
+ * @param {number} id - API key ID
+ * @returns {boolean} True if an active key was revoked
+ */
+export function revokeApiKey(userId, id) {
+  const result = db.prepare(`
+    UPDATE api_keys
+    SET revoked_at = ?
+    WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+  `).run(new Date().toISOString(), id, userId);
+
+  return result.changes > 0;
+}
+
+/**
+ * Resolve a raw API key to its owner, recording when it was used
+ * @param {string} key - Raw API key
+ * @returns {Object|null} {user, apiKey} or null if the key is unknown or revoked
+ */
+export function getApiKeyUser(key) {
+  const record = db.prepare(`
+    SELECT k.id AS key_id, k.scope, u.id, u.email
+    FROM api_keys k
+    INNER JOIN users u ON k.user_id = u.id
+    WHERE k.key_hash = ? AND k.revoked_at IS NULL AND u.disabled_at IS NULL
+  `).get(hashToken(key));
+
+  if (!record) {
+    return null;
+  }
+
+  db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), record.key_id);
+
+  return {
+    user: { id: record.id, email: record.email },
+    apiKey: { id: record.key_id, scope: record.scope },
+  };
+}
@@ -4,20 +4,52 @@
  */
 
 import fetch from 'node-fetch';
+import { getRegionBounds, getRegionCentroid, isPointInRegion } from './region.js';
 
 const AURORA_API_URL = 'https://services.swpc.noaa.gov/json/ovation_aurora_latest.json';
 
+// NOAA only publishes a new forecast every few minutes, so share one copy between requests
+const AURORA_CACHE_SECONDS = parseInt(process.env.AURORA_CACHE_SECONDS) || 300;
+
+// How alerts with a search radius combine the cells inside it
+export const AGGREGATION_MODES = ['max', 'mean', 'percentile'];
+export const DEFAULT_AGGREGATION_PERCENTILE = 90;
+
+// One degree of latitude, used to skip cells that can't be inside a search radius
+const KM_PER_DEGREE_LATITUDE = 111.2;
+
+let cachedData = null;
+let cachedAt = 0;
+let pendingFetch = null;
+
 /**
  * Fetch latest aurora forecast data
+ * Served from an in-memory cache for AURORA_CACHE_SECONDS; concurrent callers share a single request
  * @returns {Promise<Object>} Aurora data with coordinates array
  */
 export async function fetchAuroraData() {
+  if (cachedData && Date.now() - cachedAt < AURORA_CACHE_SECONDS * 1000) {
+    return cachedData;
+  }
+
+  if (!pendingFetch) {
+    pendingFetch = fetchFromNoaa().finally(() => {
+      pendingFetch = null;
+    });
+  }
+
+  return pendingFetch;
+}
+
+async function fetchFromNoaa() {
   try {
     const response = await fetch(AURORA_API_URL);
     if (!response.ok) {
       throw new Error(`Failed to fetch aurora data: ${response.statusText}`);
     }
     const data = await response.json();
+    cachedData = data;
+    cachedAt = Date.now();
     return data;
   } catch (error) {
     console.error('Error fetching aurora data:', error);
@@ -31,7 +63,7 @@ export async function fetchAuroraData() {
  * @param {Array} coordinates - Array of [longitude, latitude, aurora] tuples
  * @param {number} targetLat - Target latitude
  * @param {number} targetLng - Target longitude
- * @returns {Object|null} Object with {longitude, latitude, aurora} or null if no data
+ * @returns {Object|null} Object with {longitude, latitude, aurora, distanceKm} or null if no data
  */
 export function findClosestCoordinate(coordinates, targetLat, targetLng) {
   if (!coordinates || coordinates.length === 0) {
@@ -49,13 +81,122 @@ export function findClosestCoordinate(coordinates, targetLat, targetLng) {
     
     if (distance < minDistance) {
       minDistance = distance;
-      closest = { longitude: lng, latitude: lat, aurora };
+      closest = { longitude: lng, latitude: lat, aurora, distanceKm: distance };
     }
   }
 
   return closest;
 }
 
+/**
+ * Find the aurora value for an alert location, optionally looking at every cell within a radius
+ * The returned cell is the one that produced the value: the brightest cell for 'max', the cell at
+ * the percentile for 'percentile' (nearest first on ties), and the closest cell for 'mean'.
+ * When no cell lies inside the radius, the closest cell is used (with a cellCount of 0).
+ * @param {Array} coordinates - Array of [longitude, latitude, aurora] tuples
+ * @param {number} targetLat - Target latitude
+ * @param {number} targetLng - Target longitude
+ * @param {Object} options - {radiusKm, aggregation: 'max'|'mean'|'percentile', percentile (1-99)}
+ * @returns {Object|null} {longitude, latitude, aurora, distanceKm, cellCount, aggregation} or null if no data
+ */
+export function findCoordinateInRadius(coordinates, targetLat, targetLng, {
+  radiusKm = 0,
+  aggregation = 'max',
+  percentile = DEFAULT_AGGREGATION_PERCENTILE,
+} = {}) {
+  const closest = findClosestCoordinate(coordinates, targetLat, targetLng);
+  if (!closest || !radiusKm) {
+    return closest && { ...closest, cellCount: 1, aggregation: null };
+  }
+
+  const maxLatitudeDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+  const cells = [];
+
+  for (const [lng, lat, aurora] of coordinates) {
+    if (Math.abs(lat - targetLat) > maxLatitudeDelta) {
+      continue;
+    }
+
+    const distance = haversineDistance(targetLat, targetLng, lat, lng);
+    if (distance <= radiusKm) {
+      cells.push({ longitude: lng, latitude: lat, aurora, distanceKm: distance });
+    }
+  }
+
+  return aggregateCells(cells, closest, aggregation, percentile);
+}
+
+/**
+ * Find the aurora value for an alert region, combining every cell inside the polygon
+ * Cells are reported as for findCoordinateInRadius, with distances measured from the region's
+ * centroid. When the region is too small to contain a cell, the cell closest to the centroid is used.
+ * @param {Array} coordinates - Array of [longitude, latitude, aurora] tuples
+ * @param {Object} region - GeoJSON Polygon geometry
+ * @param {Object} options - {aggregation: 'max'|'mean'|'percentile', percentile (1-99)}
+ * @returns {Object|null} {longitude, latitude, aurora, distanceKm, cellCount, aggregation} or null if no data
+ */
+export function findCoordinateInRegion(coordinates, region, {
+  aggregation = 'max',
+  percentile = DEFAULT_AGGREGATION_PERCENTILE,
+} = {}) {
+  const centroid = getRegionCentroid(region);
+  const closest = findClosestCoordinate(coordinates, centroid.latitude, centroid.longitude);
+  if (!closest) {
+    return null;
+  }
+
+  const bounds = getRegionBounds(region);
+  const cells = [];
+
+  for (const [lng, lat, aurora] of coordinates) {
+    // OVATION longitudes run from 0 to 359; regions use -180 to 180
+    const longitude = lng > 180 ? lng - 360 : lng;
+
+    if (lat < bounds.minLat || lat > bounds.maxLat || longitude < bounds.minLng || longitude > bounds.maxLng) {
+      continue;
+    }
+
+    if (isPointInRegion(region, lat, longitude)) {
+      const distance = haversineDistance(centroid.latitude, centroid.longitude, lat, lng);
+      cells.push({ longitude: lng, latitude: lat, aurora, distanceKm: distance });
+    }
+  }
+
+  return aggregateCells(cells, closest, aggregation, percentile);
+}
+
+/**
+ * Combine the cells inside a search area into one value
+ * @param {Array} cells - Cells inside the area ({longitude, latitude, aurora, distanceKm})
+ * @param {Object} closest - Closest cell to the area's center, used for 'mean' and when the area is empty
+ * @param {string} aggregation - 'max', 'mean' or 'percentile'
+ * @param {number} percentile - Percentile (1-99) for 'percentile'
+ * @returns {Object} Cell that produced the value, with cellCount and aggregation
+ */
+function aggregateCells(cells, closest, aggregation, percentile) {
+  if (cells.length === 0) {
+    return { ...closest, cellCount: 0, aggregation };
+  }
+
+  // Highest values first, nearest first among equal values
+  cells.sort((a, b) => b.aurora - a.aurora || a.distanceKm - b.distanceKm);
+
+  let cell;
+  if (aggregation === 'mean') {
+    const total = cells.reduce((sum, c) => sum + c.aurora, 0);
+    cell = { ...closest, aurora: Math.round(total / cells.length) };
+  } else if (aggregation === 'percentile') {
+    // Nearest-rank percentile, counted from the lowest value
+    const rank = Math.ceil((percentile / 100) * cells.length);
+    const value = cells[cells.length - rank].aurora;
+    cell = cells.find(c => c.aurora === value);
+  } else {
+    cell = cells[0];
+  }
+
+  return { ...cell, cellCount: cells.length, aggregation };
+}
+
 /**
  * Calculate distance between two lat/lng points using Haversine formula
  * @param {number} lat1 - First latitude
@@ -3,6 +3,7 @@
  */
 
 import brevo from '@getbrevo/brevo';
+import { signToken } from './tokens.js';
 
 // Initialize Brevo API client
 let brevoClient = null;
@@ -29,6 +30,15 @@ function getBrevoClient() {
 const AURORA_IMAGE_URL = 'https://services.swpc.noaa.gov/images/animations/ovation/north/latest.jpg';
 const AURORA_FORECAST_URL = 'https://www.swpc.noaa.gov/products/aurora-30-minute-forecast';
 
+// Auto-login links in alert emails are valid for one night
+const EMAIL_LOGIN_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_LOGIN_TOKEN_TTL_HOURS) || 24;
+
+// Unsubscribe links must keep working for as long as old emails sit in inboxes
+const UNSUBSCRIBE_TOKEN_TTL_DAYS = 365;
+
+// Invitations to shared alerts can be answered for two weeks (the owner can send a new one after that)
+const INVITE_TOKEN_TTL_DAYS = 14;
+
 // Get frontend URL for email links
 function getFrontendUrl() {
   // In production, use the configured frontend domain
@@ -39,23 +49,263 @@ function getFrontendUrl() {
   return process.env.FRONTEND_URL || 'http://localhost:5173';
 }
 
+// Get backend URL for links that mail clients call directly (List-Unsubscribe)
+function getBackendUrl() {
+  if (process.env.NODE_ENV === 'production') {
+    return process.env.BACKEND_URL || 'https://backend.aurora.icurety.com';
+  }
+  return process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 4747}`;
+}
+
+/**
+ * Create a signed unsubscribe token
+ * @param {number} userId - Recipient user ID
+ * @param {number} alertId - Alert the email was sent for
+ * @param {string} action - 'pause' (this alert) or 'all' (every alert email)
+ * @returns {string} Token
+ */
+function createUnsubscribeToken(userId, alertId, action) {
+  return signToken('unsubscribe', { uid: userId, aid: alertId, action }, UNSUBSCRIBE_TOKEN_TTL_DAYS * 24 * 60 * 60);
+}
+
 /**
  * Send aurora alert email
  * @param {string} toEmail - Recipient email address
  * @param {Object} alertData - Alert information
+ * @param {number} alertData.userId - Recipient user ID (for the auto-login link)
+ * @param {number} alertData.alertId - Alert ID (for the auto-login link)
+ * @param {string} [alertData.name] - Alert name given by the user
+ * @param {string} [alertData.notes] - User's notes for the alert
  * @param {number} alertData.auroraValue - Current aurora probability value
  * @param {number} alertData.threshold - Alert threshold
  * @param {number} alertData.latitude - Alert latitude
  * @param {number} alertData.longitude - Alert longitude
  * @param {string} alertData.cityName - City name for the location
+ * @param {Object} [alertData.deferred] - Notification held outside the alert's active hours ({value, at, timeZone, isKp})
+ * @param {Object} [alertData.darkness] - Tonight's darkness period ({start, end, requirement, timeZone})
+ * @param {Object} [alertData.moon] - Moon context at the location (illumination, phaseName, altitude, isUp, rise, set, timeZone)
+ * @param {number} [alertData.moonBoost] - How much the bright moon raised the threshold
+ * @param {Object} [alertData.cell] - Aurora cell that set the value, for region alerts and alerts with a search radius
+ *   ({latitude, longitude, distanceKm, cellCount, aggregation, percentile, region, radiusKm})
+ * @param {Object} [alertData.sustained] - How long the level has held, for alerts that require it ({checks, since, minutes, timeZone})
+ * @param {Object} [alertData.kp] - Current Kp index ({kp, observedAt, source, threshold}); threshold is set for Kp alerts
  */
 export async function sendAuroraAlert(toEmail, alertData) {
-  const { auroraValue, threshold, latitude, longitude, cityName = 'Unknown Location' } = alertData;
+  const { userId, alertId, name, notes, auroraValue, threshold, latitude, longitude, cityName = 'Unknown Location', deferred, darkness, moon, moonBoost = 0, cell, sustained, kp } = alertData;
   
-  // Create link to overview page with auto-login
-  const frontendUrl = getFrontendUrl();
-  const overviewUrl = `${frontendUrl}?email=${encodeURIComponent(toEmail)}`;
+  const { links, headers } = createAlertLinks(toEmail, userId, alertId);
+  const details = { name, notes, auroraValue, threshold, latitude, longitude, cityName, deferred, darkness, moon, moonBoost, cell, sustained, kp };
+  const place = name ? `${name} (${cityName})` : cityName;
+  const level = kp?.threshold != null ? `Kp ${formatKp(kp.kp)}` : `Level ${auroraValue}`;
+
+  return sendEmail(toEmail, {
+    subject: `🌌 Aurora Alert: ${place} ${level} Detected!`,
+    htmlContent: buildEmailHtml(details, links),
+    textContent: buildEmailText(details, links),
+    headers,
+  });
+}
+
+/**
+ * Send an "activity ended" follow-up after an aurora alert
+ * @param {string} toEmail - Recipient email address
+ * @param {Object} endedData - Follow-up information
+ * @param {number} endedData.userId - Recipient user ID (for the auto-login link)
+ * @param {number} endedData.alertId - Alert ID
+ * @param {string} [endedData.name] - Alert name given by the user
+ * @param {number} endedData.auroraValue - Current aurora probability value
+ * @param {number} endedData.endedBelow - Value the activity stayed below
+ * @param {string} endedData.belowSince - When the value dropped below endedBelow (ISO date)
+ * @param {number} [endedData.lastAlertedValue] - Last value the user was alerted about
+ * @param {string} endedData.cityName - City name for the location
+ * @param {string} [endedData.timeZone] - User's time zone for times in the email
+ */
+export async function sendActivityEndedEmail(toEmail, endedData) {
+  const { userId, alertId, name, cityName = 'Unknown Location' } = endedData;
+
+  const { links, headers } = createAlertLinks(toEmail, userId, alertId);
+  const details = { ...endedData, cityName };
+  const place = name ? `${name} (${cityName})` : cityName;
+
+  return sendEmail(toEmail, {
+    subject: `🌙 Aurora activity has dropped off at ${place}`,
+    htmlContent: buildEndedEmailHtml(details, links),
+    textContent: buildEndedEmailText(details, links),
+    headers,
+  });
+}
+
+/**
+ * Send a solar wind early warning (conditions upstream of Earth that often come before aurora)
+ * @param {string} toEmail - Recipient email address
+ * @param {Object} warningData - Warning information
+ * @param {number} warningData.userId - Recipient user ID (for the auto-login link)
+ * @param {number} warningData.alertId - Alert ID
+ * @param {string} [warningData.name] - Alert name given by the user
+ * @param {Object} warningData.rule - Solar wind rule that was met ({metric, operator, value, minutes})
+ * @param {number} warningData.latest - Latest value of the rule's metric
+ * @param {string} warningData.since - When the condition started holding (ISO date)
+ * @param {number} warningData.minutes - How long the condition has held
+ * @param {string} warningData.cityName - City name for the location
+ * @param {string} [warningData.timeZone] - User's time zone for times in the email
+ */
+export async function sendSolarWindWarning(toEmail, warningData) {
+  const { userId, alertId, name, cityName = 'Unknown Location' } = warningData;
+
+  const { links, headers } = createAlertLinks(toEmail, userId, alertId);
+  const details = { ...warningData, cityName };
+  const place = name ? `${name} (${cityName})` : cityName;
+
+  return sendEmail(toEmail, {
+    subject: `🛰️ Early Warning: ${describeSolarWindRule(warningData.rule)} for ${place}`,
+    htmlContent: buildSolarWindEmailHtml(details, links),
+    textContent: buildSolarWindEmailText(details, links),
+    headers,
+  });
+}
+
+/**
+ * Send a heads-up that the 3-day forecast predicts a geomagnetic storm
+ * @param {string} toEmail - Recipient email address
+ * @param {Object} headsUpData - Heads-up information
+ * @param {number} headsUpData.userId - Recipient user ID (for the auto-login link)
+ * @param {number} headsUpData.alertId - Alert ID
+ * @param {string} [headsUpData.name] - Alert name given by the user
+ * @param {Array<Object>} headsUpData.blocks - Forecast blocks at storm level ({start, kp, scale})
+ * @param {string} [headsUpData.issuedAt] - When NOAA issued the forecast (ISO date)
+ * @param {string} headsUpData.cityName - City name for the location
+ * @param {string} [headsUpData.timeZone] - User's time zone for times in the email
+ */
+export async function sendForecastHeadsUp(toEmail, headsUpData) {
+  const { userId, alertId, name, blocks, cityName = 'Unknown Location' } = headsUpData;
+
+  const { links, headers } = createAlertLinks(toEmail, userId, alertId);
+  const details = { ...headsUpData, cityName };
+  const place = name ? `${name} (${cityName})` : cityName;
+  const peak = getPeakBlock(blocks);
+
+  return sendEmail(toEmail, {
+    subject: `📅 Storm Expected: Kp ${formatKp(peak.kp)}${peak.scale ? ` (${peak.scale})` : ''} forecast for ${place}`,
+    htmlContent: buildForecastEmailHtml(details, links),
+    textContent: buildForecastEmailText(details, links),
+    headers,
+  });
+}
+
+/**
+ * Create the links and headers shared by emails about an alert
+ * @param {string} toEmail - Recipient email address
+ * @param {number} userId - Recipient user ID
+ * @param {number} alertId - Alert the email is about
+ * @returns {{links: Object, headers: Object}} {overviewUrl, pauseUrl, stopAllUrl} and List-Unsubscribe headers
+ */
+function createAlertLinks(toEmail, userId, alertId) {
+  // Create link to overview page with a signed, single-use auto-login token
+  const loginToken = signToken(
+    'email-login',
+    { uid: userId, email: toEmail, aid: alertId },
+    EMAIL_LOGIN_TOKEN_TTL_HOURS * 60 * 60
+  );
+  const overviewUrl = `${getFrontendUrl()}?email_token=${encodeURIComponent(loginToken)}`;
+
+  // Signed links to opt out without logging in
+  const pauseToken = createUnsubscribeToken(userId, alertId, 'pause');
+  const stopAllToken = createUnsubscribeToken(userId, alertId, 'all');
+
+  return {
+    links: {
+      overviewUrl,
+      pauseUrl: `${getFrontendUrl()}?unsubscribe=${encodeURIComponent(pauseToken)}`,
+      stopAllUrl: `${getFrontendUrl()}?unsubscribe=${encodeURIComponent(stopAllToken)}`,
+    },
+    // RFC 8058 one-click unsubscribe: mail clients POST to this URL directly
+    headers: {
+      'List-Unsubscribe': `<${getBackendUrl()}/api/unsubscribe?token=${encodeURIComponent(stopAllToken)}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    },
+  };
+}
+
+/**
+ * Send a magic login link email
+ * @param {string} toEmail - Recipient email address
+ * @param {string} token - One-time login token
+ * @param {number} expiresInMinutes - How long the link stays valid
+ */
+export async function sendLoginLink(toEmail, token, expiresInMinutes) {
+  const loginUrl = `${getFrontendUrl()}?login_token=${encodeURIComponent(token)}`;
+
+  return sendEmail(toEmail, {
+    subject: '🌌 Your Aurora Alerter login link',
+    htmlContent: buildLoginEmailHtml(loginUrl, expiresInMinutes),
+    textContent: buildLoginEmailText(loginUrl, expiresInMinutes),
+  });
+}
+
+/**
+ * Send an email address confirmation (double opt-in) email
+ * @param {string} toEmail - Recipient email address
+ * @param {string} token - Signed verification token
+ */
+export async function sendVerificationEmail(toEmail, token) {
+  const verifyUrl = `${getFrontendUrl()}?verify_token=${encodeURIComponent(token)}`;
+
+  return sendEmail(toEmail, {
+    subject: '🌌 Confirm your email for Aurora Alerter',
+    htmlContent: buildVerificationEmailHtml(verifyUrl),
+    textContent: buildVerificationEmailText(verifyUrl),
+  });
+}
+
+/**
+ * Send an account deletion confirmation email
+ * @param {string} toEmail - Recipient email address
+ * @param {string} token - Signed deletion token
+ * @param {number} expiresInMinutes - How long the link stays valid
+ */
+export async function sendAccountDeletionEmail(toEmail, token, expiresInMinutes) {
+  const deleteUrl = `${getFrontendUrl()}?delete_token=${encodeURIComponent(token)}`;
+
+  return sendEmail(toEmail, {
+    subject: '🌌 Confirm deleting your Aurora Alerter account',
+    htmlContent: buildAccountDeletionEmailHtml(deleteUrl, expiresInMinutes),
+    textContent: buildAccountDeletionEmailText(deleteUrl, expiresInMinutes),
+  });
+}
+
+/**
+ * Send an invitation to receive a shared alert's notifications
+ * @param {string} toEmail - Invited email address
+ * @param {Object} inviteData - Invitation information
+ * @param {number} inviteData.recipientId - alert_recipients ID (for the signed accept/decline link)
+ * @param {string} inviteData.ownerEmail - Email address of the alert's owner
+ * @param {string} [inviteData.name] - Alert name given by the owner
+ * @param {string} inviteData.cityName - City name for the location
+ */
+export async function sendAlertInvitation(toEmail, inviteData) {
+  const { recipientId, ownerEmail, name, cityName = 'Unknown Location' } = inviteData;
 
+  const token = signToken('alert-invite', { rid: recipientId, email: toEmail }, INVITE_TOKEN_TTL_DAYS * 24 * 60 * 60);
+  const inviteUrl = `${getFrontendUrl()}?invite=${encodeURIComponent(token)}`;
+  const details = { ownerEmail, name, cityName };
+
+  return sendEmail(toEmail, {
+    subject: `🌌 ${ownerEmail} invited you to an aurora alert for ${name ? `${name} (${cityName})` : cityName}`,
+    htmlContent: buildInvitationEmailHtml(details, inviteUrl),
+    textContent: buildInvitationEmailText(details, inviteUrl),
+  });
+}
+
+/**
+ * Send a transactional email through Brevo
+ * @param {string} toEmail - Recipient email address
+ * @param {Object} content - Email content
+ * @param {string} content.subject - Subject line
+ * @param {string} content.htmlContent - HTML body
+ * @param {string} content.textContent - Plain text body
+ * @param {Object} [content.headers] - Extra email headers
+ */
+async function sendEmail(toEmail, { subject, htmlContent, textContent, headers }) {
   // Get sender email from environment (or use a default)
   const senderEmail = process.env.BREVO_SENDER_EMAIL || 'noreply@example.com';
   const senderName = process.env.BREVO_SENDER_NAME || 'Aurora Alerter';
@@ -74,12 +324,15 @@ export async function sendAuroraAlert(toEmail, alertData) {
   try {
     // Create email object
     const sendSmtpEmail = new brevo.SendSmtpEmail();
-    sendSmtpEmail.subject = `🌌 Aurora Alert: ${cityName} Level ${auroraValue} Detected!`;
-    sendSmtpEmail.htmlContent = buildEmailHtml(auroraValue, threshold, latitude, longitude, cityName, overviewUrl);
-    sendSmtpEmail.textContent = buildEmailText(auroraValue, threshold, latitude, longitude, cityName, overviewUrl);
+    sendSmtpEmail.subject = subject;
+    sendSmtpEmail.htmlContent = htmlContent;
+    sendSmtpEmail.textContent = textContent;
     sendSmtpEmail.sender = { name: senderName, email: senderEmail };
     sendSmtpEmail.to = [{ email: toEmail }];
     sendSmtpEmail.replyTo = { email: senderEmail, name: senderName };
+    if (headers) {
+      sendSmtpEmail.headers = headers;
+    }
 
     // Send email using Brevo API
     const response = await client.sendTransacEmail(sendSmtpEmail);
@@ -101,10 +354,143 @@ export async function sendAuroraAlert(toEmail, alertData) {
   }
 }
 
+/**
+ * Escape user-provided text for HTML emails
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Describe a notification that was held outside the alert's active hours
+ * @param {Object} deferred - {value, at, timeZone, isKp}
+ * @returns {string} e.g. "Aurora reached 45/100 at Oct 18, 2026, 3:05 PM (Europe/Oslo) ..."
+ */
+function describeDeferred({ value, at, timeZone, isKp }) {
+  const zone = timeZone || 'UTC';
+  const time = new Date(at).toLocaleString('en-US', { timeZone: zone, dateStyle: 'medium', timeStyle: 'short' });
+  return `${isKp ? `Kp reached ${formatKp(value)}` : `Aurora reached ${value}/100`} at ${time} (${zone}), outside this alert's active hours. We held this alert until now.`;
+}
+
+/**
+ * Describe how long darkness lasts tonight
+ * @param {Object} darkness - {start, end, requirement, timeZone}; start/end are null beyond the search range
+ * @returns {string} e.g. "18:42 – 06:15 (11h 33m, after nautical twilight)"
+ */
+function describeDarkness({ start, end, requirement, timeZone }) {
+  const zone = timeZone || 'UTC';
+  const formatTime = (date) => date.toLocaleTimeString('en-GB', { timeZone: zone, hour: '2-digit', minute: '2-digit' });
+  const twilight = `after ${requirement} twilight`;
+
+  if (!start && !end) {
+    return `dark around the clock (polar night, ${twilight})`;
+  }
+  if (!end) {
+    return `from ${formatTime(start)} for more than 24 hours (${zone}, ${twilight})`;
+  }
+  if (!start) {
+    return `until ${formatTime(end)} (${zone}, ${twilight})`;
+  }
+
+  const minutes = Math.round((end - start) / 60000);
+  const duration = `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  return `${formatTime(start)} – ${formatTime(end)} ${zone} (${duration}, ${twilight})`;
+}
+
+/**
+ * Describe the moon at the alert location
+ * @param {Object} moon - {illumination, phaseName, altitude, isUp, rise, set, timeZone}
+ * @returns {string} e.g. "Waxing gibbous, 78% illuminated, up at 23° (sets 03:12 Europe/Oslo)"
+ */
+function describeMoon({ illumination, phaseName, altitude, isUp, rise, set, timeZone }) {
+  const zone = timeZone || 'UTC';
+  const formatTime = (date) => new Date(date).toLocaleTimeString('en-GB', { timeZone: zone, hour: '2-digit', minute: '2-digit' });
+
+  const position = isUp
+    ? `up at ${altitude}°${set ? ` (sets ${formatTime(set)} ${zone})` : ''}`
+    : `below the horizon${rise ? ` (rises ${formatTime(rise)} ${zone})` : ''}`;
+
+  return `${phaseName}, ${illumination}% illuminated, ${position}`;
+}
+
+/**
+ * Describe which aurora cell inside an alert's region or search radius produced the value
+ * @param {Object} cell - {latitude, longitude, distanceKm, cellCount, aggregation, percentile, region, radiusKm}
+ * @returns {string} e.g. "Highest of 12 cells within 100 km, at 65.0°, -148.0° (43 km away)"
+ */
+function describeCell({ latitude, longitude, distanceKm, cellCount, aggregation, percentile, region, radiusKm }) {
+  // OVATION longitudes run from 0 to 359
+  const position = `${latitude.toFixed(1)}°, ${(longitude > 180 ? longitude - 360 : longitude).toFixed(1)}°`;
+  const away = `${Math.round(distanceKm)} km ${region ? 'from the center' : 'away'}`;
+  const area = region ? 'inside your region' : `within ${radiusKm} km`;
+  const cells = `${cellCount} ${cellCount === 1 ? 'cell' : 'cells'} ${area}`;
+
+  if (cellCount === 0) {
+    return `No cells ${area}, using the closest at ${position} (${away})`;
+  }
+
+  if (aggregation === 'mean') {
+    return `Average of ${cells} (closest cell at ${position}, ${away})`;
+  }
+  if (aggregation === 'percentile') {
+    return `${percentile}th percentile of ${cells}, at ${position} (${away})`;
+  }
+  return `Highest of ${cells}, at ${position} (${away})`;
+}
+
+/**
+ * Describe how long the aurora value has held at or above the threshold
+ * @param {Object} sustained - {checks, since, minutes, timeZone}
+ * @returns {string} e.g. "25 minutes (6 checks in a row since 01:40 Europe/Oslo)"
+ */
+function describeSustained({ checks, since, minutes, timeZone }) {
+  const zone = timeZone || 'UTC';
+  const time = new Date(since).toLocaleTimeString('en-GB', { timeZone: zone, hour: '2-digit', minute: '2-digit' });
+  const duration = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes} minutes`;
+  return `${duration} (${checks} ${checks === 1 ? 'check' : 'checks in a row'} since ${time} ${zone})`;
+}
+
+/**
+ * Format a Kp value, dropping trailing zeros (NOAA reports thirds, e.g. 4.33)
+ */
+function formatKp(kp) {
+  return String(Number(kp.toFixed(2)));
+}
+
+/**
+ * Describe the current Kp index
+ * @param {Object} kp - {kp, observedAt, source}
+ * @returns {string} e.g. "4.33 (estimated at 21:05 UTC)"
+ */
+function describeKp({ kp, observedAt, source }) {
+  const time = new Date(observedAt).toLocaleTimeString('en-GB', { timeZone: 'UTC', hour: '2-digit', minute: '2-digit' });
+  return `${formatKp(kp)} (${source === 'estimated' ? 'estimated' : '3-hour value'} at ${time} UTC)`;
+}
+
+/**
+ * Describe the alert threshold, including any increase for a bright moon
+ * Kp alerts have a Kp threshold instead.
+ */
+function describeThreshold(threshold, moonBoost, kp) {
+  if (kp?.threshold != null) {
+    return `Kp ≥ ${formatKp(kp.threshold)}`;
+  }
+  return moonBoost > 0
+    ? `${threshold}/100 (raised to ${Math.min(100, threshold + moonBoost)} while the bright moon is up)`
+    : `${threshold}/100`;
+}
+
 /**
  * Build HTML email content
+ * @param {Object} details - {name, notes, auroraValue, threshold, latitude, longitude, cityName, deferred, darkness, moon, moonBoost, cell, sustained, kp}
+ * @param {Object} links - {overviewUrl, pauseUrl, stopAllUrl}
  */
-function buildEmailHtml(auroraValue, threshold, latitude, longitude, cityName, overviewUrl) {
+function buildEmailHtml({ name, notes, auroraValue, threshold, latitude, longitude, cityName, deferred, darkness, moon, moonBoost, cell, sustained, kp }, { overviewUrl, pauseUrl, stopAllUrl }) {
   return `
     <!DOCTYPE html>
     <html>
@@ -123,16 +509,21 @@ function buildEmailHtml(auroraValue, threshold, latitude, longitude, cityName, o
         .link-button-primary { background: #28a745; font-weight: 600; }
         .link-button-primary:hover { background: #218838; }
         .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+        .footer a { color: #666; }
+        .alert-name { font-size: 20px; margin: 0; }
+        .notes { white-space: pre-line; background: white; border: 1px solid #e0e0e0; padding: 15px; border-radius: 5px; }
       </style>
     </head>
     <body>
       <div class="container">
         <div class="header">
           <h1>🌌 Aurora Alert!</h1>
+          ${name ? `<p class="alert-name">${escapeHtml(name)}</p>` : ''}
         </div>
         <div class="content">
           <div class="alert-box">
             <strong>Aurora activity has reached your alert threshold!</strong>
+            ${deferred ? `<p>${describeDeferred(deferred)}</p>` : ''}
           </div>
           
           <div class="value">${auroraValue}/100</div>
@@ -141,9 +532,15 @@ function buildEmailHtml(auroraValue, threshold, latitude, longitude, cityName, o
           <ul>
             <li><strong>Location:</strong> ${cityName}</li>
             <li><strong>Coordinates:</strong> ${latitude.toFixed(4)}°, ${longitude.toFixed(4)}°</li>
-            <li><strong>Your Threshold:</strong> ${threshold}/100</li>
+            <li><strong>Your Threshold:</strong> ${describeThreshold(threshold, moonBoost, kp)}</li>
             <li><strong>Current Value:</strong> ${auroraValue}/100</li>
+            ${sustained ? `<li><strong>Held For:</strong> ${describeSustained(sustained)}</li>` : ''}
+            ${cell ? `<li><strong>${cell.region ? 'Region' : 'Search Radius'}:</strong> ${describeCell(cell)}</li>` : ''}
+            ${kp ? `<li><strong>Kp Index:</strong> ${describeKp(kp)}</li>` : ''}
+            ${darkness ? `<li><strong>Darkness Tonight:</strong> ${describeDarkness(darkness)}</li>` : ''}
+            ${moon ? `<li><strong>Moon:</strong> ${describeMoon(moon)}</li>` : ''}
           </ul>
+          ${notes ? `<p><strong>Your notes:</strong></p><p class="notes">${escapeHtml(notes)}</p>` : ''}
           
           <div class="links">
             <a href="${overviewUrl}" class="link-button link-button-primary" target="_blank">View My Alerts</a>
@@ -155,6 +552,7 @@ function buildEmailHtml(auroraValue, threshold, latitude, longitude, cityName, o
         </div>
         <div class="footer">
           <p>Aurora Alerter - Automated Aurora Forecast Monitoring</p>
+          <p><a href="${pauseUrl}" target="_blank">Pause this alert</a> · <a href="${stopAllUrl}" target="_blank">Stop all emails</a></p>
         </div>
       </div>
     </body>
@@ -164,26 +562,561 @@ function buildEmailHtml(auroraValue, threshold, latitude, longitude, cityName, o
 
 /**
  * Build plain text email content
+ * @param {Object} details - {name, notes, auroraValue, threshold, latitude, longitude, cityName, deferred, darkness, moon, moonBoost, cell, sustained, kp}
+ * @param {Object} links - {overviewUrl, pauseUrl, stopAllUrl}
  */
-function buildEmailText(auroraValue, threshold, latitude, longitude, cityName, overviewUrl) {
+function buildEmailText({ name, notes, auroraValue, threshold, latitude, longitude, cityName, deferred, darkness, moon, moonBoost, cell, sustained, kp }, { overviewUrl, pauseUrl, stopAllUrl }) {
   return `
-Aurora Alert!
+Aurora Alert${name ? `: ${name}` : ''}!
 
 Aurora activity has reached your alert threshold!
-
+${deferred ? `${describeDeferred(deferred)}\n` : ''}
 Current Value: ${auroraValue}/100
-Your Threshold: ${threshold}/100
-
+${sustained ? `Held For: ${describeSustained(sustained)}\n` : ''}${cell ? `${cell.region ? 'Region' : 'Search Radius'}: ${describeCell(cell)}\n` : ''}${kp ? `Kp Index: ${describeKp(kp)}\n` : ''}Your Threshold: ${describeThreshold(threshold, moonBoost, kp)}
+${darkness ? `Darkness Tonight: ${describeDarkness(darkness)}\n` : ''}${moon ? `Moon: ${describeMoon(moon)}\n` : ''}
 Location:
 - City: ${cityName}
 - Coordinates: ${latitude.toFixed(4)}°, ${longitude.toFixed(4)}°
-
+${notes ? `\nYour notes:\n${notes}\n` : ''}
 Links:
 - View My Alerts: ${overviewUrl}
 - Latest Aurora Image: ${AURORA_IMAGE_URL}
 - Full Forecast: ${AURORA_FORECAST_URL}
 
 This is an automated alert from Aurora Alerter. Conditions may change, so check the forecast links above for the most current information.
+
+Pause this alert: ${pauseUrl}
+Stop all emails: ${stopAllUrl}
+  `.trim();
+}
+
+/**
+ * Describe when a condition started holding (activity staying low, a solar wind rule being met)
+ * @param {string} since - When the condition started (ISO date)
+ * @param {string} [timeZone] - User's time zone
+ * @returns {string} e.g. "since 01:40 Europe/Oslo"
+ */
+function describeSince(since, timeZone) {
+  const zone = timeZone || 'UTC';
+  const time = new Date(since).toLocaleTimeString('en-GB', { timeZone: zone, hour: '2-digit', minute: '2-digit' });
+  return `since ${time} ${zone}`;
+}
+
+/**
+ * Build HTML content for the "activity ended" email
+ * @param {Object} details - {name, auroraValue, endedBelow, belowSince, lastAlertedValue, cityName, timeZone}
+ * @param {Object} links - {overviewUrl, pauseUrl, stopAllUrl}
+ */
+function buildEndedEmailHtml({ name, auroraValue, endedBelow, belowSince, lastAlertedValue, cityName, timeZone }, { overviewUrl, pauseUrl, stopAllUrl }) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #4a5568 0%, #2d3748 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .value { font-size: 48px; font-weight: bold; color: #4a5568; text-align: center; margin: 20px 0; }
+        .link-button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 10px 10px 10px 0; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+        .footer a { color: #666; }
+        .alert-name { font-size: 20px; margin: 0; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>🌙 Activity Has Dropped Off</h1>
+          ${name ? `<p class="alert-name">${escapeHtml(name)}</p>` : ''}
+        </div>
+        <div class="content">
+          <p>Aurora activity at ${cityName} has stayed below ${endedBelow}/100 ${describeSince(belowSince, timeZone)}. It's probably time to head inside.</p>
+
+          <div class="value">${auroraValue}/100</div>
+
+          <ul>
+            ${lastAlertedValue !== null && lastAlertedValue !== undefined ? `<li><strong>Last Alerted Value:</strong> ${lastAlertedValue}/100</li>` : ''}
+            <li><strong>Current Value:</strong> ${auroraValue}/100</li>
+          </ul>
+
+          <p>We'll email you again if activity picks back up above your threshold.</p>
+
+          <a href="${overviewUrl}" class="link-button" target="_blank">View My Alerts</a>
+        </div>
+        <div class="footer">
+          <p>Aurora Alerter - Automated Aurora Forecast Monitoring</p>
+          <p><a href="${pauseUrl}" target="_blank">Pause this alert</a> · <a href="${stopAllUrl}" target="_blank">Stop all emails</a></p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Build plain text content for the "activity ended" email
+ * @param {Object} details - {name, auroraValue, endedBelow, belowSince, lastAlertedValue, cityName, timeZone}
+ * @param {Object} links - {overviewUrl, pauseUrl, stopAllUrl}
+ */
+function buildEndedEmailText({ name, auroraValue, endedBelow, belowSince, lastAlertedValue, cityName, timeZone }, { overviewUrl, pauseUrl, stopAllUrl }) {
+  return `
+Aurora Activity Has Dropped Off${name ? `: ${name}` : ''}
+
+Aurora activity at ${cityName} has stayed below ${endedBelow}/100 ${describeSince(belowSince, timeZone)}. It's probably time to head inside.
+
+Current Value: ${auroraValue}/100
+${lastAlertedValue !== null && lastAlertedValue !== undefined ? `Last Alerted Value: ${lastAlertedValue}/100\n` : ''}
+We'll email you again if activity picks back up above your threshold.
+
+View My Alerts: ${overviewUrl}
+
+Pause this alert: ${pauseUrl}
+Stop all emails: ${stopAllUrl}
+  `.trim();
+}
+
+// Display names and units of the solar wind metrics
+const SOLAR_WIND_LABELS = {
+  bz: { label: 'Bz', unit: 'nT' },
+  bt: { label: 'Bt', unit: 'nT' },
+  speed: { label: 'Speed', unit: 'km/s' },
+  density: { label: 'Density', unit: 'p/cm³' },
+};
+
+/**
+ * Describe a solar wind rule
+ * @param {Object} rule - {metric, operator, value, minutes}
+ * @returns {string} e.g. "Bz < -10 nT for 15 minutes"
+ */
+function describeSolarWindRule({ metric, operator, value, minutes }) {
+  const { label, unit } = SOLAR_WIND_LABELS[metric];
+  return `${label} ${operator} ${value} ${unit}${minutes > 0 ? ` for ${minutes} minutes` : ''}`;
+}
+
+/**
+ * Format a solar wind reading with its unit
+ */
+function formatSolarWindValue(metric, value) {
+  return `${Number(value.toFixed(1))} ${SOLAR_WIND_LABELS[metric].unit}`;
+}
+
+/**
+ * Build HTML content for the solar wind early warning email
+ * @param {Object} details - {name, rule, latest, since, minutes, cityName, timeZone}
+ * @param {Object} links - {overviewUrl, pauseUrl, stopAllUrl}
+ */
+function buildSolarWindEmailHtml({ name, rule, latest, since, minutes, cityName, timeZone }, { overviewUrl, pauseUrl, stopAllUrl }) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #f6ad55 0%, #c05621 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .value { font-size: 48px; font-weight: bold; color: #c05621; text-align: center; margin: 20px 0; }
+        .link-button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 10px 10px 10px 0; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+        .footer a { color: #666; }
+        .alert-name { font-size: 20px; margin: 0; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>🛰️ Solar Wind Early Warning</h1>
+          ${name ? `<p class="alert-name">${escapeHtml(name)}</p>` : ''}
+        </div>
+        <div class="content">
+          <p>The solar wind has met your rule (${describeSolarWindRule(rule)}). Conditions like these often reach Earth within the hour, so aurora may pick up at ${cityName} soon.</p>
+
+          <div class="value">${formatSolarWindValue(rule.metric, latest)}</div>
+
+          <ul>
+            <li><strong>Your Rule:</strong> ${describeSolarWindRule(rule)}</li>
+            <li><strong>Current ${SOLAR_WIND_LABELS[rule.metric].label}:</strong> ${formatSolarWindValue(rule.metric, latest)}</li>
+            <li><strong>Held For:</strong> ${minutes} minutes, ${describeSince(since, timeZone)}</li>
+          </ul>
+
+          <p>We'll send your regular alert if the aurora forecast reaches your threshold.</p>
+
+          <a href="${overviewUrl}" class="link-button" target="_blank">View My Alerts</a>
+        </div>
+        <div class="footer">
+          <p>Aurora Alerter - Automated Aurora Forecast Monitoring</p>
+          <p><a href="${pauseUrl}" target="_blank">Pause this alert</a> · <a href="${stopAllUrl}" target="_blank">Stop all emails</a></p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Build plain text content for the solar wind early warning email
+ * @param {Object} details - {name, rule, latest, since, minutes, cityName, timeZone}
+ * @param {Object} links - {overviewUrl, pauseUrl, stopAllUrl}
+ */
+function buildSolarWindEmailText({ name, rule, latest, since, minutes, cityName, timeZone }, { overviewUrl, pauseUrl, stopAllUrl }) {
+  return `
+Solar Wind Early Warning${name ? `: ${name}` : ''}
+
+The solar wind has met your rule (${describeSolarWindRule(rule)}). Conditions like these often reach Earth within the hour, so aurora may pick up at ${cityName} soon.
+
+Your Rule: ${describeSolarWindRule(rule)}
+Current ${SOLAR_WIND_LABELS[rule.metric].label}: ${formatSolarWindValue(rule.metric, latest)}
+Held For: ${minutes} minutes, ${describeSince(since, timeZone)}
+
+We'll send your regular alert if the aurora forecast reaches your threshold.
+
+View My Alerts: ${overviewUrl}
+
+Pause this alert: ${pauseUrl}
+Stop all emails: ${stopAllUrl}
+  `.trim();
+}
+
+/**
+ * Find the forecast block with the highest predicted Kp (the earliest one if several tie)
+ */
+function getPeakBlock(blocks) {
+  return blocks.reduce((peak, block) => (block.kp > peak.kp ? block : peak));
+}
+
+/**
+ * Describe a forecast block in the user's time zone
+ * @param {Object} block - {start, kp, scale}
+ * @param {string} [timeZone] - User's time zone
+ * @returns {string} e.g. "Sun 19 Oct 03:00–06:00 Europe/Oslo: Kp 5.33 (G1)"
+ */
+function describeForecastBlock({ start, kp, scale }, timeZone) {
+  const zone = timeZone || 'UTC';
+  const startDate = new Date(start);
+  const endDate = new Date(startDate.getTime() + 3 * 60 * 60 * 1000);
+  const day = startDate.toLocaleDateString('en-GB', { timeZone: zone, weekday: 'short', day: 'numeric', month: 'short' });
+  const time = (date) => date.toLocaleTimeString('en-GB', { timeZone: zone, hour: '2-digit', minute: '2-digit' });
+  return `${day} ${time(startDate)}–${time(endDate)} ${zone}: Kp ${formatKp(kp)}${scale ? ` (${scale})` : ''}`;
+}
+
+/**
+ * Describe when NOAA issued a forecast
+ */
+function describeIssued(issuedAt) {
+  if (!issuedAt) {
+    return '';
+  }
+  const date = new Date(issuedAt).toLocaleString('en-GB', { timeZone: 'UTC', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+  return ` (issued ${date} UTC)`;
+}
+
+/**
+ * Build HTML content for the storm heads-up email
+ * @param {Object} details - {name, blocks, issuedAt, cityName, timeZone}
+ * @param {Object} links - {overviewUrl, pauseUrl, stopAllUrl}
+ */
+function buildForecastEmailHtml({ name, blocks, issuedAt, cityName, timeZone }, { overviewUrl, pauseUrl, stopAllUrl }) {
+  const peak = getPeakBlock(blocks);
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #9f7aea 0%, #553c9a 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .value { font-size: 48px; font-weight: bold; color: #553c9a; text-align: center; margin: 20px 0; }
+        .link-button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 10px 10px 10px 0; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+        .footer a { color: #666; }
+        .alert-name { font-size: 20px; margin: 0; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>📅 Geomagnetic Storm Expected</h1>
+          ${name ? `<p class="alert-name">${escapeHtml(name)}</p>` : ''}
+        </div>
+        <div class="content">
+          <p>NOAA's 3-day forecast${describeIssued(issuedAt)} predicts storm-level geomagnetic activity in the coming days. If the skies are clear, there's a good chance of aurora at ${cityName}.</p>
+
+          <div class="value">Kp ${formatKp(peak.kp)}</div>
+
+          <p><strong>Predicted storm periods:</strong></p>
+          <ul>
+            ${blocks.map(block => `<li>${describeForecastBlock(block, timeZone)}</li>`).join('\n            ')}
+          </ul>
+
+          <p>Forecasts days ahead are uncertain. We'll send your regular alert when the aurora forecast reaches your threshold.</p>
+
+          <a href="${overviewUrl}" class="link-button" target="_blank">View My Alerts</a>
+        </div>
+        <div class="footer">
+          <p>Aurora Alerter - Automated Aurora Forecast Monitoring</p>
+          <p><a href="${pauseUrl}" target="_blank">Pause this alert</a> · <a href="${stopAllUrl}" target="_blank">Stop all emails</a></p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Build plain text content for the storm heads-up email
+ * @param {Object} details - {name, blocks, issuedAt, cityName, timeZone}
+ * @param {Object} links - {overviewUrl, pauseUrl, stopAllUrl}
+ */
+function buildForecastEmailText({ name, blocks, issuedAt, cityName, timeZone }, { overviewUrl, pauseUrl, stopAllUrl }) {
+  return `
+Geomagnetic Storm Expected${name ? `: ${name}` : ''}
+
+NOAA's 3-day forecast${describeIssued(issuedAt)} predicts storm-level geomagnetic activity in the coming days. If the skies are clear, there's a good chance of aurora at ${cityName}.
+
+Predicted storm periods:
+${blocks.map(block => `- ${describeForecastBlock(block, timeZone)}`).join('\n')}
+
+Forecasts days ahead are uncertain. We'll send your regular alert when the aurora forecast reaches your threshold.
+
+View My Alerts: ${overviewUrl}
+
+Pause this alert: ${pauseUrl}
+Stop all emails: ${stopAllUrl}
+  `.trim();
+}
+
+/**
+ * Build HTML content for the magic login link email
+ */
+function buildLoginEmailHtml(loginUrl, expiresInMinutes) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .links { margin: 30px 0; text-align: center; }
+        .link-button { display: inline-block; background: #28a745; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: 600; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>🌌 Log in to Aurora Alerter</h1>
+        </div>
+        <div class="content">
+          <p>Click the button below to log in. This link can only be used once and expires in ${expiresInMinutes} minutes.</p>
+          
+          <div class="links">
+            <a href="${loginUrl}" class="link-button" target="_blank">Log In</a>
+          </div>
+          
+          <p>If you didn't request this email, you can safely ignore it.</p>
+        </div>
+        <div class="footer">
+          <p>Aurora Alerter - Automated Aurora Forecast Monitoring</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Build plain text content for the magic login link email
+ */
+function buildLoginEmailText(loginUrl, expiresInMinutes) {
+  return `
+Log in to Aurora Alerter
+
+Open the link below to log in. This link can only be used once and expires in ${expiresInMinutes} minutes.
+
+${loginUrl}
+
+If you didn't request this email, you can safely ignore it.
+  `.trim();
+}
+
+/**
+ * Build HTML content for the email confirmation email
+ */
+function buildVerificationEmailHtml(verifyUrl) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .links { margin: 30px 0; text-align: center; }
+        .link-button { display: inline-block; background: #28a745; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: 600; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>🌌 Confirm your email</h1>
+        </div>
+        <div class="content">
+          <p>Someone (hopefully you) signed up for Aurora Alerter with this address. Confirm it to start receiving aurora alerts.</p>
+          
+          <div class="links">
+            <a href="${verifyUrl}" class="link-button" target="_blank">Confirm Email</a>
+          </div>
+          
+          <p>If you didn't sign up, you can safely ignore this email. We won't send you any alerts.</p>
+        </div>
+        <div class="footer">
+          <p>Aurora Alerter - Automated Aurora Forecast Monitoring</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Build plain text content for the email confirmation email
+ */
+function buildVerificationEmailText(verifyUrl) {
+  return `
+Confirm your email for Aurora Alerter
+
+Someone (hopefully you) signed up for Aurora Alerter with this address. Open the link below to confirm it and start receiving aurora alerts.
+
+${verifyUrl}
+
+If you didn't sign up, you can safely ignore this email. We won't send you any alerts.
+  `.trim();
+}
+
+/**
+ * Build HTML content for the account deletion confirmation email
+ */
+function buildAccountDeletionEmailHtml(deleteUrl, expiresInMinutes) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .links { margin: 30px 0; text-align: center; }
+        .link-button { display: inline-block; background: #dc3545; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: 600; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>🌌 Delete your account?</h1>
+        </div>
+        <div class="content">
+          <p>We received a request to delete your Aurora Alerter account. This permanently removes your alerts, their history and your API keys.</p>
+          
+          <div class="links">
+            <a href="${deleteUrl}" class="link-button" target="_blank">Delete My Account</a>
+          </div>
+          
+          <p>This link expires in ${expiresInMinutes} minutes. If you didn't ask for this, ignore this email and your account stays as it is.</p>
+        </div>
+        <div class="footer">
+          <p>Aurora Alerter - Automated Aurora Forecast Monitoring</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Build plain text content for the account deletion confirmation email
+ */
+function buildAccountDeletionEmailText(deleteUrl, expiresInMinutes) {
+  return `
+Delete your Aurora Alerter account?
+
+We received a request to delete your Aurora Alerter account. This permanently removes your alerts, their history and your API keys. Open the link below to confirm:
+
+${deleteUrl}
+
+This link expires in ${expiresInMinutes} minutes. If you didn't ask for this, ignore this email and your account stays as it is.
   `.trim();
 }
 
+/**
+ * Build HTML content for the shared alert invitation email
+ */
+function buildInvitationEmailHtml({ ownerEmail, name, cityName }, inviteUrl) {
+  const place = name ? `${escapeHtml(name)} (${escapeHtml(cityName)})` : escapeHtml(cityName);
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .links { margin: 30px 0; text-align: center; }
+        .link-button { display: inline-block; background: #28a745; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: 600; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>🌌 You're invited to an aurora alert</h1>
+        </div>
+        <div class="content">
+          <p><strong>${escapeHtml(ownerEmail)}</strong> shared their aurora alert for <strong>${place}</strong> with you. Accept to get an email whenever it goes off.</p>
+          
+          <div class="links">
+            <a href="${inviteUrl}" class="link-button" target="_blank">Accept or Decline</a>
+          </div>
+          
+          <p>This link expires in ${INVITE_TOKEN_TTL_DAYS} days. If you don't want these alerts, decline or simply ignore this email.</p>
+        </div>
+        <div class="footer">
+          <p>Aurora Alerter - Automated Aurora Forecast Monitoring</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Build plain text content for the shared alert invitation email
+ */
+function buildInvitationEmailText({ ownerEmail, name, cityName }, inviteUrl) {
+  return `
+You're invited to an aurora alert
+
+${ownerEmail} shared their aurora alert for ${name ? `${name} (${cityName})` : cityName} with you. Open the link below to accept (and get an email whenever it goes off) or decline:
+
+${inviteUrl}
+
+This link expires in ${INVITE_TOKEN_TTL_DAYS} days. If you don't want these alerts, decline or simply ignore this email.
+  `.trim();
+}
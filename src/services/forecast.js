@@ -0,0 +1,168 @@
+/**
+ * Geomagnetic forecast service
+ * Parses NOAA's 3-day forecast text product into predicted Kp per 3-hour block (kp_forecast table)
+ */
+
+import fetch from 'node-fetch';
+import db from '../db/database.js';
+
+const FORECAST_URL = 'https://services.swpc.noaa.gov/text/3-day-forecast.txt';
+
+// Predicted Kp at which a geomagnetic storm is expected (NOAA scale G1)
+export const STORM_KP = 5;
+
+// Length of a forecast block
+export const BLOCK_HOURS = 3;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Fetch the 3-day forecast from NOAA and store its Kp blocks
+ * @returns {Promise<number>} Number of blocks stored or updated
+ */
+export async function ingestKpForecast() {
+  try {
+    const response = await fetch(FORECAST_URL);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch 3-day forecast: ${response.statusText}`);
+    }
+
+    const forecast = parseThreeDayForecast(await response.text());
+    if (!forecast) {
+      throw new Error('No Kp breakdown found in the 3-day forecast');
+    }
+
+    return storeForecast(forecast);
+  } catch (error) {
+    console.error('[Forecast] Error fetching 3-day forecast:', error);
+    return 0;
+  }
+}
+
+/**
+ * Parse NOAA's 3-day forecast text product
+ * Reads the "NOAA Kp index breakdown" table: a row of day headings ("Oct 18  Oct 19  Oct 20") followed by
+ * one row per 3-hour block ("03-06UT  1.67  4.67 (G1)  2.33").
+ * @param {string} text - Product text
+ * @returns {{issuedAt: string|null, blocks: Array<{start: string, kp: number, scale: string|null}>}|null}
+ *   Forecast with blocks in time order, or null if the product has no Kp breakdown
+ */
+export function parseThreeDayForecast(text) {
+  const lines = text.split(/\r?\n/);
+
+  const issued = text.match(/^:Issued:\s+(\d{4}) (\w{3}) (\d{1,2}) (\d{2})(\d{2}) UTC/m);
+  const issuedAt = issued
+    ? new Date(Date.UTC(issued[1], MONTHS.indexOf(issued[2]), issued[3], issued[4], issued[5])).toISOString()
+    : null;
+
+  const breakdownIndex = lines.findIndex(line => /^NOAA Kp index breakdown/.test(line.trim()));
+  if (breakdownIndex === -1) {
+    return null;
+  }
+
+  // The breakdown heading ends with the year of the last day ("Dec 31-Jan 02 2027")
+  const year = parseInt(lines[breakdownIndex].match(/(\d{4})\s*$/)?.[1]);
+  const headingIndex = lines.findIndex((line, i) => i > breakdownIndex && /[A-Z][a-z]{2} \d{1,2}/.test(line));
+  if (!year || headingIndex === -1) {
+    return null;
+  }
+
+  const days = [...lines[headingIndex].matchAll(/([A-Z][a-z]{2}) (\d{1,2})/g)]
+    .map(([, month, day]) => ({ month: MONTHS.indexOf(month), day: parseInt(day) }));
+  const lastMonth = days[days.length - 1]?.month;
+
+  const blocks = [];
+  for (const line of lines.slice(headingIndex + 1)) {
+    const row = line.match(/^\s*(\d{2})-\d{2}UT\s+(.*)$/);
+    if (!row) {
+      if (blocks.length > 0) {
+        break;
+      }
+      continue;
+    }
+
+    const hour = parseInt(row[1]);
+    const values = [...row[2].matchAll(/(\d+(?:\.\d+)?)(?:\s*\((G\d)\))?/g)];
+
+    values.forEach(([, kp, scale], column) => {
+      const { month, day } = days[column] || {};
+      if (month === undefined) {
+        return;
+      }
+      // Days in December belong to the previous year when the forecast runs into January
+      const dayYear = month > lastMonth ? year - 1 : year;
+      blocks.push({
+        start: new Date(Date.UTC(dayYear, month, day, hour)).toISOString(),
+        kp: parseFloat(kp),
+        scale: scale || null,
+      });
+    });
+  }
+
+  if (blocks.length === 0) {
+    return null;
+  }
+
+  blocks.sort((a, b) => a.start.localeCompare(b.start));
+  return { issuedAt, blocks };
+}
+
+/**
+ * Store a parsed forecast, replacing earlier predictions for the same blocks
+ * @param {Object} forecast - Result of parseThreeDayForecast
+ * @returns {number} Number of blocks stored or updated
+ */
+const storeForecast = db.transaction(({ issuedAt, blocks }) => {
+  const upsert = db.prepare(`
+    INSERT INTO kp_forecast (block_start, kp, scale, issued_at, fetched_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(block_start) DO UPDATE SET
+      kp = excluded.kp,
+      scale = excluded.scale,
+      issued_at = excluded.issued_at,
+      fetched_at = excluded.fetched_at
+  `);
+
+  const now = new Date().toISOString();
+  let changes = 0;
+  for (const { start, kp, scale } of blocks) {
+    changes += upsert.run(start, kp, scale, issuedAt, now).changes;
+  }
+  return changes;
+});
+
+/**
+ * Get the predicted Kp for the 3-hour blocks that haven't ended yet
+ * @param {number} [hours] - How far ahead to look
+ * @returns {Array<{start: string, kp: number, scale: string|null, issuedAt: string}>} Blocks in time order
+ */
+export function getKpForecast(hours = 72) {
+  const now = Date.now();
+  const from = new Date(now - BLOCK_HOURS * 60 * 60 * 1000).toISOString();
+  const to = new Date(now + hours * 60 * 60 * 1000).toISOString();
+
+  return db.prepare(`
+    SELECT block_start, kp, scale, issued_at
+    FROM kp_forecast
+    WHERE block_start > ? AND block_start < ?
+    ORDER BY block_start ASC
+  `).all(from, to).map(block => ({
+    start: block.block_start,
+    kp: block.kp,
+    scale: block.scale,
+    issuedAt: block.issued_at,
+  }));
+}
+
+/**
+ * Clean up forecast blocks that have ended
+ */
+export function cleanupOldKpForecast() {
+  const cutoff = new Date(Date.now() - BLOCK_HOURS * 60 * 60 * 1000).toISOString();
+
+  const result = db.prepare('DELETE FROM kp_forecast WHERE block_start < ?').run(cutoff);
+
+  if (result.changes > 0) {
+    console.log(`[Cleanup] Deleted ${result.changes} old Kp forecast records`);
+  }
+}
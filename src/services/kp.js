@@ -0,0 +1,164 @@
+/**
+ * Kp index service
+ * Ingests NOAA's planetary K-index products into the kp_index table
+ */
+
+import fetch from 'node-fetch';
+import db from '../db/database.js';
+
+// Official 3-hourly Kp values (the latest ones are preliminary and get revised)
+const KP_OBSERVED_URL = 'https://services.swpc.noaa.gov/products/noaa-planetary-k-index.json';
+
+// Estimated Kp, updated every minute
+const KP_ESTIMATED_URL = 'https://services.swpc.noaa.gov/json/planetary_k_index_1m.json';
+
+// Estimates older than this are stale (the feed stopped), so fall back to the 3-hourly value
+const KP_ESTIMATE_MAX_AGE_MINUTES = 30;
+
+// Kp values kept in the database
+const KP_RETENTION_DAYS = 7;
+
+// Kp alerts notify again when Kp rises by a whole step (or once the cooldown has passed)
+export const KP_INCREMENT = 1;
+
+/**
+ * Fetch both Kp products from NOAA and store them
+ * A failure of one product doesn't stop the other from being stored.
+ * @returns {Promise<number>} Number of Kp values stored or updated
+ */
+export async function ingestKpIndex() {
+  let stored = 0;
+
+  for (const [source, url, parse] of [
+    ['observed', KP_OBSERVED_URL, parseObservedKp],
+    ['estimated', KP_ESTIMATED_URL, parseEstimatedKp],
+  ]) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch Kp data: ${response.statusText}`);
+      }
+      stored += storeKpValues(source, parse(await response.json()));
+    } catch (error) {
+      console.error(`[Kp] Error fetching ${source} Kp index:`, error);
+    }
+  }
+
+  return stored;
+}
+
+/**
+ * Parse NOAA's 3-hourly planetary K-index product
+ * NOAA has served this both as a header row followed by value rows and as an array of objects.
+ * @param {Array} data - Product JSON
+ * @returns {Array<{observedAt: string, kp: number}>} Kp values
+ */
+function parseObservedKp(data) {
+  if (!Array.isArray(data)) {
+    return [];
+  }
+
+  const [header] = data;
+  const rows = Array.isArray(header)
+    ? data.slice(1).map(row => Object.fromEntries(header.map((column, i) => [column, row[i]])))
+    : data;
+
+  return rows
+    .map(row => ({ observedAt: parseTimeTag(row.time_tag), kp: parseFloat(row.Kp ?? row.kp) }))
+    .filter(isValidKpValue);
+}
+
+/**
+ * Parse NOAA's 1-minute estimated planetary K-index product
+ * @param {Array} data - Product JSON (array of objects)
+ * @returns {Array<{observedAt: string, kp: number}>} Kp values
+ */
+function parseEstimatedKp(data) {
+  if (!Array.isArray(data)) {
+    return [];
+  }
+
+  return data
+    .map(row => ({ observedAt: parseTimeTag(row.time_tag), kp: parseFloat(row.estimated_kp ?? row.kp_index) }))
+    .filter(isValidKpValue);
+}
+
+/**
+ * Convert a NOAA time tag ("2026-10-18 03:00:00.000" or "2026-10-18T03:00:00", always UTC) to an ISO date
+ * @param {string} timeTag - NOAA time tag
+ * @returns {string|null} ISO date, or null if it can't be parsed
+ */
+function parseTimeTag(timeTag) {
+  if (typeof timeTag !== 'string') {
+    return null;
+  }
+
+  const date = new Date(`${timeTag.replace(' ', 'T').replace(/Z$/, '')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function isValidKpValue({ observedAt, kp }) {
+  return observedAt !== null && Number.isFinite(kp) && kp >= 0 && kp <= 9;
+}
+
+/**
+ * Store Kp values, updating any that NOAA has revised
+ * @param {string} source - 'observed' or 'estimated'
+ * @param {Array<{observedAt: string, kp: number}>} values - Kp values
+ * @returns {number} Number of values stored or updated
+ */
+const storeKpValues = db.transaction((source, values) => {
+  const upsert = db.prepare(`
+    INSERT INTO kp_index (source, observed_at, kp, fetched_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(source, observed_at) DO UPDATE SET
+      kp = excluded.kp,
+      fetched_at = excluded.fetched_at
+    WHERE kp_index.kp != excluded.kp
+  `);
+
+  const now = new Date().toISOString();
+  let changes = 0;
+  for (const { observedAt, kp } of values) {
+    changes += upsert.run(source, observedAt, kp, now).changes;
+  }
+  return changes;
+});
+
+/**
+ * Get the current Kp index
+ * Uses the 1-minute estimate while it is fresh, otherwise the latest 3-hourly value.
+ * @returns {{kp: number, observedAt: string, source: string}|null} Current Kp, or null if none is stored
+ */
+export function getCurrentKp() {
+  const estimatedAfter = new Date(Date.now() - KP_ESTIMATE_MAX_AGE_MINUTES * 60 * 1000).toISOString();
+
+  const latest = db.prepare(`
+    SELECT kp, observed_at, source
+    FROM kp_index
+    WHERE source = 'estimated' AND observed_at >= ?
+    ORDER BY observed_at DESC
+    LIMIT 1
+  `).get(estimatedAfter) || db.prepare(`
+    SELECT kp, observed_at, source
+    FROM kp_index
+    WHERE source = 'observed'
+    ORDER BY observed_at DESC
+    LIMIT 1
+  `).get();
+
+  return latest ? { kp: latest.kp, observedAt: latest.observed_at, source: latest.source } : null;
+}
+
+/**
+ * Clean up Kp values older than KP_RETENTION_DAYS
+ */
+export function cleanupOldKpIndex() {
+  const cutoff = new Date(Date.now() - KP_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const result = db.prepare('DELETE FROM kp_index WHERE observed_at < ?').run(cutoff);
+
+  if (result.changes > 0) {
+    console.log(`[Cleanup] Deleted ${result.changes} old Kp index records`);
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Lunar ephemeris service
+ * Offline moon position, illumination and rise/set times for an alert location
+ * (low-precision formulas after Meeus, good to a fraction of a degree and a few minutes)
+ */
+
+import { getSolarCoordinates, getElevation, findTransition } from './solar.js';
+
+// A moon at least this illuminated and above the horizon washes out weak aurora
+export const BRIGHT_MOON_ILLUMINATION = 0.5;
+
+const EARTH_RADIUS_KM = 6378.14;
+const SUN_DISTANCE_KM = 149598000;
+
+const PHASE_NAMES = [
+  { upTo: 0.03, name: 'New moon' },
+  { upTo: 0.22, name: 'Waxing crescent' },
+  { upTo: 0.28, name: 'First quarter' },
+  { upTo: 0.47, name: 'Waxing gibbous' },
+  { upTo: 0.53, name: 'Full moon' },
+  { upTo: 0.72, name: 'Waning gibbous' },
+  { upTo: 0.78, name: 'Last quarter' },
+  { upTo: 0.97, name: 'Waning crescent' },
+  { upTo: 1, name: 'New moon' },
+];
+
+/**
+ * Calculate the moon's geocentric equatorial coordinates
+ * @param {Date} date - Moment to calculate for
+ * @returns {{rightAscension: number, declination: number, distance: number}} Radians and kilometers
+ */
+function getLunarCoordinates(date) {
+  const d = date.getTime() / 86400000 + 2440587.5 - 2451545.0;
+
+  const meanLongitude = toRadians(218.316 + 13.176396 * d);
+  const meanAnomaly = toRadians(134.963 + 13.064993 * d);
+  const meanDistance = toRadians(93.272 + 13.229350 * d);
+
+  const longitude = meanLongitude + toRadians(6.289) * Math.sin(meanAnomaly);
+  const latitude = toRadians(5.128) * Math.sin(meanDistance);
+  const obliquity = toRadians(23.4397);
+
+  return {
+    rightAscension: Math.atan2(
+      Math.sin(longitude) * Math.cos(obliquity) - Math.tan(latitude) * Math.sin(obliquity),
+      Math.cos(longitude)
+    ),
+    declination: Math.asin(
+      Math.sin(latitude) * Math.cos(obliquity) + Math.cos(latitude) * Math.sin(obliquity) * Math.sin(longitude)
+    ),
+    distance: 385001 - 20905 * Math.cos(meanAnomaly),
+  };
+}
+
+/**
+ * Calculate the moon's altitude above the horizon (corrected for parallax)
+ * @param {Date} date - Moment to calculate for
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees (east positive)
+ * @returns {number} Altitude in degrees
+ */
+export function getMoonAltitude(date, latitude, longitude) {
+  const { rightAscension, declination, distance } = getLunarCoordinates(date);
+  const altitude = getElevation(date, latitude, longitude, rightAscension, declination);
+
+  // Seen from the surface rather than the Earth's center, the moon sits up to ~1° lower
+  const parallax = toDegrees(Math.asin(EARTH_RADIUS_KM / distance));
+  return altitude - parallax * Math.cos(toRadians(altitude));
+}
+
+/**
+ * Calculate the illuminated fraction and phase of the moon
+ * @param {Date} date - Moment to calculate for
+ * @returns {{fraction: number, phase: number, phaseName: string}} Fraction lit (0-1),
+ *   phase (0 = new, 0.25 = first quarter, 0.5 = full, 0.75 = last quarter) and its name
+ */
+export function getMoonIllumination(date) {
+  const sun = getSolarCoordinates(date);
+  const moon = getLunarCoordinates(date);
+
+  const elongation = Math.acos(
+    Math.sin(sun.declination) * Math.sin(moon.declination) +
+    Math.cos(sun.declination) * Math.cos(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension)
+  );
+  const phaseAngle = Math.atan2(
+    SUN_DISTANCE_KM * Math.sin(elongation),
+    moon.distance - SUN_DISTANCE_KM * Math.cos(elongation)
+  );
+  const waxing = Math.atan2(
+    Math.cos(sun.declination) * Math.sin(sun.rightAscension - moon.rightAscension),
+    Math.sin(sun.declination) * Math.cos(moon.declination) -
+      Math.cos(sun.declination) * Math.sin(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension)
+  ) < 0;
+
+  const phase = 0.5 + 0.5 * phaseAngle * (waxing ? -1 : 1) / Math.PI;
+
+  return {
+    fraction: (1 + Math.cos(phaseAngle)) / 2,
+    phase,
+    phaseName: PHASE_NAMES.find(({ upTo }) => phase <= upTo).name,
+  };
+}
+
+/**
+ * Find the next moonrise and moonset within 24 hours
+ * @param {Date} date - Moment to search from
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {{rise: Date|null, set: Date|null}} Next rise and set (null if it doesn't happen within 24 hours)
+ */
+export function getMoonTimes(date, latitude, longitude) {
+  const up = (time) => getMoonAltitude(time, latitude, longitude) > 0;
+
+  return {
+    rise: findTransition(date, 1, (time) => up(time) && !up(new Date(time.getTime() - 5 * 60 * 1000))),
+    set: findTransition(date, 1, (time) => !up(time) && up(new Date(time.getTime() - 5 * 60 * 1000))),
+  };
+}
+
+/**
+ * Everything alerts need to know about the moon at a location
+ * @param {Date} date - Moment to calculate for
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {Object} {illumination, phase, phaseName, altitude, isUp, isBright, rise, set}
+ */
+export function getMoonContext(date, latitude, longitude) {
+  const { fraction, phase, phaseName } = getMoonIllumination(date);
+  const altitude = getMoonAltitude(date, latitude, longitude);
+  const { rise, set } = getMoonTimes(date, latitude, longitude);
+
+  return {
+    illumination: Math.round(fraction * 100),
+    phase: Math.round(phase * 1000) / 1000,
+    phaseName,
+    altitude: Math.round(altitude),
+    isUp: altitude > 0,
+    isBright: altitude > 0 && fraction >= BRIGHT_MOON_ILLUMINATION,
+    rise,
+    set,
+  };
+}
+
+function toRadians(degrees) {
+  return degrees * (Math.PI / 180);
+}
+
+function toDegrees(radians) {
+  return radians * (180 / Math.PI);
+}
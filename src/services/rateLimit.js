@@ -0,0 +1,52 @@
+/**
+ * Rate limit service
+ * Fixed-window request counters stored in SQLite so limits survive a restart
+ */
+
+import db from '../db/database.js';
+
+/**
+ * Record a hit against a rate limit
+ * @param {string} key - Counter key (limit name and client, e.g. 'login:ip:1.2.3.4')
+ * @param {number} limit - Maximum hits allowed per window
+ * @param {number} windowSeconds - Window length in seconds
+ * @returns {{allowed: boolean, remaining: number, retryAfter: number}} Whether the hit is allowed,
+ *   hits left in the window and seconds until the window resets
+ */
+export const hitRateLimit = db.transaction((key, limit, windowSeconds) => {
+  const now = new Date();
+
+  let counter = db.prepare('SELECT hits, expires_at FROM rate_limits WHERE key = ?').get(key);
+
+  if (!counter || new Date(counter.expires_at) <= now) {
+    counter = { hits: 1, expires_at: new Date(now.getTime() + windowSeconds * 1000).toISOString() };
+    db.prepare(`
+      INSERT INTO rate_limits (key, hits, window_started_at, expires_at)
+      VALUES (?, 1, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET
+        hits = 1,
+        window_started_at = excluded.window_started_at,
+        expires_at = excluded.expires_at
+    `).run(key, now.toISOString(), counter.expires_at);
+  } else {
+    counter.hits += 1;
+    db.prepare('UPDATE rate_limits SET hits = ? WHERE key = ?').run(counter.hits, key);
+  }
+
+  return {
+    allowed: counter.hits <= limit,
+    remaining: Math.max(0, limit - counter.hits),
+    retryAfter: Math.max(1, Math.ceil((new Date(counter.expires_at) - now) / 1000)),
+  };
+});
+
+/**
+ * Clean up counters whose window has ended
+ */
+export function cleanupRateLimits() {
+  const result = db.prepare('DELETE FROM rate_limits WHERE expires_at < ?').run(new Date().toISOString());
+
+  if (result.changes > 0) {
+    console.log(`[Cleanup] Deleted ${result.changes} expired rate limit counters`);
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Alert recipients service
+ * Shared alerts: the owner invites people by email, and each recipient accepts or declines
+ */
+
+import db from '../db/database.js';
+import { sendAlertInvitation } from './email.js';
+import { getCachedCityName } from './geocoding.js';
+
+// Recipients per alert, besides its owner
+export const MAX_RECIPIENTS = 20;
+
+/**
+ * Email an invitation to a recipient of a shared alert
+ * @param {Object} recipient - alert_recipients row
+ * @returns {Promise<void>}
+ */
+export async function sendInvitation(recipient) {
+  const alert = db.prepare(`
+    SELECT a.id, a.name, a.latitude, a.longitude, u.email AS owner_email
+    FROM alerts a
+    INNER JOIN users u ON a.user_id = u.id
+    WHERE a.id = ?
+  `).get(recipient.alert_id);
+
+  const cityName = await getCachedCityName(alert.latitude, alert.longitude);
+
+  await sendAlertInvitation(recipient.email, {
+    recipientId: recipient.id,
+    ownerEmail: alert.owner_email,
+    name: alert.name,
+    cityName,
+  });
+}
+
+/**
+ * Accept or decline an invitation to a shared alert
+ * Accepting links the invitation to the account for its email address, creating one if needed
+ * (the invitation reached that address, so the account counts as verified). Declining after
+ * accepting leaves the alert, and the recipient's notification state goes with it.
+ * @param {Object} recipient - alert_recipients row
+ * @param {boolean} accept - True to accept, false to decline
+ * @returns {Object} Updated alert_recipients row
+ */
+export const respondToInvitation = db.transaction((recipient, accept) => {
+  const now = new Date().toISOString();
+  let userId = recipient.user_id;
+
+  if (!userId) {
+    const user = db.prepare('SELECT id FROM users WHERE email = ?').get(recipient.email);
+    if (user) {
+      userId = user.id;
+    } else if (accept) {
+      userId = db.prepare('INSERT INTO users (email, verified_at) VALUES (?, ?)').run(recipient.email, now).lastInsertRowid;
+    }
+  }
+
+  if (accept) {
+    db.prepare('UPDATE users SET verified_at = ? WHERE id = ? AND verified_at IS NULL').run(now, userId);
+  } else if (userId) {
+    db.prepare('DELETE FROM alert_notification_state WHERE alert_id = ? AND user_id = ?').run(recipient.alert_id, userId);
+  }
+
+  db.prepare(`
+    UPDATE alert_recipients
+    SET status = ?, user_id = ?, responded_at = ?
+    WHERE id = ?
+  `).run(accept ? 'accepted' : 'declined', userId || null, now, recipient.id);
+
+  return db.prepare('SELECT * FROM alert_recipients WHERE id = ?').get(recipient.id);
+});
+
+/**
+ * Remove a recipient from a shared alert, along with their notification state
+ * @param {Object} recipient - alert_recipients row
+ */
+export const removeRecipient = db.transaction((recipient) => {
+  if (recipient.user_id) {
+    db.prepare('DELETE FROM alert_notification_state WHERE alert_id = ? AND user_id = ?')
+      .run(recipient.alert_id, recipient.user_id);
+  }
+  db.prepare('DELETE FROM alert_recipients WHERE id = ?').run(recipient.id);
+});
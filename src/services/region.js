@@ -0,0 +1,148 @@
+/**
+ * Region service
+ * Alert regions drawn on the map, stored as GeoJSON Polygon geometries
+ */
+
+const MAX_VERTICES = 200;
+
+/**
+ * Validate a region from a request body
+ * Accepts a GeoJSON Polygon (or a Feature wrapping one) with a single ring of [longitude, latitude]
+ * positions. Open rings are closed automatically. Regions may not cross the antimeridian.
+ * @param {*} region - GeoJSON geometry, or null to clear the region
+ * @returns {{value: Object|null}|{error: string}} Normalized Polygon geometry (or null), or a validation error
+ */
+export function parseRegion(region) {
+  if (region === null || region === undefined) {
+    return { value: null };
+  }
+
+  const geometry = region?.type === 'Feature' ? region.geometry : region;
+  if (geometry?.type !== 'Polygon' || !Array.isArray(geometry.coordinates) || geometry.coordinates.length !== 1) {
+    return { error: 'region must be a GeoJSON Polygon with a single ring' };
+  }
+
+  const ring = geometry.coordinates[0];
+  if (!Array.isArray(ring) || !ring.every(isValidPosition)) {
+    return { error: 'region positions must be [longitude, latitude] pairs within range' };
+  }
+
+  const positions = ring.map(([lng, lat]) => [lng, lat]);
+  const [first] = positions;
+  const last = positions[positions.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    positions.push([...first]);
+  }
+
+  if (positions.length < 4 || positions.length > MAX_VERTICES + 1) {
+    return { error: `region must have between 3 and ${MAX_VERTICES} corners` };
+  }
+
+  const longitudes = positions.map(([lng]) => lng);
+  if (Math.max(...longitudes) - Math.min(...longitudes) > 180) {
+    return { error: 'region may not cross the antimeridian (180° longitude)' };
+  }
+
+  return { value: { type: 'Polygon', coordinates: [positions] } };
+}
+
+/**
+ * Parse a region stored as JSON on an alert
+ * @param {string|null} json - Stored region column
+ * @returns {Object|null} Polygon geometry, or null if the alert watches a single point
+ */
+export function parseStoredRegion(json) {
+  if (!json) {
+    return null;
+  }
+
+  try {
+    const region = JSON.parse(json);
+    return region?.type === 'Polygon' ? region : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Centroid of a region, used as the alert's location for darkness, moon and place names
+ * @param {Object} region - Polygon geometry
+ * @returns {{latitude: number, longitude: number}} Area-weighted centroid (vertex average for degenerate rings)
+ */
+export function getRegionCentroid(region) {
+  const ring = region.coordinates[0];
+  let area = 0;
+  let x = 0;
+  let y = 0;
+
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[i + 1];
+    const cross = x1 * y2 - x2 * y1;
+    area += cross;
+    x += (x1 + x2) * cross;
+    y += (y1 + y2) * cross;
+  }
+
+  if (Math.abs(area) < 1e-12) {
+    const corners = ring.slice(0, -1);
+    return {
+      latitude: corners.reduce((sum, [, lat]) => sum + lat, 0) / corners.length,
+      longitude: corners.reduce((sum, [lng]) => sum + lng, 0) / corners.length,
+    };
+  }
+
+  return { latitude: y / (3 * area), longitude: x / (3 * area) };
+}
+
+/**
+ * Bounding box of a region
+ * @param {Object} region - Polygon geometry
+ * @returns {{minLat: number, maxLat: number, minLng: number, maxLng: number}} Bounds in degrees
+ */
+export function getRegionBounds(region) {
+  const ring = region.coordinates[0];
+  const latitudes = ring.map(([, lat]) => lat);
+  const longitudes = ring.map(([lng]) => lng);
+
+  return {
+    minLat: Math.min(...latitudes),
+    maxLat: Math.max(...latitudes),
+    minLng: Math.min(...longitudes),
+    maxLng: Math.max(...longitudes),
+  };
+}
+
+/**
+ * Check whether a point lies inside a region (ray casting)
+ * @param {Object} region - Polygon geometry
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude (-180 to 180)
+ * @returns {boolean} True if the point is inside the region
+ */
+export function isPointInRegion(region, latitude, longitude) {
+  const ring = region.coordinates[0];
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 2; i < ring.length - 1; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > latitude) !== (yj > latitude) &&
+        longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+function isValidPosition(position) {
+  if (!Array.isArray(position) || position.length < 2) {
+    return false;
+  }
+
+  const [lng, lat] = position;
+  return typeof lng === 'number' && typeof lat === 'number' &&
+    lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+}
@@ -0,0 +1,281 @@
+/**
+ * Alert rules service
+ * An alert's conditions as a JSON rule tree: probability, Kp, darkness, time window and trend
+ * conditions combined with AND/OR/NOT
+ */
+
+import { parseActiveWindows, isWithinActiveWindows, isValidTimeZone } from './activeHours.js';
+import { DARKNESS_LEVELS, DEFAULT_DARKNESS, isDark } from './solar.js';
+
+export const RULE_OPERATORS = ['and', 'or', 'not'];
+export const RULE_CONDITION_TYPES = ['probability', 'kp', 'darkness', 'time_window', 'trend'];
+
+// Conditions that look at aurora activity (a rule needs at least one, or it would fire every night)
+const ACTIVITY_CONDITION_TYPES = ['probability', 'kp', 'trend'];
+
+const MAX_RULE_DEPTH = 4;
+const MAX_RULE_CONDITIONS = 20;
+
+// Trend conditions compare against a value recorded up to this long before the trend's start
+const TREND_MAX_GAP_MINUTES = 15;
+
+/**
+ * Validate a rule tree from a request body
+ * A rule is a group { op: 'and' | 'or', conditions: [...] }, { op: 'not', condition }, or a condition:
+ *   { type: 'probability', min: 1-100 }        aurora probability at the alert location (raised by a bright moon)
+ *   { type: 'kp', min: 0-9 }                    planetary Kp index
+ *   { type: 'darkness', level: 'civil' | 'nautical' | 'astronomical' }
+ *   { type: 'time_window', windows: [...] }     active windows, in the alert's time zone
+ *   { type: 'trend', direction: 'rising' | 'falling', change: 1-100, minutes: 10-180 }
+ * @param {*} rule - Rule tree
+ * @returns {{value: Object}|{error: string}} Normalized rule tree, or a validation error
+ */
+export function parseRule(rule) {
+  const counts = { conditions: 0, activity: 0 };
+
+  const result = parseRuleNode(rule, 1, false, counts);
+  if (result.error) {
+    return result;
+  }
+
+  if (counts.conditions > MAX_RULE_CONDITIONS) {
+    return { error: `rule may have at most ${MAX_RULE_CONDITIONS} conditions` };
+  }
+
+  if (counts.activity === 0) {
+    return { error: 'rule needs at least one probability, Kp or trend condition' };
+  }
+
+  return result;
+}
+
+// negated is true under an odd number of 'not' groups; negated activity conditions ('not kp >= 5')
+// don't count towards the one a rule needs
+function parseRuleNode(node, depth, negated, counts) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return { error: 'Each rule node must be a group or a condition' };
+  }
+
+  if (node.op !== undefined) {
+    if (depth > MAX_RULE_DEPTH) {
+      return { error: `rule groups may be nested at most ${MAX_RULE_DEPTH} deep` };
+    }
+
+    if (node.op === 'not') {
+      const condition = parseRuleNode(node.condition, depth + 1, !negated, counts);
+      return condition.error ? condition : { value: { op: 'not', condition: condition.value } };
+    }
+
+    if (!['and', 'or'].includes(node.op)) {
+      return { error: "rule op must be 'and', 'or' or 'not'" };
+    }
+
+    if (!Array.isArray(node.conditions) || node.conditions.length === 0) {
+      return { error: `'${node.op}' groups need at least one condition` };
+    }
+
+    const conditions = [];
+    for (const child of node.conditions) {
+      const condition = parseRuleNode(child, depth + 1, negated, counts);
+      if (condition.error) {
+        return condition;
+      }
+      conditions.push(condition.value);
+    }
+
+    return { value: { op: node.op, conditions } };
+  }
+
+  const condition = parseCondition(node);
+  if (!condition.error) {
+    counts.conditions++;
+    if (!negated && ACTIVITY_CONDITION_TYPES.includes(condition.value.type)) {
+      counts.activity++;
+    }
+  }
+  return condition;
+}
+
+function parseCondition(condition) {
+  switch (condition.type) {
+    case 'probability':
+      if (!isIntegerInRange(condition.min, 1, 100)) {
+        return { error: 'probability conditions need a min from 1 to 100' };
+      }
+      return { value: { type: 'probability', min: condition.min } };
+
+    case 'kp':
+      if (typeof condition.min !== 'number' || condition.min < 0 || condition.min > 9) {
+        return { error: 'kp conditions need a min from 0 to 9' };
+      }
+      return { value: { type: 'kp', min: condition.min } };
+
+    case 'darkness':
+      if (!DARKNESS_LEVELS[condition.level]) {
+        return { error: "darkness conditions need a level of 'civil', 'nautical' or 'astronomical'" };
+      }
+      return { value: { type: 'darkness', level: condition.level } };
+
+    case 'time_window': {
+      const windows = parseActiveWindows(condition.windows);
+      if (windows.error) {
+        return { error: windows.error };
+      }
+      if (!windows.value) {
+        return { error: 'time_window conditions need at least one window' };
+      }
+      return { value: { type: 'time_window', windows: windows.value } };
+    }
+
+    case 'trend':
+      if (!['rising', 'falling'].includes(condition.direction)) {
+        return { error: "trend conditions need a direction of 'rising' or 'falling'" };
+      }
+      if (!isIntegerInRange(condition.change, 1, 100)) {
+        return { error: 'trend conditions need a change from 1 to 100' };
+      }
+      if (!isIntegerInRange(condition.minutes, 10, 180)) {
+        return { error: 'trend conditions need minutes from 10 to 180' };
+      }
+      return {
+        value: { type: 'trend', direction: condition.direction, change: condition.change, minutes: condition.minutes },
+      };
+
+    default:
+      return { error: `rule condition type must be one of: ${RULE_CONDITION_TYPES.join(', ')}` };
+  }
+}
+
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Build the rule equivalent to an alert's simple settings
+ * (its probability or Kp threshold, while it is as dark as the alert requires)
+ * @param {Object} alert - {trigger_type, threshold, kp_threshold, darkness_requirement}
+ * @returns {Object} Rule tree
+ */
+export function buildSimpleRule({ trigger_type, threshold, kp_threshold, darkness_requirement }) {
+  return {
+    op: 'and',
+    conditions: [
+      trigger_type === 'kp' ? { type: 'kp', min: kp_threshold } : { type: 'probability', min: threshold },
+      { type: 'darkness', level: darkness_requirement || DEFAULT_DARKNESS },
+    ],
+  };
+}
+
+/**
+ * Parse a rule stored as JSON on an alert
+ * @param {string|null} json - Stored rule column
+ * @returns {Object|null} Rule tree, or null if the alert has none
+ */
+export function parseStoredRule(json) {
+  if (!json) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether an alert's stored rule is still the one built from its simple settings
+ * Such rules follow the threshold and darkness requirement when those are edited.
+ * @param {Object} alert - Alert record with rule and the simple settings
+ * @returns {boolean} True if the rule hasn't been customized
+ */
+export function isSimpleRule(alert) {
+  const rule = parseStoredRule(alert.rule);
+  return !rule || JSON.stringify(rule) === JSON.stringify(buildSimpleRule(alert));
+}
+
+// Conditions of a type that a rule can't fire without: ones at its top or in nested 'and' groups,
+// not ones under 'or' or 'not'
+function getRequiredConditions(rule, type) {
+  if (rule.op === 'and') {
+    return rule.conditions.flatMap(condition => getRequiredConditions(condition, type));
+  }
+  return rule.type === type ? [rule] : [];
+}
+
+/**
+ * Find the darkness a rule always requires
+ * @param {Object} rule - Rule tree
+ * @returns {string|null} Strictest darkness level required, or null if the rule can fire without darkness
+ */
+export function getRequiredDarkness(rule) {
+  return getRequiredConditions(rule, 'darkness')
+    .map(condition => condition.level)
+    .reduce((strictest, level) => (
+      !strictest || DARKNESS_LEVELS[level] < DARKNESS_LEVELS[strictest] ? level : strictest
+    ), null);
+}
+
+/**
+ * Find the aurora probability a rule always requires (before any moon boost)
+ * @param {Object} rule - Rule tree
+ * @returns {number|null} Highest probability min required, or null if the rule can fire without one
+ */
+export function getRequiredProbability(rule) {
+  const mins = getRequiredConditions(rule, 'probability').map(condition => condition.min);
+  return mins.length > 0 ? Math.max(...mins) : null;
+}
+
+/**
+ * Evaluate a rule tree
+ * @param {Object} rule - Rule tree (from parseRule or parseStoredRule)
+ * @param {Object} context - What the conditions are checked against
+ * @param {number} context.value - Aurora probability at the alert location
+ * @param {number|null} context.kp - Current Kp index, if known
+ * @param {number} [context.moonBoost] - How much a bright moon raises probability conditions
+ * @param {number} context.latitude - Alert latitude
+ * @param {number} context.longitude - Alert longitude
+ * @param {string|null} [context.timeZone] - Alert time zone, for time windows
+ * @param {Function} context.getPastValue - (minutes, maxGapMinutes) => probability recorded that long ago
+ *   (or up to maxGapMinutes before), or null if there is none
+ * @param {Date} [context.now] - Evaluation time
+ * @returns {boolean} True if the rule holds
+ */
+export function evaluateRule(rule, context) {
+  switch (rule.op) {
+    case 'and':
+      return rule.conditions.every(condition => evaluateRule(condition, context));
+    case 'or':
+      return rule.conditions.some(condition => evaluateRule(condition, context));
+    case 'not':
+      return !evaluateRule(rule.condition, context);
+  }
+
+  const now = context.now || new Date();
+
+  switch (rule.type) {
+    case 'probability':
+      return context.value >= Math.min(100, rule.min + (context.moonBoost || 0));
+
+    case 'kp':
+      return context.kp !== null && context.kp !== undefined && context.kp >= rule.min;
+
+    case 'darkness':
+      return isDark(now, context.latitude, context.longitude, rule.level);
+
+    case 'time_window':
+      return isWithinActiveWindows(rule.windows, isValidTimeZone(context.timeZone) ? context.timeZone : null, now);
+
+    case 'trend': {
+      const past = context.getPastValue(rule.minutes, TREND_MAX_GAP_MINUTES);
+      if (past === null || past === undefined) {
+        return false;
+      }
+      const change = rule.direction === 'rising' ? context.value - past : past - context.value;
+      return change >= rule.change;
+    }
+
+    default:
+      return false;
+  }
+}
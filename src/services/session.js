@@ -0,0 +1,201 @@
+/**
+ * Session service
+ * Issues one-time magic link tokens and the server-side sessions they unlock
+ */
+
+import crypto from 'crypto';
+import db from '../db/database.js';
+
+// Magic links and access tokens are short-lived; refresh tokens keep a session alive for a month
+export const LOGIN_TOKEN_TTL_MINUTES = parseInt(process.env.LOGIN_TOKEN_TTL_MINUTES) || 15;
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 60;
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 30;
+
+/**
+ * Generate a random URL-safe token
+ * @returns {string} Token
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash a token for storage (only hashes are kept in the database)
+ * @param {string} token - Raw token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a one-time login token for a user
+ * @param {number} userId - User ID
+ * @returns {{token: string, expiresAt: string}} Raw token and its expiry
+ */
+export function createLoginToken(userId) {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + LOGIN_TOKEN_TTL_MINUTES * 60 * 1000).toISOString();
+
+  db.prepare(`
+    INSERT INTO login_tokens (user_id, token_hash, expires_at, created_at)
+    VALUES (?, ?, ?, ?)
+  `).run(userId, hashToken(token), expiresAt, new Date().toISOString());
+
+  return { token, expiresAt };
+}
+
+/**
+ * Consume a login token, marking it as used
+ * @param {string} token - Raw token from the magic link
+ * @returns {Object|null} User record, or null if the token is unknown, used or expired
+ */
+export const consumeLoginToken = db.transaction((token) => {
+  const now = new Date().toISOString();
+
+  const record = db.prepare(`
+    SELECT id, user_id
+    FROM login_tokens
+    WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+  `).get(hashToken(token), now);
+
+  if (!record) {
+    return null;
+  }
+
+  db.prepare('UPDATE login_tokens SET used_at = ? WHERE id = ?').run(now, record.id);
+
+  return db.prepare('SELECT id, email, verified_at, disabled_at FROM users WHERE id = ?').get(record.user_id) || null;
+});
+
+/**
+ * Generate a fresh access/refresh token pair with their expiries
+ * @returns {Object} Raw tokens, their hashes and expiry timestamps
+ */
+function generateTokenPair() {
+  const now = Date.now();
+  const accessToken = generateToken();
+  const refreshToken = generateToken();
+
+  return {
+    accessToken,
+    refreshToken,
+    accessTokenHash: hashToken(accessToken),
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(now + ACCESS_TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+    refreshExpiresAt: new Date(now + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+  };
+}
+
+/**
+ * Create a new session for a user
+ * @param {number} userId - User ID
+ * @returns {{accessToken: string, refreshToken: string, expiresAt: string}} Raw tokens and access token expiry
+ */
+export function createSession(userId) {
+  const pair = generateTokenPair();
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    INSERT INTO sessions (user_id, token_hash, expires_at, refresh_token_hash, refresh_expires_at, created_at, last_used_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, pair.accessTokenHash, pair.expiresAt, pair.refreshTokenHash, pair.refreshExpiresAt, now, now);
+
+  return { accessToken: pair.accessToken, refreshToken: pair.refreshToken, expiresAt: pair.expiresAt };
+}
+
+/**
+ * Refresh a session, rotating both tokens
+ * The old refresh token stops working, so a stolen one can only be used once
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Object|null} New {accessToken, refreshToken, expiresAt}, or null if the refresh token is unknown or expired
+ */
+export const refreshSession = db.transaction((refreshToken) => {
+  const now = new Date().toISOString();
+
+  const session = db.prepare(`
+    SELECT s.id
+    FROM sessions s
+    INNER JOIN users u ON s.user_id = u.id
+    WHERE s.refresh_token_hash = ? AND s.refresh_expires_at > ? AND u.disabled_at IS NULL
+  `).get(hashToken(refreshToken), now);
+
+  if (!session) {
+    return null;
+  }
+
+  const pair = generateTokenPair();
+
+  db.prepare(`
+    UPDATE sessions
+    SET token_hash = ?, expires_at = ?, refresh_token_hash = ?, refresh_expires_at = ?, last_used_at = ?
+    WHERE id = ?
+  `).run(pair.accessTokenHash, pair.expiresAt, pair.refreshTokenHash, pair.refreshExpiresAt, now, session.id);
+
+  return { accessToken: pair.accessToken, refreshToken: pair.refreshToken, expiresAt: pair.expiresAt };
+});
+
+/**
+ * Look up the user that owns an access token
+ * @param {string} token - Raw access token
+ * @returns {Object|null} User record, or null if the session is unknown or the access token expired
+ */
+export function getSessionUser(token) {
+  const now = new Date().toISOString();
+
+  const session = db.prepare(`
+    SELECT s.id AS session_id, u.id, u.email, u.verified_at, u.unsubscribed_at, u.role
+    FROM sessions s
+    INNER JOIN users u ON s.user_id = u.id
+    WHERE s.token_hash = ? AND s.expires_at > ? AND u.disabled_at IS NULL
+  `).get(hashToken(token), now);
+
+  if (!session) {
+    return null;
+  }
+
+  db.prepare('UPDATE sessions SET last_used_at = ? WHERE id = ?').run(now, session.session_id);
+
+  return {
+    id: session.id,
+    email: session.email,
+    verified_at: session.verified_at,
+    unsubscribed_at: session.unsubscribed_at,
+    role: session.role,
+  };
+}
+
+/**
+ * Delete a session (logout)
+ * @param {string} token - Raw access token
+ */
+export function deleteSession(token) {
+  db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+}
+
+/**
+ * Delete all sessions of a user (logout everywhere)
+ * @param {number} userId - User ID
+ * @returns {number} Number of sessions revoked
+ */
+export function deleteAllSessions(userId) {
+  return db.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId).changes;
+}
+
+/**
+ * Clean up expired login tokens and sessions
+ */
+export function cleanupExpiredSessions() {
+  const now = new Date().toISOString();
+
+  const tokens = db.prepare('DELETE FROM login_tokens WHERE expires_at < ?').run(now);
+  const sessions = db.prepare(
+    'DELETE FROM sessions WHERE COALESCE(refresh_expires_at, expires_at) < ?'
+  ).run(now);
+
+  if (tokens.changes > 0 || sessions.changes > 0) {
+    console.log(
+      `[Cleanup] Deleted ${tokens.changes} expired login tokens and ${sessions.changes} expired sessions`
+    );
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Solar position service
+ * Sun elevation at a location, used to only alert when it is dark enough to see aurora
+ * (low-precision NOAA/Astronomical Almanac formulas, accurate to well under a degree)
+ */
+
+// Sun elevation (degrees) at which each twilight ends
+export const DARKNESS_LEVELS = {
+  civil: -6,
+  nautical: -12,
+  astronomical: -18,
+};
+
+export const DEFAULT_DARKNESS = 'civil';
+
+const STEP_MINUTES = 5;
+const SEARCH_HOURS = 24;
+
+/**
+ * Calculate the sun's equatorial coordinates
+ * @param {Date} date - Moment to calculate for
+ * @returns {{rightAscension: number, declination: number}} Coordinates in radians
+ */
+export function getSolarCoordinates(date) {
+  const n = daysSinceJ2000(date);
+
+  const meanLongitude = normalizeDegrees(280.460 + 0.9856474 * n);
+  const meanAnomaly = toRadians(normalizeDegrees(357.528 + 0.9856003 * n));
+  const eclipticLongitude = toRadians(
+    meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)
+  );
+  const obliquity = toRadians(23.439 - 0.0000004 * n);
+
+  return {
+    rightAscension: Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude)),
+    declination: Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude)),
+  };
+}
+
+/**
+ * Calculate the sun's elevation above the horizon
+ * @param {Date} date - Moment to calculate for
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees (east positive)
+ * @returns {number} Elevation in degrees (negative when the sun is below the horizon)
+ */
+export function getSolarElevation(date, latitude, longitude) {
+  const { rightAscension, declination } = getSolarCoordinates(date);
+  return getElevation(date, latitude, longitude, rightAscension, declination);
+}
+
+/**
+ * Elevation of a body with the given equatorial coordinates, as seen from a location
+ * @param {Date} date - Moment to calculate for
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees (east positive)
+ * @param {number} rightAscension - Right ascension in radians
+ * @param {number} declination - Declination in radians
+ * @returns {number} Elevation in degrees
+ */
+export function getElevation(date, latitude, longitude, rightAscension, declination) {
+  // Local sidereal time -> hour angle
+  const siderealTime = normalizeDegrees(280.46061837 + 360.98564736629 * daysSinceJ2000(date) + longitude);
+  const hourAngle = toRadians(siderealTime) - rightAscension;
+
+  const lat = toRadians(latitude);
+  const elevation = Math.asin(
+    Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+
+  return toDegrees(elevation);
+}
+
+/**
+ * Check whether it is dark enough at a location
+ * @param {Date} date - Moment to check
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {string} [requirement] - 'civil', 'nautical' or 'astronomical'
+ * @returns {boolean} True if the sun is below the twilight limit
+ */
+export function isDark(date, latitude, longitude, requirement = DEFAULT_DARKNESS) {
+  const limit = DARKNESS_LEVELS[requirement] ?? DARKNESS_LEVELS[DEFAULT_DARKNESS];
+  return getSolarElevation(date, latitude, longitude) < limit;
+}
+
+/**
+ * Find tonight's period of darkness: the current one if it is dark now, otherwise the next one
+ * Found by stepping through the next (and, if dark now, previous) 24 hours in 5-minute steps.
+ * @param {Date} date - Moment to search from
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {string} [requirement] - 'civil', 'nautical' or 'astronomical'
+ * @returns {{start: Date|null, end: Date|null}|null} Darkness period (start/end are null when
+ *   darkness lasts beyond the search range, e.g. polar night), or null if it doesn't get dark
+ */
+export function getDarknessPeriod(date, latitude, longitude, requirement = DEFAULT_DARKNESS) {
+  const dark = (time) => isDark(time, latitude, longitude, requirement);
+
+  let start = null;
+  if (dark(date)) {
+    start = findTransition(date, -1, time => !dark(time));
+  } else {
+    start = findTransition(date, 1, dark);
+    if (!start) {
+      return null;
+    }
+  }
+
+  const end = findTransition(start || date, 1, time => !dark(time));
+  return { start, end };
+}
+
+/**
+ * Start of the night a moment belongs to: the preceding local solar noon
+ * Nights run noon to noon, so everything after dusk and before dawn counts as the same night.
+ * @param {Date} date - Moment to check
+ * @param {number} longitude - Longitude in degrees (sets local solar time)
+ * @returns {Date} Solar noon (approximate, ignoring the equation of time) that started the night
+ */
+export function getNightStart(date, longitude) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  // Solar noon at this longitude, in UTC milliseconds from midnight
+  const noonOffset = (12 - longitude / 15) * 60 * 60 * 1000;
+
+  const sinceNoon = ((date.getTime() - noonOffset) % dayMs + dayMs) % dayMs;
+  return new Date(date.getTime() - sinceNoon);
+}
+
+/**
+ * Step through time until a condition becomes true
+ * @param {Date} from - Moment to search from
+ * @param {number} direction - 1 to search forwards, -1 to search backwards
+ * @param {Function} condition - Called with each Date
+ * @returns {Date|null} First moment the condition holds (when searching backwards, the moment
+ *   just after it last held), or null if it doesn't within the search range
+ */
+export function findTransition(from, direction, condition) {
+  const stepMs = STEP_MINUTES * 60 * 1000;
+  const steps = (SEARCH_HOURS * 60) / STEP_MINUTES;
+
+  for (let i = 1; i <= steps; i++) {
+    const time = new Date(from.getTime() + direction * i * stepMs);
+    if (condition(time)) {
+      return direction > 0 ? time : new Date(time.getTime() + stepMs);
+    }
+  }
+
+  return null;
+}
+
+function daysSinceJ2000(date) {
+  return date.getTime() / 86400000 + 2440587.5 - 2451545.0;
+}
+
+function normalizeDegrees(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+function toRadians(degrees) {
+  return degrees * (Math.PI / 180);
+}
+
+function toDegrees(radians) {
+  return radians * (180 / Math.PI);
+}
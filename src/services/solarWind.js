@@ -0,0 +1,247 @@
+/**
+ * Solar wind service
+ * Ingests NOAA's real-time solar wind (DSCOVR/ACE) plasma and magnetometer data into the solar_wind
+ * table, and evaluates solar wind rules such as "Bz < -10 nT for 15 minutes"
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+import db from '../db/database.js';
+
+const PLASMA_URL = 'https://services.swpc.noaa.gov/products/solar-wind/plasma-2-hour.json';
+const MAG_URL = 'https://services.swpc.noaa.gov/products/solar-wind/mag-2-hour.json';
+
+// What a solar wind rule can compare, and how
+export const SOLAR_WIND_METRICS = ['bz', 'bt', 'speed', 'density'];
+export const SOLAR_WIND_OPERATORS = ['<', '>'];
+
+// Samples arrive every minute; a gap this long (or data this old) means we can't tell whether a rule held
+const SOLAR_WIND_MAX_GAP_MINUTES = 10;
+
+// Solar wind samples kept in the database
+const SOLAR_WIND_RETENTION_HOURS = 24;
+
+/**
+ * Provider that fetches the products from NOAA
+ */
+export const noaaSolarWindProvider = {
+  fetchPlasma: () => fetchJson(PLASMA_URL),
+  fetchMag: () => fetchJson(MAG_URL),
+};
+
+/**
+ * Create a provider that reads recorded products from a directory instead of the network
+ * The directory holds plasma-2-hour.json and mag-2-hour.json, saved as-is from NOAA.
+ * @param {string} dir - Fixture directory
+ * @returns {Object} Provider with fetchPlasma and fetchMag
+ */
+export function createFixtureProvider(dir) {
+  const readJson = async (file) => JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+
+  return {
+    fetchPlasma: () => readJson(path.basename(PLASMA_URL)),
+    fetchMag: () => readJson(path.basename(MAG_URL)),
+  };
+}
+
+// SOLAR_WIND_FIXTURE_DIR replays recorded products, e.g. for development without network access
+let provider = process.env.SOLAR_WIND_FIXTURE_DIR
+  ? createFixtureProvider(process.env.SOLAR_WIND_FIXTURE_DIR)
+  : noaaSolarWindProvider;
+
+/**
+ * Replace the solar wind data provider
+ * @param {Object} nextProvider - Provider with fetchPlasma and fetchMag (returning the products' JSON)
+ */
+export function setSolarWindProvider(nextProvider) {
+  provider = nextProvider;
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch solar wind data: ${response.statusText}`);
+  }
+  return response.json();
+}
+
+/**
+ * Fetch the plasma and magnetometer products and store them
+ * A failure of one product doesn't stop the other from being stored.
+ * @returns {Promise<number>} Number of samples stored or updated
+ */
+export async function ingestSolarWind() {
+  let stored = 0;
+
+  for (const [product, load, columns] of [
+    ['plasma', () => provider.fetchPlasma(), { speed: 'speed', density: 'density' }],
+    ['magnetometer', () => provider.fetchMag(), { bz: 'bz_gsm', bt: 'bt' }],
+  ]) {
+    try {
+      stored += storeSamples(parseProduct(await load(), columns));
+    } catch (error) {
+      console.error(`[Solar Wind] Error fetching ${product} data:`, error);
+    }
+  }
+
+  return stored;
+}
+
+/**
+ * Parse a NOAA solar wind product (a header row followed by rows of strings)
+ * @param {Array} data - Product JSON
+ * @param {Object} columns - Our column names mapped to the product's column names
+ * @returns {Array<Object>} Samples with observedAt and the mapped columns (null where NOAA has no value)
+ */
+export function parseProduct(data, columns) {
+  if (!Array.isArray(data) || !Array.isArray(data[0])) {
+    return [];
+  }
+
+  const [header, ...rows] = data;
+  const index = (name) => header.indexOf(name);
+
+  return rows
+    .map(row => {
+      const sample = { observedAt: parseTimeTag(row[index('time_tag')]) };
+      for (const [column, name] of Object.entries(columns)) {
+        const value = parseFloat(row[index(name)]);
+        sample[column] = Number.isFinite(value) ? value : null;
+      }
+      return sample;
+    })
+    .filter(sample => sample.observedAt !== null);
+}
+
+/**
+ * Convert a NOAA time tag ("2026-10-18 03:00:00.000", always UTC) to an ISO date
+ * @param {string} timeTag - NOAA time tag
+ * @returns {string|null} ISO date, or null if it can't be parsed
+ */
+function parseTimeTag(timeTag) {
+  if (typeof timeTag !== 'string') {
+    return null;
+  }
+
+  const date = new Date(`${timeTag.replace(' ', 'T').replace(/Z$/, '')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Store solar wind samples
+ * Plasma and magnetometer samples share a row per minute; each product only fills in its own columns.
+ * @param {Array<Object>} samples - Samples from parseProduct
+ * @returns {number} Number of samples stored or updated
+ */
+const storeSamples = db.transaction((samples) => {
+  if (samples.length === 0) {
+    return 0;
+  }
+
+  const { observedAt, ...first } = samples[0];
+  const columns = Object.keys(first);
+  const upsert = db.prepare(`
+    INSERT INTO solar_wind (observed_at, ${columns.join(', ')}, fetched_at)
+    VALUES (@observedAt, ${columns.map(column => `@${column}`).join(', ')}, @now)
+    ON CONFLICT(observed_at) DO UPDATE SET
+      ${columns.map(column => `${column} = COALESCE(excluded.${column}, ${column})`).join(', ')},
+      fetched_at = excluded.fetched_at
+  `);
+
+  const now = new Date().toISOString();
+  let changes = 0;
+  for (const sample of samples) {
+    changes += upsert.run({ ...sample, now }).changes;
+  }
+  return changes;
+});
+
+/**
+ * Get the latest solar wind readings
+ * @returns {Object|null} {speed, density, bz, bt} with when each was observed, or null if nothing is stored
+ */
+export function getLatestSolarWind() {
+  const latest = {};
+
+  for (const metric of SOLAR_WIND_METRICS) {
+    const row = db.prepare(`
+      SELECT ${metric} AS value, observed_at
+      FROM solar_wind
+      WHERE ${metric} IS NOT NULL
+      ORDER BY observed_at DESC
+      LIMIT 1
+    `).get();
+
+    if (row) {
+      latest[metric] = row.value;
+      latest.observedAt = latest.observedAt && latest.observedAt > row.observed_at ? latest.observedAt : row.observed_at;
+    }
+  }
+
+  return latest.observedAt ? latest : null;
+}
+
+/**
+ * Check whether a value meets a rule's condition
+ * @param {number} value - Measured value
+ * @param {Object} rule - {operator, value}
+ * @returns {boolean} True if the condition holds
+ */
+function meetsCondition(value, rule) {
+  return rule.operator === '<' ? value < rule.value : value > rule.value;
+}
+
+/**
+ * Evaluate a solar wind rule against the stored samples
+ * Walks back from the newest sample until the condition stops holding or the samples have a gap.
+ * @param {Object} rule - {metric, operator, value, minutes}
+ * @param {Date} [now] - Evaluation time (samples older than SOLAR_WIND_MAX_GAP_MINUTES count as no data)
+ * @returns {{met: boolean, latest: number|null, since: string|null, minutes: number}} Whether the rule holds,
+ *   the latest value, and when (and for how many minutes) the condition has held
+ */
+export function evaluateSolarWindRule(rule, now = new Date()) {
+  const rows = db.prepare(`
+    SELECT ${rule.metric} AS value, observed_at
+    FROM solar_wind
+    WHERE ${rule.metric} IS NOT NULL AND observed_at <= ?
+    ORDER BY observed_at DESC
+  `).iterate(now.toISOString());
+
+  const maxGap = SOLAR_WIND_MAX_GAP_MINUTES * 60 * 1000;
+  let latest = null;
+  let newestAt = null;
+  let since = null;
+
+  for (const row of rows) {
+    if (latest === null) {
+      latest = row.value;
+      newestAt = row.observed_at;
+      if (now - new Date(newestAt) > maxGap) {
+        break;
+      }
+    }
+
+    const gap = since ? new Date(since) - new Date(row.observed_at) : 0;
+    if (!meetsCondition(row.value, rule) || gap > maxGap) {
+      break;
+    }
+    since = row.observed_at;
+  }
+
+  const minutes = since ? Math.floor((new Date(newestAt) - new Date(since)) / 60000) : 0;
+  return { met: since !== null && minutes >= rule.minutes, latest, since, minutes };
+}
+
+/**
+ * Clean up solar wind samples older than SOLAR_WIND_RETENTION_HOURS
+ */
+export function cleanupOldSolarWind() {
+  const cutoff = new Date(Date.now() - SOLAR_WIND_RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+
+  const result = db.prepare('DELETE FROM solar_wind WHERE observed_at < ?').run(cutoff);
+
+  if (result.changes > 0) {
+    console.log(`[Cleanup] Deleted ${result.changes} old solar wind records`);
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Signed token service
+ * HMAC-signed, expiring tokens for links in emails
+ */
+
+import crypto from 'crypto';
+import db from '../db/database.js';
+
+// Without a configured secret, links stop working whenever the server restarts
+let tokenSecret = process.env.TOKEN_SECRET;
+if (!tokenSecret) {
+  console.warn('⚠️  WARNING: TOKEN_SECRET is not set. Links in emails will stop working after a restart.');
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Sign a payload for a specific purpose
+ * @param {string} purpose - What the token may be used for (e.g. 'email-login')
+ * @param {Object} payload - Data to embed in the token
+ * @param {number} ttlSeconds - Seconds until the token expires
+ * @returns {string} Token in the form <payload>.<signature>
+ */
+export function signToken(purpose, payload, ttlSeconds) {
+  const body = {
+    ...payload,
+    purpose,
+    jti: crypto.randomBytes(12).toString('base64url'),
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds,
+  };
+
+  const encoded = Buffer.from(JSON.stringify(body)).toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+}
+
+/**
+ * Verify a signed token
+ * @param {string} token - Token to verify
+ * @param {string} purpose - Expected purpose
+ * @returns {{payload?: Object, error?: string}} Payload, or an error of 'invalid' or 'expired'
+ *   (expired tokens still carry their payload so callers can explain what happened)
+ */
+export function verifyToken(token, purpose) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return { error: 'invalid' };
+  }
+
+  const [encoded, signature] = token.split('.');
+  const expected = sign(encoded);
+
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { error: 'invalid' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'invalid' };
+  }
+
+  if (payload.purpose !== purpose) {
+    return { error: 'invalid' };
+  }
+
+  if (!payload.exp || payload.exp * 1000 < Date.now()) {
+    return { error: 'expired', payload };
+  }
+
+  return { payload };
+}
+
+/**
+ * Verify a single-use token and mark it as used
+ * @param {string} token - Token to consume
+ * @param {string} purpose - Expected purpose
+ * @returns {{payload?: Object, error?: string}} Payload, or an error of 'invalid', 'expired' or 'used'
+ */
+export const consumeToken = db.transaction((token, purpose) => {
+  const result = verifyToken(token, purpose);
+  if (result.error) {
+    return result;
+  }
+
+  const { jti, exp } = result.payload;
+  const alreadyUsed = db.prepare('SELECT jti FROM used_tokens WHERE jti = ?').get(jti);
+  if (alreadyUsed) {
+    return { error: 'used', payload: result.payload };
+  }
+
+  db.prepare(`
+    INSERT INTO used_tokens (jti, used_at, expires_at)
+    VALUES (?, ?, ?)
+  `).run(jti, new Date().toISOString(), new Date(exp * 1000).toISOString());
+
+  return result;
+});
+
+/**
+ * Clean up records of used tokens that have expired anyway
+ */
+export function cleanupUsedTokens() {
+  const result = db.prepare('DELETE FROM used_tokens WHERE expires_at < ?').run(new Date().toISOString());
+
+  if (result.changes > 0) {
+    console.log(`[Cleanup] Deleted ${result.changes} expired used-token records`);
+  }
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', tokenSecret).update(value).digest('base64url');
+}
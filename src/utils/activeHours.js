@@ -0,0 +1,28 @@
+export const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const DEFAULT_WINDOW = { days: [0, 1, 2, 3, 4, 5, 6], start: '21:00', end: '03:00' };
+
+/**
+ * Time zone of the browser, used as the default for new alerts
+ */
+export function getBrowserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * All time zones the browser knows about (falls back to just the browser's own)
+ */
+export function getTimeZones() {
+  const browserZone = getBrowserTimeZone();
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return zones.includes(browserZone) ? zones : [browserZone, ...zones];
+}
+
+/**
+ * Describe an active window, e.g. "21:00–03:00 Mon, Tue, Wed"
+ */
+export function formatActiveWindow({ days, start, end }) {
+  const dayText = days.length === 7 ? 'every day' : days.map(day => DAY_LABELS[day]).join(', ');
+  const timeText = start === end ? 'all day' : `${start}–${end}`;
+  return `${timeText} ${dayText}`;
+}
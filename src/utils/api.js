@@ -21,25 +21,128 @@ const getApiBaseUrl = () => {
 
 export const API_BASE_URL = getApiBaseUrl();
 
+const SESSION_STORAGE_KEY = 'aurora_session';
+
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+let refreshPromise = null;
+let sessionExpiredHandler = null;
+
+/**
+ * Get the stored session tokens
+ * @returns {Object|null} {accessToken, refreshToken, expiresAt} or null if logged out
+ */
+export function getSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Store session tokens returned by the backend
+ * @param {Object} session - {accessToken, refreshToken, expiresAt}
+ */
+export function setSession(session) {
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+}
+
+/**
+ * Forget the stored session tokens
+ */
+export function clearSession() {
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+/**
+ * Register a callback for when the session can no longer be refreshed
+ * @param {Function|null} handler - Called after the stored session is cleared
+ */
+export function setSessionExpiredHandler(handler) {
+  sessionExpiredHandler = handler;
+}
+
+/**
+ * Exchange the refresh token for a new token pair
+ * Concurrent callers share a single refresh request
+ * @returns {Promise<Object|null>} New session, or null if it could not be refreshed
+ */
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const session = getSession();
+      if (!session?.refreshToken) {
+        return null;
+      }
+
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: session.refreshToken }),
+        });
+
+        if (!response.ok) {
+          return null;
+        }
+
+        const data = await response.json();
+        setSession(data.session);
+        return data.session;
+      } catch (error) {
+        console.error('Session refresh error:', error);
+        return null;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
 /**
  * Make an API request
+ * Attaches the session's access token and refreshes it when needed
  * @param {string} endpoint - API endpoint (e.g., '/api/alerts')
  * @param {Object} options - Fetch options
  * @returns {Promise<Response>}
  */
 export async function apiRequest(endpoint, options = {}) {
   const url = `${API_BASE_URL}${endpoint}`;
-  
-  const defaultHeaders = {
-    'Content-Type': 'application/json',
-    ...options.headers,
-  };
 
-  const response = await fetch(url, {
+  let session = getSession();
+
+  // Refresh ahead of time if the access token is about to expire
+  if (session?.expiresAt && new Date(session.expiresAt).getTime() - REFRESH_MARGIN_MS < Date.now()) {
+    session = (await refreshSession()) || session;
+  }
+
+  const send = (accessToken) => fetch(url, {
     ...options,
-    headers: defaultHeaders,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+      ...options.headers,
+    },
   });
 
+  let response = await send(session?.accessToken);
+
+  // The access token was rejected - refresh once and retry
+  if (response.status === 401 && session?.refreshToken) {
+    const refreshed = await refreshSession();
+
+    if (refreshed) {
+      response = await send(refreshed.accessToken);
+    } else {
+      clearSession();
+      if (sessionExpiredHandler) {
+        sessionExpiredHandler();
+      }
+    }
+  }
+
   return response;
 }
-
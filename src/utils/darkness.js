@@ -0,0 +1,12 @@
+export const DARKNESS_OPTIONS = [
+  { value: 'civil', label: 'Civil twilight', description: 'Sun 6° below the horizon - alerts start earliest' },
+  { value: 'nautical', label: 'Nautical twilight', description: 'Sun 12° below the horizon' },
+  { value: 'astronomical', label: 'Astronomical twilight', description: 'Sun 18° below the horizon - fully dark skies only' },
+];
+
+/**
+ * Label for a darkness requirement, e.g. "Nautical twilight"
+ */
+export function getDarknessLabel(value) {
+  return (DARKNESS_OPTIONS.find(option => option.value === value) || DARKNESS_OPTIONS[0]).label;
+}
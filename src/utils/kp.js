@@ -0,0 +1,14 @@
+/**
+ * Format a Kp value, dropping trailing zeros (NOAA reports thirds, e.g. 4.33)
+ */
+export function formatKp(kp) {
+  return String(Number(kp.toFixed(2)));
+}
+
+/**
+ * Describe where the current Kp comes from, e.g. "Estimated at 21:05"
+ */
+export function formatKpSource({ source, observedAt }) {
+  const time = new Date(observedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `${source === 'estimated' ? 'Estimated' : '3-hour value'} at ${time}`;
+}
@@ -0,0 +1,20 @@
+const PHASE_EMOJIS = ['🌑', '🌒', '🌓', '🌔', '🌕', '🌖', '🌗', '🌘'];
+
+/**
+ * Emoji for a moon phase (0 = new, 0.5 = full)
+ */
+export function getMoonEmoji(phase) {
+  return PHASE_EMOJIS[Math.round(phase * 8) % 8];
+}
+
+/**
+ * Describe where the moon is, e.g. "Up, sets 22:10" or "Down, rises 16:50"
+ */
+export function formatMoonPosition({ isUp, rise, set }) {
+  const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  if (isUp) {
+    return set ? `Up, sets ${formatTime(set)}` : 'Up all night';
+  }
+  return rise ? `Down, rises ${formatTime(rise)}` : 'Down all night';
+}
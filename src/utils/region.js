@@ -0,0 +1,17 @@
+/**
+ * Convert map corners ([lat, lng] pairs, as Leaflet uses them) to a closed GeoJSON Polygon
+ */
+export function toGeoJsonPolygon(corners) {
+  const ring = corners.map(([lat, lng]) => [lng, lat]);
+  return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+}
+
+/**
+ * Convert a GeoJSON Polygon from the API to map corners ([lat, lng] pairs, without the closing corner)
+ */
+export function fromGeoJsonPolygon(region) {
+  if (!region) {
+    return [];
+  }
+  return region.coordinates[0].slice(0, -1).map(([lng, lat]) => [lat, lng]);
+}
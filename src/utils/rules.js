@@ -0,0 +1,82 @@
+import { DEFAULT_WINDOW, formatActiveWindow } from './activeHours';
+import { getDarknessLabel } from './darkness';
+import { formatKp } from './kp';
+
+// Groups may be nested this deep (matches the server's limit)
+export const MAX_RULE_DEPTH = 4;
+
+export const RULE_CONDITION_OPTIONS = [
+  { value: 'probability', label: 'Aurora probability' },
+  { value: 'kp', label: 'Kp index' },
+  { value: 'darkness', label: 'Darkness' },
+  { value: 'time_window', label: 'Time window' },
+  { value: 'trend', label: 'Trend' },
+];
+
+/**
+ * A new condition of the given type with sensible defaults
+ */
+export function createCondition(type) {
+  switch (type) {
+    case 'kp':
+      return { type: 'kp', min: 5 };
+    case 'darkness':
+      return { type: 'darkness', level: 'nautical' };
+    case 'time_window':
+      return { type: 'time_window', windows: [{ ...DEFAULT_WINDOW }] };
+    case 'trend':
+      return { type: 'trend', direction: 'rising', change: 10, minutes: 30 };
+    default:
+      return { type: 'probability', min: 50 };
+  }
+}
+
+/**
+ * The rule the server builds from an alert's threshold and darkness requirement
+ */
+export function buildSimpleRule({ trigger_type, threshold, kp_threshold, darkness_requirement }) {
+  return {
+    op: 'and',
+    conditions: [
+      trigger_type === 'kp' ? { type: 'kp', min: kp_threshold } : { type: 'probability', min: threshold },
+      { type: 'darkness', level: darkness_requirement || 'civil' },
+    ],
+  };
+}
+
+/**
+ * Whether an alert's rule is still the one built from its simple settings
+ */
+export function isSimpleRule(alert) {
+  return !alert.rule || JSON.stringify(alert.rule) === JSON.stringify(buildSimpleRule(alert));
+}
+
+/**
+ * Describe a rule tree, e.g. "probability ≥ 40 and (Kp ≥ 5 or rising 10+ in 30 min)"
+ */
+export function formatRule(rule, nested = false) {
+  switch (rule.op) {
+    case 'and':
+    case 'or': {
+      const text = rule.conditions.map(condition => formatRule(condition, true)).join(` ${rule.op} `);
+      return nested && rule.conditions.length > 1 ? `(${text})` : text;
+    }
+    case 'not':
+      return `not ${formatRule(rule.condition, true)}`;
+  }
+
+  switch (rule.type) {
+    case 'probability':
+      return `probability ≥ ${rule.min}`;
+    case 'kp':
+      return `Kp ≥ ${formatKp(rule.min)}`;
+    case 'darkness':
+      return getDarknessLabel(rule.level).toLowerCase();
+    case 'time_window':
+      return rule.windows.map(formatActiveWindow).join(' or ');
+    case 'trend':
+      return `${rule.direction} ${rule.change}+ in ${rule.minutes} min`;
+    default:
+      return rule.type;
+  }
+}
@@ -0,0 +1,25 @@
+export const AGGREGATION_OPTIONS = [
+  { value: 'max', label: 'Highest', description: 'the best cell within reach' },
+  { value: 'mean', label: 'Average', description: 'typical activity across the area' },
+  { value: 'percentile', label: 'Percentile', description: 'ignore a few outlying cells' },
+];
+
+/**
+ * Describe how an alert combines the cells in its region or search radius, e.g. "Highest within 100 km"
+ */
+export function formatSearchRadius({ region, search_radius_km, aggregation, aggregation_percentile }) {
+  const area = region ? 'inside the region' : `within ${search_radius_km} km`;
+  if (aggregation === 'percentile') {
+    return `${aggregation_percentile}th percentile ${area}`;
+  }
+  const option = AGGREGATION_OPTIONS.find(o => o.value === aggregation) || AGGREGATION_OPTIONS[0];
+  return `${option.label} ${area}`;
+}
+
+/**
+ * Format an OVATION cell position (longitudes there run from 0 to 359)
+ */
+export function formatCell({ latitude, longitude }) {
+  const lng = longitude > 180 ? longitude - 360 : longitude;
+  return `${latitude.toFixed(1)}°, ${lng.toFixed(1)}°`;
+}
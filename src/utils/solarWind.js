@@ -0,0 +1,25 @@
+export const SOLAR_WIND_METRICS = [
+  { value: 'bz', label: 'Bz', unit: 'nT' },
+  { value: 'bt', label: 'Bt', unit: 'nT' },
+  { value: 'speed', label: 'Speed', unit: 'km/s' },
+  { value: 'density', label: 'Density', unit: 'p/cm³' },
+];
+
+const getMetric = (metric) => SOLAR_WIND_METRICS.find(m => m.value === metric);
+
+/**
+ * Describe a solar wind rule, e.g. "Bz < -10 nT for 15 min"
+ */
+export function formatSolarWindRule({ metric, operator, value, minutes }) {
+  const { label, unit } = getMetric(metric);
+  return `${label} ${operator} ${value} ${unit}${minutes > 0 ? ` for ${minutes} min` : ''}`;
+}
+
+/**
+ * Describe the latest reading of a solar wind metric, e.g. "Bz -4.2 nT"
+ */
+export function formatSolarWindReading(solarWind, metric) {
+  const { label, unit } = getMetric(metric);
+  const value = solarWind?.[metric];
+  return value === null || value === undefined ? `${label} unavailable` : `${label} ${Number(value.toFixed(1))} ${unit}`;
+}
@@ -0,0 +1,51 @@
+export const TRIP_GROUPS = [
+  { status: 'active', label: 'Active' },
+  { status: 'upcoming', label: 'Upcoming' },
+  { status: 'past', label: 'Past' },
+];
+
+/**
+ * Whether an alert is a trip (it has a start or end date)
+ */
+export function isTrip(alert) {
+  return !!(alert.starts_at || alert.expires_at);
+}
+
+/**
+ * Where a trip stands right now: 'upcoming', 'active' or 'past'
+ */
+export function getTripStatus(alert) {
+  const now = new Date();
+  if (alert.archived_at || (alert.expires_at && new Date(alert.expires_at) <= now)) {
+    return 'past';
+  }
+  if (alert.starts_at && new Date(alert.starts_at) > now) {
+    return 'upcoming';
+  }
+  return 'active';
+}
+
+/**
+ * Describe a trip's dates, e.g. "Mar 3 – Mar 10, 2026"
+ */
+export function formatTripDates({ starts_at, expires_at }) {
+  const format = (date) => new Date(date).toLocaleDateString([], { dateStyle: 'medium' });
+  if (!starts_at) {
+    return `until ${format(expires_at)}`;
+  }
+  if (!expires_at) {
+    return `from ${format(starts_at)}`;
+  }
+  return `${format(starts_at)} – ${format(expires_at)}`;
+}
+
+/**
+ * Convert an ISO date to a datetime-local input value (in the browser's time zone)
+ */
+export function toDateTimeLocal(iso) {
+  if (!iso) {
+    return '';
+  }
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
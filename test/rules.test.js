@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRule, getRequiredDarkness, getRequiredProbability } from '../src/services/rules.js';
+
+const NEEDS_ACTIVITY_ERROR = 'rule needs at least one probability, Kp or trend condition';
+
+test('accepts a rule with an activity condition', () => {
+  const result = parseRule({
+    op: 'and',
+    conditions: [{ type: 'probability', min: 30 }, { type: 'darkness', level: 'nautical' }],
+  });
+  assert.equal(result.error, undefined);
+});
+
+test('rejects a rule whose only activity condition is negated', () => {
+  const result = parseRule({ op: 'not', condition: { type: 'kp', min: 5 } });
+  assert.equal(result.error, NEEDS_ACTIVITY_ERROR);
+});
+
+test('rejects activity conditions negated inside a group', () => {
+  const result = parseRule({
+    op: 'and',
+    conditions: [
+      { type: 'darkness', level: 'astronomical' },
+      { op: 'not', condition: { op: 'or', conditions: [{ type: 'probability', min: 10 }, { type: 'kp', min: 4 }] } },
+    ],
+  });
+  assert.equal(result.error, NEEDS_ACTIVITY_ERROR);
+});
+
+test('counts an activity condition under a double negation', () => {
+  const result = parseRule({ op: 'not', condition: { op: 'not', condition: { type: 'kp', min: 5 } } });
+  assert.equal(result.error, undefined);
+});
+
+test('finds the darkness a rule requires', () => {
+  const rule = {
+    op: 'and',
+    conditions: [
+      { type: 'darkness', level: 'civil' },
+      { op: 'and', conditions: [{ type: 'kp', min: 5 }, { type: 'darkness', level: 'nautical' }] },
+    ],
+  };
+  assert.equal(getRequiredDarkness(rule), 'nautical');
+});
+
+test('ignores darkness conditions the rule can fire without', () => {
+  const rule = {
+    op: 'and',
+    conditions: [
+      { type: 'probability', min: 30 },
+      { op: 'or', conditions: [{ type: 'darkness', level: 'astronomical' }, { type: 'kp', min: 6 }] },
+      { op: 'not', condition: { type: 'darkness', level: 'civil' } },
+    ],
+  };
+  assert.equal(getRequiredDarkness(rule), null);
+});
+
+test('finds the probability a rule requires', () => {
+  const rule = {
+    op: 'and',
+    conditions: [
+      { type: 'probability', min: 20 },
+      { op: 'and', conditions: [{ type: 'probability', min: 45 }, { type: 'darkness', level: 'civil' }] },
+      { op: 'or', conditions: [{ type: 'probability', min: 80 }, { type: 'kp', min: 6 }] },
+    ],
+  };
+  assert.equal(getRequiredProbability(rule), 45);
+  assert.equal(getRequiredProbability({ op: 'and', conditions: [{ type: 'kp', min: 5 }] }), null);
+});
@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/solar-wind');
+
+// The fixtures hold 16:00-16:35 on 2024-05-10, with no magnetometer data from 16:11 to 16:21
+const at = (time) => new Date(`2024-05-10T${time}Z`);
+const BZ_RULE = { metric: 'bz', operator: '<', value: -10 };
+
+let tmpDir;
+let db;
+let solarWind;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aurora-solar-wind-'));
+  process.env.DB_PATH = path.join(tmpDir, 'test.db');
+
+  db = (await import('../src/db/database.js')).default;
+  solarWind = await import('../src/services/solarWind.js');
+  solarWind.setSolarWindProvider(solarWind.createFixtureProvider(FIXTURE_DIR));
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const getSample = (time) => db.prepare('SELECT speed, density, bz, bt FROM solar_wind WHERE observed_at = ?')
+  .get(at(time).toISOString());
+
+test('parseProduct maps columns and keeps missing values as null', () => {
+  const samples = solarWind.parseProduct([
+    ['time_tag', 'density', 'speed', 'temperature'],
+    ['2024-05-10 16:00:00.000', '8.10', '712.4', '412345'],
+    ['2024-05-10 16:01:00.000', null, '714.1', '412345'],
+    ['2024-05-10 16:02:00.000', '8.50'],
+    ['not a time', '8.90', '716.0', '412345'],
+  ], { speed: 'speed', density: 'density' });
+
+  assert.deepEqual(samples, [
+    { observedAt: '2024-05-10T16:00:00.000Z', speed: 712.4, density: 8.1 },
+    { observedAt: '2024-05-10T16:01:00.000Z', speed: 714.1, density: null },
+    { observedAt: '2024-05-10T16:02:00.000Z', speed: null, density: 8.5 },
+  ]);
+  assert.deepEqual(solarWind.parseProduct({ error: 'unavailable' }, { speed: 'speed' }), []);
+});
+
+test('ingests the plasma and magnetometer products into one row per minute', async () => {
+  const stored = await solarWind.ingestSolarWind();
+
+  assert.equal(stored, 36 + 25);
+  assert.equal(db.prepare('SELECT COUNT(*) AS count FROM solar_wind').get().count, 36);
+  assert.deepEqual(getSample('16:00:00'), { speed: 712.4, density: 8.1, bz: -12.5, bt: 14.8 });
+  assert.deepEqual(getSample('16:05:00'), { speed: 720.9, density: null, bz: -13.2, bt: 15.5 });
+  assert.deepEqual(getSample('16:15:00'), { speed: 737.9, density: 8.1, bz: null, bt: null });
+});
+
+test('a product without a value leaves the one already stored', async () => {
+  solarWind.setSolarWindProvider({
+    fetchPlasma: async () => [['time_tag', 'density', 'speed'], ['2024-05-10 16:00:00.000', '9.00', null]],
+    fetchMag: async () => [['time_tag', 'bz_gsm', 'bt']],
+  });
+
+  try {
+    await solarWind.ingestSolarWind();
+  } finally {
+    solarWind.setSolarWindProvider(solarWind.createFixtureProvider(FIXTURE_DIR));
+  }
+
+  assert.deepEqual(getSample('16:00:00'), { speed: 712.4, density: 9, bz: -12.5, bt: 14.8 });
+});
+
+test('evaluateSolarWindRule is met once the condition has held long enough', () => {
+  const result = solarWind.evaluateSolarWindRule({ ...BZ_RULE, minutes: 10 }, at('16:35:30'));
+
+  assert.equal(result.met, true);
+  assert.equal(result.latest, -14.6);
+  assert.equal(result.since, at('16:22:00').toISOString());
+  assert.equal(result.minutes, 13);
+});
+
+test('evaluateSolarWindRule stops at a gap of more than 10 minutes', () => {
+  const result = solarWind.evaluateSolarWindRule({ ...BZ_RULE, minutes: 15 }, at('16:35:30'));
+
+  assert.equal(result.met, false);
+  assert.equal(result.since, at('16:22:00').toISOString());
+
+  // Before the gap the run goes back to the first sample
+  const earlier = solarWind.evaluateSolarWindRule({ ...BZ_RULE, minutes: 10 }, at('16:10:30'));
+  assert.equal(earlier.met, true);
+  assert.equal(earlier.since, at('16:00:00').toISOString());
+});
+
+test('evaluateSolarWindRule is not met on stale data', () => {
+  const result = solarWind.evaluateSolarWindRule({ ...BZ_RULE, minutes: 10 }, at('16:50:00'));
+
+  assert.equal(result.met, false);
+  assert.equal(result.latest, -14.6);
+  assert.equal(result.since, null);
+});